@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { STORE_TYPES, createAuthStore, getAuthStoreOptions } = require('./auth-store');
+
+// Move WhatsApp sessions between auth-state backends
+//
+//   node auth-cli.js export <file> [--store filesystem|sqlite|postgres] [--user <userId>]
+//   node auth-cli.js import <file> [--store filesystem|sqlite|postgres]
+//   node auth-cli.js copy --from <store> --to <store> [--user <userId>]
+//
+// Backends are configured with the same environment variables as the service
+// (AUTH_STORE, AUTH_FOLDER, AUTH_STORE_SQLITE_FILE, AUTH_STORE_URL, ENCRYPTION_MASTER_KEY).
+// Export files contain DECRYPTED credentials - treat them like passwords and delete them after importing.
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        } else {
+            args._.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function openStore(type) {
+    if (type && !STORE_TYPES.includes(type)) {
+        throw new Error(`Unknown store "${type}" - use one of: ${STORE_TYPES.join(', ')}`);
+    }
+    return createAuthStore(getAuthStoreOptions(process.env, type));
+}
+
+// Read every file of the selected users as plaintext
+async function readSessions(store, onlyUserId) {
+    const userIds = onlyUserId ? [onlyUserId] : await store.listUsers();
+    const users = {};
+    for (const userId of userIds) {
+        users[userId] = {};
+        for (const file of await store.listFiles(userId)) {
+            users[userId][file] = await store.read(userId, file);
+        }
+        console.log(`   ${userId}: ${Object.keys(users[userId]).length} file(s)`);
+    }
+    return users;
+}
+
+async function writeSessions(store, users) {
+    for (const [userId, files] of Object.entries(users)) {
+        for (const [file, text] of Object.entries(files)) {
+            await store.write(userId, file, text);
+        }
+        console.log(`   ${userId}: ${Object.keys(files).length} file(s)`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, file] = args._;
+
+    switch (command) {
+        case 'export': {
+            if (!file) throw new Error('Usage: node auth-cli.js export <file> [--store <store>] [--user <userId>]');
+            const store = openStore(args.store);
+            console.log(`📤 Exporting sessions from ${store.name}...`);
+            const users = await readSessions(store, args.user);
+            fs.writeFileSync(file, JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), source: store.name, users }, null, 2), { mode: 0o600 });
+            await store.close();
+            console.log(`✅ Exported ${Object.keys(users).length} session(s) to ${file}`);
+            break;
+        }
+        case 'import': {
+            if (!file) throw new Error('Usage: node auth-cli.js import <file> [--store <store>]');
+            const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const store = openStore(args.store);
+            console.log(`📥 Importing sessions into ${store.name}...`);
+            await writeSessions(store, bundle.users || {});
+            await store.close();
+            console.log(`✅ Imported ${Object.keys(bundle.users || {}).length} session(s)`);
+            break;
+        }
+        case 'copy': {
+            if (!args.from || !args.to) throw new Error('Usage: node auth-cli.js copy --from <store> --to <store> [--user <userId>]');
+            const source = openStore(args.from);
+            const target = openStore(args.to);
+            console.log(`🔁 Copying sessions from ${source.name} to ${target.name}...`);
+            const users = await readSessions(source, args.user);
+            await writeSessions(target, users);
+            await source.close();
+            await target.close();
+            console.log(`✅ Copied ${Object.keys(users).length} session(s)`);
+            break;
+        }
+        default:
+            throw new Error('Usage: node auth-cli.js <export|import|copy> ...');
+    }
+}
+
+main().catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+});
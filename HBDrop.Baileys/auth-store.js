@@ -0,0 +1,404 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+// Auth-state storage for the Baileys service
+// A backend only reads/writes JSON strings per (userId, file); useStoredAuthState turns it into Baileys auth state
+// Backends: filesystem (auth_info/<userId>/<file>), sqlite and postgres (one auth_state row per file)
+
+const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+const KEY_DERIVATION_ITERATIONS = 10000;
+const AUTH_STATE_TABLE = 'baileys_auth_state';
+const STORE_TYPES = ['filesystem', 'sqlite', 'postgres'];
+
+const ACCOUNT_SEPARATOR = '~'; // Session keys are "<userId>" or "<userId>~<accountId>", as in server.js
+
+const derivedKeys = new Map(); // Map<salt, Buffer> - PBKDF2 is too slow to run on every signal key read
+
+function deriveKey(masterKey, owner) {
+    const salt = `${owner}:${masterKey}`;
+    let key = derivedKeys.get(salt);
+    if (!key) {
+        key = crypto.pbkdf2Sync(masterKey, salt, KEY_DERIVATION_ITERATIONS, 32, 'sha256');
+        derivedKeys.set(salt, key);
+    }
+    return key;
+}
+
+// Same derivation as the web app's SessionEncryptionService: PBKDF2-SHA256(masterKey, "<userId>:<masterKey>")
+// The web app only knows the user id, so every account of a user shares its key
+function deriveUserKey(masterKey, sessionKey) {
+    return deriveKey(masterKey, String(sessionKey).split(ACCOUNT_SEPARATOR)[0]);
+}
+
+function encryptText(text, key) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return JSON.stringify({
+        encrypted: true,
+        alg: ENCRYPTION_ALGORITHM,
+        iv: iv.toString('base64'),
+        data: data.toString('base64')
+    });
+}
+
+function isEncryptedEnvelope(text) {
+    try {
+        const envelope = JSON.parse(text);
+        return envelope?.encrypted === true && typeof envelope.data === 'string';
+    } catch (err) {
+        return false;
+    }
+}
+
+function decryptText(text, key) {
+    const envelope = JSON.parse(text);
+    const decipher = crypto.createDecipheriv(envelope.alg || ENCRYPTION_ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Account sessions used to be encrypted with a key derived from the whole session key - still read those
+function decryptSessionText(text, masterKey, sessionKey) {
+    const userKey = deriveUserKey(masterKey, sessionKey);
+    if (!String(sessionKey).includes(ACCOUNT_SEPARATOR)) {
+        return decryptText(text, userKey);
+    }
+    try {
+        // A wrong key can still unpad, so only trust it if the value parses
+        const plain = decryptText(text, userKey);
+        JSON.parse(plain);
+        return plain;
+    } catch (err) {
+        return decryptText(text, deriveKey(masterKey, sessionKey));
+    }
+}
+
+// Same file naming as useMultiFileAuthState so existing folders keep working
+function fixFileName(file) {
+    return file?.replace(/\//g, '__')?.replace(/:/g, '-');
+}
+
+// Filesystem backend: one folder per user, one file per key (today's auth_info layout)
+function createFileBackend({ baseFolder }) {
+    // Every user gets a folder directly inside baseFolder - never "..", "" or a nested path
+    const getFolder = (userId) => {
+        const folder = path.resolve(baseFolder, userId.toString());
+        if (path.dirname(folder) !== path.resolve(baseFolder)) {
+            throw new Error(`Invalid user id for the auth folder: ${userId}`);
+        }
+        return folder;
+    };
+    const getFile = (userId, file) => path.join(getFolder(userId), fixFileName(file));
+
+    return {
+        name: 'filesystem',
+
+        async read(userId, file) {
+            try {
+                return await fs.promises.readFile(getFile(userId, file), 'utf8');
+            } catch (err) {
+                return null;
+            }
+        },
+
+        async write(userId, file, text) {
+            await fs.promises.mkdir(getFolder(userId), { recursive: true });
+            // Temp file + rename so a crash mid-write can't corrupt creds
+            const tempPath = `${getFile(userId, file)}.tmp`;
+            await fs.promises.writeFile(tempPath, text);
+            await fs.promises.rename(tempPath, getFile(userId, file));
+        },
+
+        async remove(userId, file) {
+            await fs.promises.rm(getFile(userId, file), { force: true });
+        },
+
+        async has(userId, file) {
+            return fs.existsSync(getFile(userId, file));
+        },
+
+        // Users that have a creds file
+        async listUsers() {
+            if (!fs.existsSync(baseFolder)) return [];
+            return fs.readdirSync(baseFolder).filter(userId => fs.existsSync(getFile(userId, 'creds.json')));
+        },
+
+        async listFiles(userId) {
+            if (!fs.existsSync(getFolder(userId))) return [];
+            return fs.readdirSync(getFolder(userId)).filter(file => !file.endsWith('.tmp'));
+        },
+
+        async clear(userId) {
+            await fs.promises.rm(getFolder(userId), { recursive: true, force: true });
+        },
+
+        async close() {}
+    };
+}
+
+// SQLite backend using the built-in node:sqlite module (Node 22.5+)
+function createSqliteBackend({ filename }) {
+    const { DatabaseSync } = require('node:sqlite');
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    const db = new DatabaseSync(filename);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ${AUTH_STATE_TABLE} (
+            user_id TEXT NOT NULL,
+            file TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (user_id, file)
+        )
+    `);
+
+    const statements = {
+        read: db.prepare(`SELECT data FROM ${AUTH_STATE_TABLE} WHERE user_id = ? AND file = ?`),
+        write: db.prepare(`
+            INSERT INTO ${AUTH_STATE_TABLE} (user_id, file, data, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (user_id, file) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `),
+        remove: db.prepare(`DELETE FROM ${AUTH_STATE_TABLE} WHERE user_id = ? AND file = ?`),
+        listUsers: db.prepare(`SELECT user_id FROM ${AUTH_STATE_TABLE} WHERE file = 'creds.json' ORDER BY user_id`),
+        listFiles: db.prepare(`SELECT file FROM ${AUTH_STATE_TABLE} WHERE user_id = ? ORDER BY file`),
+        clear: db.prepare(`DELETE FROM ${AUTH_STATE_TABLE} WHERE user_id = ?`)
+    };
+
+    return {
+        name: 'sqlite',
+
+        async read(userId, file) {
+            return statements.read.get(userId.toString(), fixFileName(file))?.data ?? null;
+        },
+
+        async write(userId, file, text) {
+            statements.write.run(userId.toString(), fixFileName(file), text, new Date().toISOString());
+        },
+
+        async remove(userId, file) {
+            statements.remove.run(userId.toString(), fixFileName(file));
+        },
+
+        async has(userId, file) {
+            return !!statements.read.get(userId.toString(), fixFileName(file));
+        },
+
+        async listUsers() {
+            return statements.listUsers.all().map(row => row.user_id);
+        },
+
+        async listFiles(userId) {
+            return statements.listFiles.all(userId.toString()).map(row => row.file);
+        },
+
+        async clear(userId) {
+            statements.clear.run(userId.toString());
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+// Postgres backend - can share the web app's database
+function createPostgresBackend({ connectionString }) {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString });
+    let ready = null;
+    // Create the table on first use (and try again next time if the database was unreachable)
+    const query = async (sql, params) => {
+        ready = ready || pool.query(`
+            CREATE TABLE IF NOT EXISTS ${AUTH_STATE_TABLE} (
+                user_id TEXT NOT NULL,
+                file TEXT NOT NULL,
+                data TEXT NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (user_id, file)
+            )
+        `).catch(err => {
+            ready = null;
+            throw err;
+        });
+        await ready;
+        return pool.query(sql, params);
+    };
+
+    return {
+        name: 'postgres',
+
+        async read(userId, file) {
+            const { rows } = await query(`SELECT data FROM ${AUTH_STATE_TABLE} WHERE user_id = $1 AND file = $2`, [userId.toString(), fixFileName(file)]);
+            return rows[0]?.data ?? null;
+        },
+
+        async write(userId, file, text) {
+            await query(`
+                INSERT INTO ${AUTH_STATE_TABLE} (user_id, file, data, updated_at) VALUES ($1, $2, $3, NOW())
+                ON CONFLICT (user_id, file) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()
+            `, [userId.toString(), fixFileName(file), text]);
+        },
+
+        async remove(userId, file) {
+            await query(`DELETE FROM ${AUTH_STATE_TABLE} WHERE user_id = $1 AND file = $2`, [userId.toString(), fixFileName(file)]);
+        },
+
+        async has(userId, file) {
+            const { rows } = await query(`SELECT 1 FROM ${AUTH_STATE_TABLE} WHERE user_id = $1 AND file = $2`, [userId.toString(), fixFileName(file)]);
+            return rows.length > 0;
+        },
+
+        async listUsers() {
+            const { rows } = await query(`SELECT user_id FROM ${AUTH_STATE_TABLE} WHERE file = 'creds.json' ORDER BY user_id`);
+            return rows.map(row => row.user_id);
+        },
+
+        async listFiles(userId) {
+            const { rows } = await query(`SELECT file FROM ${AUTH_STATE_TABLE} WHERE user_id = $1 ORDER BY file`, [userId.toString()]);
+            return rows.map(row => row.file);
+        },
+
+        async clear(userId) {
+            await query(`DELETE FROM ${AUTH_STATE_TABLE} WHERE user_id = $1`, [userId.toString()]);
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+function createBackend(options) {
+    switch (options.type || 'filesystem') {
+        case 'filesystem':
+            return createFileBackend(options);
+        case 'sqlite':
+            return createSqliteBackend(options);
+        case 'postgres':
+            if (!options.connectionString) {
+                throw new Error('The postgres auth store needs AUTH_STORE_URL (or DATABASE_URL)');
+            }
+            return createPostgresBackend(options);
+        default:
+            throw new Error(`Unknown auth store "${options.type}" - use one of: ${STORE_TYPES.join(', ')}`);
+    }
+}
+
+// Build an auth store: a backend plus optional AES-256 encryption of every value
+// With a masterKey every value is written as an encrypted envelope; plaintext values are still read so old data loads
+function createAuthStore({ masterKey = null, ...options }) {
+    const backend = createBackend(options);
+
+    const store = {
+        name: backend.name,
+        encrypted: !!masterKey,
+
+        async read(userId, file) {
+            const text = await backend.read(userId, file);
+            if (text === null) return null;
+            if (isEncryptedEnvelope(text)) {
+                if (!masterKey) {
+                    throw new Error(`Auth file ${file} for ${userId} is encrypted but no ENCRYPTION_MASTER_KEY is set`);
+                }
+                return decryptSessionText(text, masterKey, userId);
+            }
+            return text;
+        },
+
+        async write(userId, file, text) {
+            const content = masterKey ? encryptText(text, deriveUserKey(masterKey, userId)) : text;
+            await backend.write(userId, file, content);
+        },
+
+        remove: (userId, file) => backend.remove(userId, file),
+        has: (userId, file) => backend.has(userId, file),
+        listUsers: () => backend.listUsers(),
+        listFiles: (userId) => backend.listFiles(userId),
+        clear: (userId) => backend.clear(userId),
+        close: () => backend.close(),
+
+        // Rewrite any plaintext values of one user as encrypted envelopes, returns how many were migrated
+        async encryptPlaintextFiles(userId) {
+            if (!masterKey) return 0;
+            let migrated = 0;
+            for (const file of await backend.listFiles(userId)) {
+                const text = await backend.read(userId, file);
+                if (text !== null && !isEncryptedEnvelope(text)) {
+                    await backend.write(userId, file, encryptText(text, deriveUserKey(masterKey, userId)));
+                    migrated++;
+                }
+            }
+            return migrated;
+        }
+    };
+
+    return store;
+}
+
+// Store options from the environment - shared by server.js and the auth-cli.js export/import command
+function getAuthStoreOptions(env = process.env, type = env.AUTH_STORE) {
+    return {
+        type: type || 'filesystem',
+        baseFolder: env.AUTH_FOLDER || './auth_info',
+        filename: env.AUTH_STORE_SQLITE_FILE || './data/auth_state.sqlite',
+        connectionString: env.AUTH_STORE_URL || env.DATABASE_URL || null,
+        masterKey: env.ENCRYPTION_MASTER_KEY || null
+    };
+}
+
+// Drop-in replacement for useMultiFileAuthState on top of any store
+async function useStoredAuthState(store, userId) {
+    const writeData = (data, file) => store.write(userId, file, JSON.stringify(data, BufferJSON.replacer));
+    const readData = async (file) => {
+        const text = await store.read(userId, file);
+        return text ? JSON.parse(text, BufferJSON.reviver) : null;
+    };
+
+    const creds = await readData('creds.json') || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await readData(`${type}-${id}.json`);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                set: async (data) => {
+                    const tasks = [];
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            const file = `${category}-${id}.json`;
+                            tasks.push(value ? writeData(value, file) : store.remove(userId, file));
+                        }
+                    }
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => writeData(creds, 'creds.json')
+    };
+}
+
+// Read a user's creds without building a full auth state (used by session restore)
+async function readStoredCreds(store, userId) {
+    const text = await store.read(userId, 'creds.json');
+    return text ? JSON.parse(text, BufferJSON.reviver) : null;
+}
+
+module.exports = {
+    STORE_TYPES,
+    createAuthStore,
+    getAuthStoreOptions,
+    useStoredAuthState,
+    readStoredCreds
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+
+// Session leases for running several Baileys service instances side by side
+// Every session key is owned by at most one instance at a time; an instance keeps its leases by renewing them
+// and they lapse when it dies, so another instance can take the session over
+// Backends: sqlite (instances on one host) and postgres - both hold a lease and an instance table
+
+const LEASE_TABLE = 'baileys_session_leases';
+const INSTANCE_TABLE = 'baileys_instances';
+const STORE_TYPES = ['sqlite', 'postgres'];
+
+// SQLite backend using the built-in node:sqlite module (Node 22.5+)
+function createSqliteBackend({ filename }) {
+    const { DatabaseSync } = require('node:sqlite');
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    const db = new DatabaseSync(filename);
+    // Several processes write to the same file
+    db.exec('PRAGMA journal_mode = WAL');
+    db.exec('PRAGMA busy_timeout = 5000');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ${LEASE_TABLE} (
+            session_key TEXT PRIMARY KEY,
+            instance_id TEXT NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS ${INSTANCE_TABLE} (
+            instance_id TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            sessions INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL
+        )
+    `);
+
+    const statements = {
+        acquire: db.prepare(`
+            INSERT INTO ${LEASE_TABLE} (session_key, instance_id, expires_at) VALUES (?, ?, ?)
+            ON CONFLICT (session_key) DO UPDATE SET instance_id = excluded.instance_id, expires_at = excluded.expires_at
+            WHERE ${LEASE_TABLE}.instance_id = excluded.instance_id OR ${LEASE_TABLE}.expires_at <= ?
+        `),
+        renew: db.prepare(`UPDATE ${LEASE_TABLE} SET expires_at = ? WHERE instance_id = ?`),
+        listOwned: db.prepare(`SELECT session_key FROM ${LEASE_TABLE} WHERE instance_id = ? ORDER BY session_key`),
+        release: db.prepare(`DELETE FROM ${LEASE_TABLE} WHERE session_key = ? AND instance_id = ?`),
+        releaseAll: db.prepare(`DELETE FROM ${LEASE_TABLE} WHERE instance_id = ?`),
+        get: db.prepare(`
+            SELECT l.instance_id, i.url, l.expires_at FROM ${LEASE_TABLE} l
+            LEFT JOIN ${INSTANCE_TABLE} i ON i.instance_id = l.instance_id
+            WHERE l.session_key = ? AND l.expires_at > ?
+        `),
+        listLeases: db.prepare(`SELECT session_key, instance_id FROM ${LEASE_TABLE} WHERE expires_at > ? ORDER BY session_key`),
+        heartbeat: db.prepare(`
+            INSERT INTO ${INSTANCE_TABLE} (instance_id, url, sessions, expires_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (instance_id) DO UPDATE SET url = excluded.url, sessions = excluded.sessions, expires_at = excluded.expires_at
+        `),
+        removeInstance: db.prepare(`DELETE FROM ${INSTANCE_TABLE} WHERE instance_id = ?`),
+        pruneLeases: db.prepare(`DELETE FROM ${LEASE_TABLE} WHERE expires_at <= ?`),
+        pruneInstances: db.prepare(`DELETE FROM ${INSTANCE_TABLE} WHERE expires_at <= ?`),
+        listInstances: db.prepare(`SELECT instance_id, url, sessions FROM ${INSTANCE_TABLE} WHERE expires_at > ? ORDER BY instance_id`)
+    };
+
+    return {
+        name: 'sqlite',
+
+        async acquire(sessionKey, instanceId, expiresAt, now) {
+            return statements.acquire.run(sessionKey, instanceId, expiresAt, now).changes > 0;
+        },
+
+        async renew(instanceId, expiresAt) {
+            statements.renew.run(expiresAt, instanceId);
+            return statements.listOwned.all(instanceId).map(row => row.session_key);
+        },
+
+        async release(sessionKey, instanceId) {
+            statements.release.run(sessionKey, instanceId);
+        },
+
+        async releaseAll(instanceId) {
+            statements.releaseAll.run(instanceId);
+            statements.removeInstance.run(instanceId);
+        },
+
+        async get(sessionKey, now) {
+            const row = statements.get.get(sessionKey, now);
+            return row ? { instanceId: row.instance_id, url: row.url, expiresAt: row.expires_at } : null;
+        },
+
+        async listLeases(now) {
+            return statements.listLeases.all(now).map(row => ({ sessionKey: row.session_key, instanceId: row.instance_id }));
+        },
+
+        async heartbeat(instanceId, url, sessions, expiresAt) {
+            statements.heartbeat.run(instanceId, url, sessions, expiresAt);
+        },
+
+        async listInstances(now) {
+            return statements.listInstances.all(now).map(row => ({ instanceId: row.instance_id, url: row.url, sessions: row.sessions }));
+        },
+
+        async prune(now) {
+            statements.pruneLeases.run(now);
+            statements.pruneInstances.run(now);
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+// Postgres backend - can share the web app's database
+function createPostgresBackend({ connectionString }) {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString });
+    let ready = null;
+    // Create the tables on first use (and try again next time if the database was unreachable)
+    const query = async (sql, params) => {
+        ready = ready || pool.query(`
+            CREATE TABLE IF NOT EXISTS ${LEASE_TABLE} (
+                session_key TEXT PRIMARY KEY,
+                instance_id TEXT NOT NULL,
+                expires_at BIGINT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS ${INSTANCE_TABLE} (
+                instance_id TEXT PRIMARY KEY,
+                url TEXT NOT NULL,
+                sessions INTEGER NOT NULL,
+                expires_at BIGINT NOT NULL
+            )
+        `).catch(err => {
+            ready = null;
+            throw err;
+        });
+        await ready;
+        return pool.query(sql, params);
+    };
+
+    return {
+        name: 'postgres',
+
+        async acquire(sessionKey, instanceId, expiresAt, now) {
+            const { rowCount } = await query(`
+                INSERT INTO ${LEASE_TABLE} (session_key, instance_id, expires_at) VALUES ($1, $2, $3)
+                ON CONFLICT (session_key) DO UPDATE SET instance_id = EXCLUDED.instance_id, expires_at = EXCLUDED.expires_at
+                WHERE ${LEASE_TABLE}.instance_id = EXCLUDED.instance_id OR ${LEASE_TABLE}.expires_at <= $4
+            `, [sessionKey, instanceId, expiresAt, now]);
+            return rowCount > 0;
+        },
+
+        async renew(instanceId, expiresAt) {
+            const { rows } = await query(`UPDATE ${LEASE_TABLE} SET expires_at = $1 WHERE instance_id = $2 RETURNING session_key`, [expiresAt, instanceId]);
+            return rows.map(row => row.session_key).sort();
+        },
+
+        async release(sessionKey, instanceId) {
+            await query(`DELETE FROM ${LEASE_TABLE} WHERE session_key = $1 AND instance_id = $2`, [sessionKey, instanceId]);
+        },
+
+        async releaseAll(instanceId) {
+            await query(`DELETE FROM ${LEASE_TABLE} WHERE instance_id = $1`, [instanceId]);
+            await query(`DELETE FROM ${INSTANCE_TABLE} WHERE instance_id = $1`, [instanceId]);
+        },
+
+        async get(sessionKey, now) {
+            const { rows } = await query(`
+                SELECT l.instance_id, i.url, l.expires_at FROM ${LEASE_TABLE} l
+                LEFT JOIN ${INSTANCE_TABLE} i ON i.instance_id = l.instance_id
+                WHERE l.session_key = $1 AND l.expires_at > $2
+            `, [sessionKey, now]);
+            return rows[0] ? { instanceId: rows[0].instance_id, url: rows[0].url, expiresAt: Number(rows[0].expires_at) } : null;
+        },
+
+        async listLeases(now) {
+            const { rows } = await query(`SELECT session_key, instance_id FROM ${LEASE_TABLE} WHERE expires_at > $1 ORDER BY session_key`, [now]);
+            return rows.map(row => ({ sessionKey: row.session_key, instanceId: row.instance_id }));
+        },
+
+        async heartbeat(instanceId, url, sessions, expiresAt) {
+            await query(`
+                INSERT INTO ${INSTANCE_TABLE} (instance_id, url, sessions, expires_at) VALUES ($1, $2, $3, $4)
+                ON CONFLICT (instance_id) DO UPDATE SET url = EXCLUDED.url, sessions = EXCLUDED.sessions, expires_at = EXCLUDED.expires_at
+            `, [instanceId, url, sessions, expiresAt]);
+        },
+
+        async listInstances(now) {
+            const { rows } = await query(`SELECT instance_id, url, sessions FROM ${INSTANCE_TABLE} WHERE expires_at > $1 ORDER BY instance_id`, [now]);
+            return rows.map(row => ({ instanceId: row.instance_id, url: row.url, sessions: row.sessions }));
+        },
+
+        async prune(now) {
+            await query(`DELETE FROM ${LEASE_TABLE} WHERE expires_at <= $1`, [now]);
+            await query(`DELETE FROM ${INSTANCE_TABLE} WHERE expires_at <= $1`, [now]);
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+// Build a lease store for this instance; acquire/renew/release act on its own leases
+function createLeaseStore({ instanceId, url, ttl, ...options }) {
+    let backend;
+    switch (options.type) {
+        case 'sqlite':
+            backend = createSqliteBackend(options);
+            break;
+        case 'postgres':
+            if (!options.connectionString) {
+                throw new Error('The postgres lease store needs LEASE_STORE_URL (or AUTH_STORE_URL / DATABASE_URL)');
+            }
+            backend = createPostgresBackend(options);
+            break;
+        default:
+            throw new Error(`Unknown lease store "${options.type}" - use one of: ${STORE_TYPES.join(', ')}`);
+    }
+
+    return {
+        name: backend.name,
+        instanceId,
+        url,
+        ttl,
+
+        // True if this instance now holds the lease (free, expired or already ours)
+        acquire(sessionKey) {
+            const now = Date.now();
+            return backend.acquire(sessionKey, instanceId, now + ttl, now);
+        },
+
+        // Extend every lease we hold and announce ourselves; returns the session keys we still own
+        // Expired leases and instances are cleared out on the way (an expired lease is free anyway)
+        async renew(sessions) {
+            const now = Date.now();
+            await backend.prune(now);
+            await backend.heartbeat(instanceId, url, sessions, now + ttl);
+            return backend.renew(instanceId, now + ttl);
+        },
+
+        release: (sessionKey) => backend.release(sessionKey, instanceId),
+        releaseAll: () => backend.releaseAll(instanceId),
+        // Current owner of a session key ({ instanceId, url, expiresAt }), null when nobody holds it
+        getOwner: (sessionKey) => backend.get(sessionKey, Date.now()),
+        listLeases: () => backend.listLeases(Date.now()),
+        listInstances: () => backend.listInstances(Date.now()),
+        close: () => backend.close()
+    };
+}
+
+// Lease store options from the environment - sharding is off unless LEASE_STORE is set
+function getLeaseStoreOptions(env = process.env) {
+    return {
+        type: env.LEASE_STORE || null,
+        filename: env.LEASE_STORE_SQLITE_FILE || './data/leases.sqlite',
+        connectionString: env.LEASE_STORE_URL || env.AUTH_STORE_URL || env.DATABASE_URL || null
+    };
+}
+
+module.exports = {
+    STORE_TYPES,
+    createLeaseStore,
+    getLeaseStoreOptions
+};
@@ -0,0 +1,782 @@
+// OpenAPI description of the Baileys service API, served at /openapi.json
+// The same schemas check incoming params, query strings and bodies before a route runs, and the contract test
+// checks real responses against them. Only the JSON Schema keywords used below are supported: $ref, type,
+// nullable, enum, oneOf, properties, required, additionalProperties, items, minItems, maxItems, minLength,
+// maxLength, pattern, minimum and maximum
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// $ref ignores its siblings, so a nullable reference wraps it
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time' };
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+// { success: true, ...fields }
+const ok = (properties = {}, required = []) => object({ success: { type: 'boolean', enum: [true] }, ...properties }, ['success', ...required]);
+
+const MEDIA_TYPES = ['image', 'gif', 'video', 'audio', 'ptt', 'sticker'];
+const SESSION_STATES = ['connecting', 'qr_pending', 'pairing', 'reconnecting', 'connected'];
+const HEALTH_STATES = ['connected', 'needs_pairing', 'stopped', 'failed'];
+const JOB_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+const MESSAGE_STATUSES = ['error', 'pending', 'sent', 'server_ack', 'delivered', 'read', 'played'];
+
+const schemas = {
+    Error: object({
+        success: { type: 'boolean', enum: [false] },
+        code: { ...string, description: 'Machine-readable error code, e.g. validation_failed, not_connected, not_found' },
+        message: string,
+        errors: arrayOf(ref('FieldError'))
+    }, ['success', 'code', 'message']),
+    FieldError: object({
+        in: { type: 'string', enum: ['path', 'query', 'body'] },
+        field: string,
+        code: { type: 'string', enum: ['required', 'invalid_type', 'invalid_value', 'invalid_format', 'too_short', 'too_long', 'too_small', 'too_large'] },
+        message: string
+    }, ['in', 'field', 'code', 'message']),
+    Message: ok({ message: string }, ['message']),
+    MessageKey: object({ remoteJid: string, id: string, fromMe: boolean, participant: string }, ['remoteJid', 'id']),
+    Media: object({
+        type: { type: 'string', enum: MEDIA_TYPES },
+        url: string,
+        data: { ...string, description: 'Base64 or a data URL' },
+        path: { ...string, description: 'A file inside MEDIA_FOLDER' },
+        mimetype: string,
+        caption: string,
+        fileName: string
+    }, ['type']),
+    Poll: object({
+        name: string,
+        options: arrayOf(string),
+        selectableCount: integer
+    }, ['name', 'options']),
+    SendRequest: object({
+        phone: { ...string, description: 'Phone number (any format, see defaultRegion) or a JID' },
+        message: string,
+        type: { type: 'string', enum: ['text', 'poll'] },
+        media: ref('Media'),
+        gifUrl: string,
+        mentions: arrayOf(string),
+        replyTo: { oneOf: [string, object({ id: string, remoteJid: string, fromMe: boolean, participant: string, text: string }, ['id', 'remoteJid'])] },
+        poll: ref('Poll'),
+        natural: boolean,
+        idempotencyKey: string
+    }, ['phone']),
+    SendResult: object({
+        success: boolean,
+        message: string,
+        jobId: string,
+        queued: boolean,
+        messageId: nullable(string),
+        messageKey: nullable(ref('MessageKey')),
+        messageIds: arrayOf(string),
+        mediaSent: boolean,
+        mediaError: nullable(string)
+    }, ['success', 'message', 'jobId']),
+    Job: object({
+        id: string,
+        idempotencyKey: nullable(string),
+        type: string,
+        phone: string,
+        status: { type: 'string', enum: JOB_STATUSES },
+        attempts: integer,
+        lastError: nullable(string),
+        result: nullable(object({})),
+        createdAt: timestamp,
+        nextAttemptAt: nullable(timestamp),
+        sentAt: nullable(timestamp)
+    }, ['id', 'type', 'phone', 'status', 'attempts', 'createdAt']),
+    SessionHealth: object({
+        state: { type: 'string', enum: HEALTH_STATES },
+        action: string,
+        statusCode: nullable(integer),
+        reason: nullable(string),
+        error: nullable(string),
+        credsDeleted: boolean,
+        phoneNumber: nullable(string),
+        at: timestamp
+    }, ['state']),
+    ConnectionStatus: object({
+        isConnected: boolean,
+        phoneNumber: nullable(string),
+        hasQrCode: boolean,
+        hasPairingCode: boolean,
+        pairingCode: nullable(string),
+        usePairingCode: boolean,
+        health: nullable(ref('SessionHealth')),
+        message: string
+    }, ['isConnected', 'phoneNumber', 'hasQrCode', 'hasPairingCode', 'pairingCode', 'usePairingCode', 'health', 'message']),
+    QrCode: object({
+        success: boolean,
+        qrCode: nullable(string),
+        connected: boolean,
+        message: string
+    }, ['success', 'qrCode', 'connected']),
+    PairingCode: object({
+        success: boolean,
+        pairingCode: nullable(string),
+        connected: boolean,
+        message: string
+    }, ['success', 'pairingCode', 'connected', 'message']),
+    Account: object({
+        accountId: string,
+        hasCredentials: boolean,
+        state: string,
+        instanceId: string,
+        isConnected: boolean,
+        phoneNumber: nullable(string),
+        health: nullable({ type: 'string', enum: HEALTH_STATES })
+    }, ['accountId', 'hasCredentials', 'state', 'isConnected', 'phoneNumber', 'health']),
+    AdminSession: object({
+        sessionKey: string,
+        userId: string,
+        accountId: string,
+        state: { type: 'string', enum: [...SESSION_STATES, 'remote', 'logged_out', 'stopped', 'failed', 'offline'] },
+        instanceId: string,
+        phoneNumber: nullable(string),
+        hasCredentials: boolean,
+        connectionAttempts: integer,
+        lastDisconnect: nullable(object({ statusCode: nullable(integer), reason: nullable(string), error: nullable(string), at: timestamp })),
+        connectedAt: nullable(timestamp),
+        uptime: nullable(integer),
+        health: nullable({ type: 'string', enum: HEALTH_STATES }),
+        usePairingCode: boolean,
+        hasQrCode: boolean,
+        hasPairingCode: boolean,
+        lastActivityAt: nullable(timestamp),
+        reconnectPending: boolean,
+        pendingMessages: integer,
+        healthDetails: nullable(ref('SessionHealth'))
+    }, ['sessionKey', 'userId', 'accountId', 'state', 'phoneNumber', 'hasCredentials', 'connectionAttempts', 'health']),
+    Contact: object({
+        id: string,
+        name: string,
+        phone: string,
+        savedName: nullable(string),
+        notify: nullable(string),
+        verifiedName: nullable(string),
+        imgUrl: nullable(string),
+        lastInteractionAt: nullable(timestamp)
+    }, ['id', 'name', 'phone']),
+    NumberCheck: object({
+        input: {},
+        valid: boolean,
+        error: string,
+        e164: string,
+        region: nullable(string),
+        exists: boolean,
+        jid: nullable(string)
+    }, ['input', 'valid']),
+    Group: object({
+        id: string,
+        name: nullable(string),
+        participants: integer,
+        owner: nullable(string),
+        description: string,
+        createdAt: nullable(integer)
+    }, ['id', 'participants']),
+    GroupDetails: object({
+        id: string,
+        name: nullable(string),
+        participants: arrayOf(ref('Participant')),
+        owner: nullable(string),
+        description: string,
+        createdAt: nullable(integer),
+        size: integer,
+        announce: { ...boolean, description: 'Only admins can send' },
+        restrict: { ...boolean, description: 'Only admins can edit the group info' }
+    }, ['id', 'participants', 'size', 'announce', 'restrict']),
+    Participant: object({
+        id: string,
+        jid: nullable(string),
+        phone: nullable(string),
+        name: nullable(string),
+        admin: nullable(string),
+        isAdmin: boolean,
+        isSuperAdmin: boolean
+    }, ['id', 'isAdmin', 'isSuperAdmin']),
+    InboxMessage: object({
+        messageId: string,
+        remoteJid: string,
+        participant: nullable(string),
+        pushName: nullable(string),
+        type: string,
+        text: nullable(string),
+        reaction: nullable(object({ emoji: nullable(string), messageId: nullable(string) })),
+        inReplyTo: nullable(string),
+        receivedAt: timestamp,
+        readAt: nullable(timestamp),
+        ruleId: nullable(string)
+    }, ['messageId', 'remoteJid', 'type', 'receivedAt']),
+    SentMessage: object({
+        messageId: string,
+        remoteJid: string,
+        key: ref('MessageKey'),
+        text: nullable(string),
+        content: nullable(object({})),
+        resendOf: nullable(string),
+        editedAt: nullable(timestamp),
+        deletedAt: nullable(timestamp),
+        status: { type: 'string', enum: MESSAGE_STATUSES },
+        sentAt: timestamp,
+        serverAckAt: nullable(timestamp),
+        deliveredAt: nullable(timestamp),
+        readAt: nullable(timestamp),
+        playedAt: nullable(timestamp),
+        participants: { type: 'object', additionalProperties: object({ status: string, at: timestamp }) }
+    }, ['messageId', 'remoteJid', 'status', 'sentAt']),
+    RuleRequest: object({
+        name: string,
+        enabled: boolean,
+        match: object({ keywords: arrayOf(string), regex: string }),
+        conditions: object({
+            timeWindow: object({ start: string, end: string, timezone: string }),
+            afterOurMessage: object({ withinHours: number })
+        }),
+        cooldownMinutes: number,
+        actions: arrayOf(object({ type: string, message: string, emoji: string, quote: boolean }, ['type']))
+    }),
+    Rule: object({
+        id: string,
+        name: string,
+        enabled: boolean,
+        match: object({}),
+        conditions: object({}),
+        cooldownMinutes: number,
+        actions: arrayOf(object({ type: string })),
+        triggerCount: integer,
+        lastTriggeredAt: nullable(timestamp),
+        createdAt: timestamp,
+        updatedAt: timestamp
+    }, ['id', 'name', 'enabled', 'actions', 'triggerCount', 'createdAt', 'updatedAt']),
+    Schedule: object({
+        id: string,
+        phone: string,
+        sendAt: timestamp,
+        timezone: string,
+        localSendAt: string,
+        missedPolicy: { type: 'string', enum: ['send', 'skip', 'window'] },
+        missedWindowHours: number,
+        status: { type: 'string', enum: ['scheduled', 'queued', 'sent', 'failed', 'skipped', 'cancelled'] },
+        jobId: nullable(string),
+        messageId: nullable(string),
+        sentAt: nullable(timestamp),
+        reason: nullable(string),
+        createdAt: timestamp
+    }, ['id', 'phone', 'sendAt', 'timezone', 'status']),
+    Broadcast: object({
+        id: string,
+        status: { type: 'string', enum: ['running', 'completed', 'cancelled'] },
+        progress: object({ total: integer, pending: integer, queued: integer, sent: integer, failed: integer, cancelled: integer, invalid: integer }),
+        minDelaySeconds: number,
+        maxDelaySeconds: number,
+        createdAt: timestamp,
+        completedAt: nullable(timestamp),
+        recipients: arrayOf(ref('BroadcastRecipient'))
+    }, ['id', 'status', 'progress', 'createdAt']),
+    BroadcastRecipient: object({
+        index: integer,
+        phone: nullable(string),
+        message: string,
+        status: { type: 'string', enum: ['pending', 'queued', 'sent', 'failed', 'cancelled', 'invalid'] },
+        jobId: nullable(string),
+        messageId: nullable(string),
+        sentAt: nullable(timestamp),
+        error: nullable(string)
+    }, ['index', 'status']),
+    Settings: object({
+        defaultRegion: nullable(string),
+        naturalSend: nullable(boolean),
+        minDelaySeconds: nullable(number),
+        maxDelaySeconds: nullable(number),
+        dailySendCap: nullable(integer),
+        timezone: nullable(string)
+    }),
+    SendSettings: object({
+        naturalSend: boolean,
+        minDelaySeconds: number,
+        maxDelaySeconds: number,
+        dailySendCap: integer,
+        timezone: string
+    }, ['naturalSend', 'minDelaySeconds', 'maxDelaySeconds', 'dailySendCap', 'timezone'])
+};
+
+// Shared parameters
+const userIdParam = { name: 'userId', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }, description: 'The web app user' };
+const accountIdParam = { name: 'accountId', in: 'query', schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$' }, description: 'The WhatsApp account (default "default"); also taken from an accountId body field or the X-Account-Id header' };
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: { ...string, minLength: 1 }, description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+const userParams = [userIdParam, accountIdParam];
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const response = (description, schema) => ({ description, ...json(schema) });
+const errorResponse = (description) => response(description, ref('Error'));
+const body = (schema) => ({ required: true, ...json(schema) });
+
+// Every operation can fail like this
+const commonErrors = {
+    400: errorResponse('Invalid request (validation_failed, invalid_request, not_connected)'),
+    401: errorResponse('Missing or invalid credentials (unauthorized)'),
+    403: errorResponse('Not allowed for this caller (forbidden)'),
+    500: errorResponse('Unexpected error (internal_error)')
+};
+const operation = (summary, { params = userParams, requestBody, responses, security, tags }) => ({
+    summary,
+    ...(tags ? { tags } : {}),
+    ...(params.length ? { parameters: params } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    ...(security ? { security } : {}),
+    responses: { ...commonErrors, ...responses }
+});
+const notFound = { 404: errorResponse('Not found (not_found)') };
+const conflict = (description) => ({ 409: errorResponse(`${description} (conflict)`) });
+const sendResponses = {
+    200: response('Sent', ref('SendResult')),
+    202: response('Queued - sent once the session is connected, or retried', ref('SendResult'))
+};
+const publicOperation = { security: [] };
+
+const paths = {
+    '/openapi.json': {
+        get: operation('This document', { params: [], ...publicOperation, tags: ['Service'], responses: { 200: response('OpenAPI 3 document', object({})) } })
+    },
+    '/health': {
+        get: operation('Service health; admins also get the user ids in memory', {
+            params: [], ...publicOperation, tags: ['Service'],
+            responses: { 200: response('Up', object({ status: string, activeSessions: integer, instanceId: string, users: arrayOf(string) }, ['status', 'activeSessions'])) }
+        })
+    },
+    '/health/live': {
+        get: operation('Liveness', { params: [], ...publicOperation, tags: ['Service'], responses: { 200: response('Up', object({ status: string, uptime: integer }, ['status', 'uptime'])) } })
+    },
+    '/health/ready': {
+        get: operation('Readiness - saved sessions have been restored', {
+            params: [], ...publicOperation, tags: ['Service'],
+            responses: {
+                200: response('Ready', object({ status: string, restoration: string, activeSessions: integer }, ['status', 'restoration', 'activeSessions'])),
+                503: errorResponse('Starting or shutting down (unavailable)')
+            }
+        })
+    },
+    '/metrics': {
+        get: operation('Prometheus metrics', { params: [], tags: ['Service'], responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: string } } } } })
+    },
+    '/instances': {
+        get: operation('Instances sharing the sessions (admin)', {
+            params: [], tags: ['Admin'],
+            responses: { 200: response('Instances', ok({ sharding: boolean, instanceId: string, instances: arrayOf(object({ instanceId: string, url: string, sessions: integer, leases: integer })) }, ['sharding', 'instances'])) }
+        })
+    },
+    '/admin/sessions': {
+        get: operation('Every session the service knows about (admin)', { params: [], tags: ['Admin'], responses: { 200: response('Sessions', ok({ sessions: arrayOf(ref('AdminSession')) }, ['sessions'])) } })
+    },
+    '/admin/sessions/{userId}': {
+        get: operation('One session in detail (admin)', { tags: ['Admin'], responses: { 200: response('Session', ok({ session: ref('AdminSession') }, ['session'])), ...notFound } })
+    },
+    '/admin/sessions/{userId}/reconnect': {
+        post: operation('Reconnect with the saved creds (admin)', { tags: ['Admin'], responses: { 200: response('Reconnecting', ok({ session: ref('AdminSession') }, ['session'])), ...notFound } })
+    },
+    '/admin/sessions/{userId}/drop': {
+        post: operation('Close the socket, keep the creds (admin)', { tags: ['Admin'], responses: { 200: response('Dropped', ref('Message')), ...notFound } })
+    },
+    '/admin/sessions/{userId}/wipe': {
+        post: operation('Close the socket and delete the auth state (admin)', { tags: ['Admin'], responses: { 200: response('Wiped', ref('Message')), ...notFound } })
+    },
+    '/tokens/{userId}': {
+        post: operation('Issue a token scoped to one user', { tags: ['Sessions'], responses: { 200: response('Token', ok({ token: string, expiresAt: timestamp }, ['token', 'expiresAt'])) } })
+    },
+    '/accounts/{userId}': {
+        get: operation('Linked (and linking) WhatsApp accounts of a user', {
+            params: [userIdParam], tags: ['Sessions'],
+            responses: { 200: response('Accounts', ok({ accounts: arrayOf(ref('Account')) }, ['accounts'])) }
+        })
+    },
+    '/qr/{userId}': {
+        get: operation('Start a session if needed and get its QR code', {
+            tags: ['Sessions'],
+            responses: { 200: response('QR code, or why there is none yet (success: false)', ref('QrCode')), 503: errorResponse('Too many sessions on this instance (unavailable)') }
+        })
+    },
+    '/pairing-code/{userId}': {
+        post: operation('Link with a pairing code instead of a QR code', {
+            tags: ['Sessions'],
+            requestBody: body(object({ phoneNumber: string, region: string }, ['phoneNumber'])),
+            responses: { 200: response('Pairing code, or why there is none (success: false)', ref('PairingCode')), 503: errorResponse('Too many sessions on this instance (unavailable)') }
+        })
+    },
+    '/events/{userId}': {
+        get: operation('Server-Sent Events stream of the connection state', {
+            params: [...userParams, queryParam('token', string, 'A user token, as EventSource cannot send headers')], tags: ['Sessions'],
+            responses: { 200: { description: 'state, qr, pairing_code, connected, close, reconnecting, logged_out, ... events', content: { 'text/event-stream': { schema: string } } } }
+        })
+    },
+    '/status/{userId}': {
+        get: operation('Connection status (reconnects a saved session in the background)', {
+            tags: ['Sessions'],
+            responses: { 200: response('Status', ref('ConnectionStatus')) }
+        }),
+        post: operation('Post a WhatsApp Status (story) to the audience or every saved contact', {
+            tags: ['Messages'],
+            requestBody: body(object({
+                message: string,
+                media: ref('Media'),
+                gifUrl: string,
+                backgroundColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+                font: { type: 'string', enum: ['system', 'system-text', 'script', 'bold', 'morning-breeze', 'calistoga', 'exo2', 'courier-prime'] },
+                audience: arrayOf(string),
+                idempotencyKey: string
+            })),
+            responses: sendResponses
+        })
+    },
+    '/logout/{userId}': {
+        post: operation('Log out and delete the auth state', { tags: ['Sessions'], responses: { 200: response('Logged out', ref('Message')) } })
+    },
+    '/send/{userId}': {
+        post: operation('Send a text/media message or poll through the queue', { tags: ['Messages'], requestBody: body(ref('SendRequest')), responses: sendResponses })
+    },
+    '/react/{userId}': {
+        post: operation('React to a message ("" removes the reaction)', {
+            tags: ['Messages'],
+            requestBody: body(object({ messageId: string, key: ref('MessageKey'), emoji: string, idempotencyKey: string }, ['emoji'])),
+            responses: sendResponses
+        })
+    },
+    '/queue/{userId}': {
+        get: operation('The outbound queue', {
+            tags: ['Messages'],
+            responses: { 200: response('Jobs', ok({ pending: arrayOf(ref('Job')), failed: arrayOf(ref('Job')), sent: arrayOf(ref('Job')) }, ['pending', 'failed', 'sent'])) }
+        })
+    },
+    '/messages/{userId}/{messageId}/status': {
+        get: operation('Delivery status of a sent message', {
+            params: [...userParams, pathParam('messageId', 'WhatsApp message id')], tags: ['Messages'],
+            responses: { 200: response('Outbox record', { allOf: [ok(), ref('SentMessage')] }), ...notFound }
+        })
+    },
+    '/messages/{userId}/{messageId}': {
+        patch: operation('Edit the text of a sent message', {
+            params: [...userParams, pathParam('messageId', 'WhatsApp message id')], tags: ['Messages'],
+            requestBody: body(object({ message: { ...string, minLength: 1 }, idempotencyKey: string }, ['message'])),
+            responses: { ...sendResponses, ...notFound, ...conflict('Not a text message, deleted or too old to edit') }
+        }),
+        delete: operation('Delete a sent message for everyone', {
+            params: [...userParams, pathParam('messageId', 'WhatsApp message id')], tags: ['Messages'],
+            responses: { ...sendResponses, ...notFound, ...conflict('Already deleted or too old') }
+        })
+    },
+    '/messages/{userId}/{messageId}/resend': {
+        post: operation('Send the content of a sent message again to another recipient', {
+            params: [...userParams, pathParam('messageId', 'WhatsApp message id')], tags: ['Messages'],
+            requestBody: body(object({ phone: string, idempotencyKey: string }, ['phone'])),
+            responses: { ...sendResponses, ...notFound, ...conflict('The content was not kept') }
+        })
+    },
+    '/schedule/{userId}': {
+        post: operation('Schedule a message', {
+            tags: ['Messages'],
+            requestBody: body({
+                allOf: [ref('SendRequest'), object({
+                    sendAt: string,
+                    timezone: string,
+                    missedPolicy: { type: 'string', enum: ['send', 'skip', 'window'] },
+                    missedWindowHours: { type: 'number', minimum: 0 }
+                }, ['sendAt'])]
+            }),
+            responses: { 200: response('Scheduled', ok({ schedule: ref('Schedule') }, ['schedule'])) }
+        }),
+        get: operation('Scheduled messages', {
+            params: [...userParams, queryParam('status', { type: 'string', enum: ['scheduled', 'queued', 'sent', 'failed', 'skipped', 'cancelled'] }, 'Only schedules in this state')], tags: ['Messages'],
+            responses: { 200: response('Schedules', ok({ schedules: arrayOf(ref('Schedule')) }, ['schedules'])) }
+        })
+    },
+    '/schedule/{userId}/{scheduleId}': {
+        delete: operation('Cancel a scheduled message', {
+            params: [...userParams, pathParam('scheduleId')], tags: ['Messages'],
+            responses: { 200: response('Cancelled', ok({ schedule: ref('Schedule') }, ['schedule'])), ...notFound, ...conflict('Already sent or cancelled') }
+        })
+    },
+    '/broadcast/{userId}': {
+        post: operation('Send a templated message to many recipients', {
+            tags: ['Messages'],
+            requestBody: body(object({
+                template: string,
+                recipients: { type: 'array', minItems: 1, maxItems: 500, items: object({ phone: string, message: string, variables: object({}) }) },
+                media: ref('Media'),
+                gifUrl: string,
+                minDelaySeconds: { type: 'number', minimum: 0 },
+                maxDelaySeconds: { type: 'number', minimum: 0 },
+                natural: boolean,
+                idempotencyKey: string
+            }, ['recipients'])),
+            responses: { 202: response('Started', ok({ batch: ref('Broadcast') }, ['batch'])) }
+        }),
+        get: operation('Broadcasts, without recipients', { tags: ['Messages'], responses: { 200: response('Broadcasts', ok({ batches: arrayOf(ref('Broadcast')) }, ['batches'])) } })
+    },
+    '/broadcast/{userId}/{batchId}': {
+        get: operation('Broadcast progress per recipient', {
+            params: [...userParams, pathParam('batchId')], tags: ['Messages'],
+            responses: { 200: response('Broadcast', ok({ batch: ref('Broadcast') }, ['batch'])), ...notFound }
+        }),
+        delete: operation('Cancel the rest of a broadcast', {
+            params: [...userParams, pathParam('batchId')], tags: ['Messages'],
+            responses: { 200: response('Cancelled', ok({ batch: ref('Broadcast') }, ['batch'])), ...notFound, ...conflict('Already finished') }
+        })
+    },
+    '/inbox/{userId}': {
+        get: operation('Incoming messages from chats we sent to, newest first', {
+            params: [...userParams, queryParam('limit', { type: 'integer', minimum: 1 }, 'Default 50'), queryParam('remoteJid', string, 'Only this chat')], tags: ['Incoming'],
+            responses: { 200: response('Messages', ok({ messages: arrayOf(ref('InboxMessage')) }, ['messages'])) }
+        })
+    },
+    '/rules/{userId}': {
+        get: operation('Auto-reply rules', { tags: ['Incoming'], responses: { 200: response('Rules', ok({ rules: arrayOf(ref('Rule')) }, ['rules'])) } }),
+        post: operation('Create a rule', { tags: ['Incoming'], requestBody: body(ref('RuleRequest')), responses: { 200: response('Created', ok({ rule: ref('Rule') }, ['rule'])) } })
+    },
+    '/rules/{userId}/{ruleId}': {
+        get: operation('One rule', { params: [...userParams, pathParam('ruleId')], tags: ['Incoming'], responses: { 200: response('Rule', ok({ rule: ref('Rule') }, ['rule'])), ...notFound } }),
+        put: operation('Update a rule (fields not given are kept)', {
+            params: [...userParams, pathParam('ruleId')], tags: ['Incoming'],
+            requestBody: body(ref('RuleRequest')),
+            responses: { 200: response('Updated', ok({ rule: ref('Rule') }, ['rule'])), ...notFound }
+        }),
+        delete: operation('Delete a rule', { params: [...userParams, pathParam('ruleId')], tags: ['Incoming'], responses: { 200: response('Deleted', ref('Message')), ...notFound } })
+    },
+    '/contacts/{userId}': {
+        get: operation('Synced contacts, most recent conversation first', {
+            params: [
+                ...userParams,
+                queryParam('page', { type: 'integer', minimum: 1 }),
+                queryParam('pageSize', { type: 'integer', minimum: 1 }, 'Default 100, max 500'),
+                queryParam('search', string, 'Name, push name or number'),
+                queryParam('includePictures', { type: 'boolean' }, 'Fetch profile pictures for the page')
+            ],
+            tags: ['Contacts'],
+            responses: { 200: response('Contacts', ok({ contacts: arrayOf(ref('Contact')), count: integer, total: integer, page: integer, pageSize: integer }, ['contacts', 'count', 'total', 'page', 'pageSize'])) }
+        })
+    },
+    '/check/{userId}': {
+        post: operation('Which numbers are valid and have WhatsApp', {
+            tags: ['Contacts'],
+            requestBody: body(object({ phones: { type: 'array', minItems: 1, maxItems: 100, items: {} }, region: string }, ['phones'])),
+            responses: { 200: response('Results in the order given', ok({ results: arrayOf(ref('NumberCheck')) }, ['results'])) }
+        })
+    },
+    '/settings/{userId}': {
+        get: operation('Per-user settings', {
+            tags: ['Settings'],
+            responses: { 200: response('Settings', ok({ settings: ref('Settings'), effectiveRegion: nullable(string), effectiveSending: ref('SendSettings') }, ['settings', 'effectiveRegion', 'effectiveSending'])) }
+        }),
+        put: operation('Change settings (null goes back to the default)', {
+            tags: ['Settings'],
+            requestBody: body(ref('Settings')),
+            responses: { 200: response('Saved', ok({ settings: ref('Settings') }, ['settings'])) }
+        })
+    },
+    '/groups/{userId}': {
+        get: operation('Groups the account is in, newest first', {
+            params: [...userParams, queryParam('refresh', { type: 'boolean' }, 'Refetch instead of using the cache')], tags: ['Groups'],
+            responses: { 200: response('Groups', ok({ groups: arrayOf(ref('Group')) }, ['groups'])) }
+        })
+    },
+    '/groups/{userId}/{groupId}': {
+        get: operation('A group with its participants', {
+            params: [...userParams, pathParam('groupId', 'Group JID')], tags: ['Groups'],
+            responses: {
+                200: response('Group', ok({ group: ref('GroupDetails') }, ['group'])),
+                ...notFound
+            }
+        })
+    },
+    '/groups/{userId}/{groupId}/mention': {
+        post: operation('Send a group message that @-mentions participants (or everyone)', {
+            params: [...userParams, pathParam('groupId', 'Group JID')], tags: ['Groups'],
+            requestBody: body(object({ message: string, participants: arrayOf(string), all: boolean, media: ref('Media'), gifUrl: string, idempotencyKey: string })),
+            responses: { ...sendResponses, ...notFound }
+        })
+    }
+};
+
+const document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'HBDrop Baileys service',
+        version: '1.0.0',
+        description: 'Multi-user WhatsApp messaging over Baileys. Errors always have the Error shape; ' +
+            'validation errors list every problem in errors'
+    },
+    security: [{ bearer: [] }, { apiKey: [] }, { hmac: [] }],
+    paths,
+    components: {
+        schemas,
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer', description: 'API_KEY, ADMIN_API_KEY or a token from /tokens' },
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            hmac: { type: 'apiKey', in: 'header', name: 'X-HBDrop-Signature', description: 'sha256=<hex HMAC of "timestamp.METHOD.path.body"> with X-HBDrop-Timestamp' }
+        }
+    }
+};
+
+// Validation
+
+const TYPE_NAMES = { string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false', array: 'an array', object: 'an object' };
+
+function resolveSchema(schema) {
+    while (schema?.$ref) {
+        schema = schemas[schema.$ref.split('/').pop()];
+    }
+    return schema;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function joinField(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : key;
+}
+
+// Check value against schema, appending { in, field, code, message } for every problem to errors
+function validateSchema(schema, value, { location = 'body', field = '', errors = [] } = {}) {
+    schema = resolveSchema(schema);
+    const fail = (code, message) => errors.push({ in: location, field: field || location, code, message: `${field || location} ${message}` });
+
+    if (value === null) {
+        if (schema.nullable) return errors;
+        if (schema.type) {
+            fail('invalid_type', `must be ${TYPE_NAMES[schema.type]}`);
+        }
+        for (const part of schema.allOf || []) {
+            validateSchema(part, value, { location, field, errors });
+        }
+        return errors;
+    }
+    if (schema.allOf) {
+        for (const part of schema.allOf) {
+            validateSchema(part, value, { location, field, errors });
+        }
+    }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => validateSchema(option, value, { location, field }).length === 0);
+        if (matches.length !== 1) {
+            fail('invalid_type', `must be ${schema.oneOf.map(option => TYPE_NAMES[resolveSchema(option).type]).join(' or ')}`);
+        }
+        return errors;
+    }
+    if (schema.type && !matchesType(schema.type, value)) {
+        fail('invalid_type', `must be ${TYPE_NAMES[schema.type]}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('invalid_value', `must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('too_short', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('too_long', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail('invalid_format', `must match ${schema.pattern}`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('too_small', `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('too_large', `must be at most ${schema.maximum}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('too_short', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail('too_long', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateSchema(schema.items, item, { location, field: joinField(field, index), errors }));
+        }
+    }
+    if (matchesType('object', value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ in: location, field: joinField(field, key), code: 'required', message: `${joinField(field, key)} is required` });
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key] ??
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (propertySchema && item !== undefined) {
+                validateSchema(propertySchema, item, { location, field: joinField(field, key), errors });
+            }
+        }
+    }
+    return errors;
+}
+
+// Path and query values arrive as strings
+function coerceParam(schema, value) {
+    const type = resolveSchema(schema)?.type;
+    if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+    if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+// Problems with a request for an operation of the document, an empty array when it is fine
+function validateRequest(operation, { params = {}, query = {}, body } = {}) {
+    const errors = [];
+    for (const param of operation.parameters || []) {
+        const source = param.in === 'path' ? params : param.in === 'query' ? query : null;
+        if (!source) continue;
+        const value = source[param.name];
+        if (value === undefined || value === '') {
+            if (param.required) {
+                errors.push({ in: param.in, field: param.name, code: 'required', message: `${param.name} is required` });
+            }
+            continue;
+        }
+        if (typeof value !== 'string') {
+            errors.push({ in: param.in, field: param.name, code: 'invalid_type', message: `${param.name} must be given once` });
+            continue;
+        }
+        validateSchema(param.schema, coerceParam(param.schema, value), { location: param.in, field: param.name, errors });
+    }
+
+    const bodySchema = operation.requestBody?.content['application/json'].schema;
+    if (bodySchema) {
+        validateSchema(bodySchema, body ?? {}, { location: 'body', errors });
+    }
+    return errors;
+}
+
+// The response schema an operation documents for a status code and content type
+function getResponseSchema(operation, status, contentType = 'application/json') {
+    return operation.responses[status]?.content?.[contentType]?.schema || null;
+}
+
+// /send/{userId} -> /send/:userId
+function toExpressPath(route) {
+    return route.replace(/\{(\w+)\}/g, ':$1');
+}
+
+module.exports = {
+    document,
+    validateSchema,
+    validateRequest,
+    getResponseSchema,
+    toExpressPath
+};
@@ -1,51 +1,598 @@
 const express = require('express');
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const P = require('pino');
+const promClient = require('prom-client');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const vm = require('vm');
+const { execFile } = require('child_process');
+const EventEmitter = require('events');
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+const { createAuthStore, getAuthStoreOptions, useStoredAuthState, readStoredCreds } = require('./auth-store');
+const { createLeaseStore, getLeaseStoreOptions } = require('./lease-store');
+const { document: openApiDocument, validateRequest, toExpressPath } = require('./openapi');
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around for HMAC signature checks
+app.use(express.json({
+    limit: '25mb', // Base64 media in /send
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Store multiple user sessions: Map<userId, sessionData>
 const userSessions = new Map();
 
-const AUTH_FOLDER_BASE = './auth_info';
-const MAX_RETRIES = 10; // Increased from 3 to handle temporary network issues
-const INITIAL_RETRY_DELAY = 2000; // Start with 2 seconds
+const AUTH_FOLDER_BASE = process.env.AUTH_FOLDER || './auth_info';
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '', 10) || 10; // Increased from 3 to handle temporary network issues
+const INITIAL_RETRY_DELAY = parseInt(process.env.RECONNECT_DELAY_MS || '', 10) || 2000; // Start with 2 seconds
+const MAX_RETRY_DELAY = 30000;
 
-const logger = P({ level: 'silent' });
+// Auth state backend (AUTH_STORE=filesystem|sqlite|postgres), see auth-store.js
+// It is encrypted at rest when ENCRYPTION_MASTER_KEY is set (same key as the web app's Encryption:MasterKey)
+const AUTH_STORE_OPTIONS = getAuthStoreOptions();
+
+// Media settings for /send
+const MEDIA_FOLDER = process.env.MEDIA_FOLDER || './media'; // Local files must live here
+const MEDIA_CACHE_FOLDER = process.env.MEDIA_CACHE_FOLDER || './media_cache';
+const MAX_MEDIA_BYTES = parseInt(process.env.MAX_MEDIA_BYTES || '', 10) || 16 * 1024 * 1024; // WhatsApp limit is 16MB for most media
+const MEDIA_DOWNLOAD_TIMEOUT = 15000;
+const MEDIA_CACHE_MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES || '', 10) || 500 * 1024 * 1024;
+const MEDIA_CACHE_MAX_AGE = (parseInt(process.env.MEDIA_CACHE_MAX_AGE_HOURS || '', 10) || 7 * 24) * 60 * 60 * 1000;
+// WhatsApp only animates MP4s, so .gif files are converted with ffmpeg
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const GIF_CONVERT_TIMEOUT = 30000;
+// Media URLs come from API callers, so downloads may not reach loopback, link-local or private addresses
+// unless the host is listed in MEDIA_ALLOWED_HOSTS (e.g. an internal CDN)
+const MEDIA_ALLOWED_HOSTS = (process.env.MEDIA_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const MEDIA_MAX_REDIRECTS = 5;
+
+// Outbound message queue settings
+const DATA_FOLDER_BASE = process.env.DATA_FOLDER || './data'; // Per-user service data, next to auth_info
+const QUEUE_MAX_ATTEMPTS = 5;
+const QUEUE_RETRY_DELAY = parseInt(process.env.QUEUE_RETRY_DELAY_MS || '', 10) || 5000; // Doubles on every failed attempt
+const QUEUE_SEND_INTERVAL = parseInt(process.env.QUEUE_SEND_INTERVAL || '', 10) || 3000; // Minimum gap between sends per account
+const QUEUE_HISTORY_LIMIT = 500; // Finished jobs kept for idempotency and GET /queue
+const SEND_WAIT_TIMEOUT = 20000; // How long /send waits for a queued job before answering 202
+
+// Natural send settings (typing presence and random pauses so sends look less like a bot), overridable per user
+const NATURAL_SEND = process.env.NATURAL_SEND === 'true';
+const NATURAL_MIN_DELAY = (parseFloat(process.env.NATURAL_SEND_MIN_DELAY_SECONDS || '') || 3) * 1000; // Pause after typing
+const NATURAL_MAX_DELAY = (parseFloat(process.env.NATURAL_SEND_MAX_DELAY_SECONDS || '') || 12) * 1000;
+const NATURAL_TYPING_SPEED = parseFloat(process.env.NATURAL_TYPING_CHARS_PER_SECOND || '') || 8;
+const NATURAL_TYPING_MIN = 1000;
+const NATURAL_TYPING_MAX = 15000; // Long messages would hold up the queue
+const DAILY_SEND_CAP = parseInt(process.env.DAILY_SEND_CAP || '', 10) || 0; // Messages per user per day, 0 for no cap
+
+// Webhook settings (receipts and other events are POSTed to the web app)
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_DELAY = 2000; // Doubles on every failed attempt
+const WEBHOOK_TIMEOUT = 10000;
+const MESSAGE_HISTORY_LIMIT = 1000; // Sent messages tracked per user for receipts, edits and resends
+const MESSAGE_EDIT_WINDOW = 15 * 60 * 1000; // WhatsApp ignores edits after 15 minutes
+const MESSAGE_DELETE_WINDOW = 60 * 60 * 60 * 1000; // Delete for everyone works for about 60 hours
+const REACTION_EMOJI_PATTERN = /^(\p{RGI_Emoji}|\p{Extended_Pictographic}\uFE0F?)$/v; // One emoji, e.g. "🎉", "👍🏽" or "❤"
+
+// Broadcast settings
+const BROADCAST_MAX_RECIPIENTS = 500;
+const BROADCAST_MIN_DELAY = (parseFloat(process.env.BROADCAST_MIN_DELAY_SECONDS || '') || 8) * 1000; // Random gap between recipients
+const BROADCAST_MAX_DELAY = (parseFloat(process.env.BROADCAST_MAX_DELAY_SECONDS || '') || 25) * 1000;
+const BROADCAST_HISTORY_LIMIT = 50; // Batches kept per user
+
+// Scheduled send settings
+const SCHEDULE_CHECK_INTERVAL = 15000;
+const SCHEDULE_HISTORY_LIMIT = 500; // Finished schedules kept for GET /schedule
+const SCHEDULE_FINISHED_STATUSES = ['sent', 'failed', 'skipped', 'cancelled'];
+const SCHEDULE_MISSED_POLICIES = ['send', 'skip', 'window'];
+const SCHEDULE_DEFAULT_MISSED_POLICY = process.env.SCHEDULE_MISSED_POLICY || 'window';
+const SCHEDULE_DEFAULT_MISSED_WINDOW_HOURS = parseFloat(process.env.SCHEDULE_MISSED_WINDOW_HOURS || '') || 12;
+
+// API authentication settings - auth is disabled when neither API_KEY nor API_HMAC_SECRET is set
+const API_KEY = process.env.API_KEY || null; // Shared secret for the web app
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_HMAC_SECRET = process.env.API_HMAC_SECRET || null; // Signed requests instead of a bearer key
+const USER_TOKEN_SECRET = process.env.USER_TOKEN_SECRET || API_KEY; // Signs per-user scoped tokens
+const USER_TOKEN_TTL = (parseFloat(process.env.USER_TOKEN_TTL_HOURS || '') || 24) * 3600; // Seconds a scoped token stays valid
+const HMAC_MAX_SKEW = 5 * 60 * 1000;
+const AUTH_ENABLED = !!(API_KEY || API_HMAC_SECRET);
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready', '/openapi.json'];
+
+// Contact sync settings
+const CONTACTS_SAVE_DELAY = 2000; // Contact events come in bursts (history sync), writes are batched
+const CONTACTS_PAGE_SIZE = 100;
+const CONTACTS_MAX_PAGE_SIZE = 500;
+const PROFILE_PICTURE_TTL = 24 * 60 * 60 * 1000; // WhatsApp picture URLs expire, refetch after a day
+
+// Group cache settings
+const GROUPS_CACHE_TTL = 60 * 60 * 1000; // Full refetch now and then in case an event was missed
+
+// Incoming message and auto-reply rule settings
+const INBOX_HISTORY_LIMIT = 1000; // Incoming messages kept per user
+const RULE_ACTIONS = ['reply', 'react', 'read'];
+const RULE_DEFAULT_COOLDOWN_MINUTES = 60; // Per rule and chat, so auto-replies can't ping-pong
+const RULE_DEFAULT_AFTER_MESSAGE_HOURS = 72;
+const RULE_REGEX_MAX_LENGTH = 200;
+const RULE_REGEX_TIMEOUT = 50; // ms a rule's regex may run on one message before it counts as no match
+const RULE_COOLDOWN_SWEEP_INTERVAL = 10 * 60 * 1000;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 00:00-23:59
+
+// Phone number settings
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || '').toUpperCase() || null; // ISO country for national numbers, overridable per user
+const CHECK_MAX_NUMBERS = 100; // Per POST /check request
+
+// Multiple WhatsApp accounts per user - every account gets its own session key, the default one is the bare userId
+const DEFAULT_ACCOUNT = 'default';
+const ACCOUNT_SEPARATOR = '~';
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Also keeps userIds usable as folder names
+
+// Real-time connection events (Server-Sent Events)
+const EVENTS_KEEPALIVE_INTERVAL = 25000;
+const PAIRING_CODE_TIMEOUT = 10000;
+
+// Session lifecycle settings
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS || '', 10) || 100; // Concurrent sockets per instance
+const QR_IDLE_TIMEOUT = (parseInt(process.env.QR_IDLE_TIMEOUT_SECONDS || '', 10) || 300) * 1000; // Unauthenticated sessions nobody is polling
+const SESSION_SWEEP_INTERVAL = 30000;
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT || '', 10) || 10000; // Max time to drain sends and flush creds
+const SESSION_RESTORE_DELAY = 2000; // Between restored connections, to avoid overwhelming WhatsApp servers
+
+// Sharding settings - with LEASE_STORE=sqlite|postgres, instances split the sessions between them (see lease-store.js)
+const LEASE_STORE_OPTIONS = getLeaseStoreOptions();
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+const INSTANCE_URL = process.env.INSTANCE_URL || `http://${os.hostname()}:${process.env.PORT || 3000}`; // How other instances reach this one
+const LEASE_TTL = (parseInt(process.env.LEASE_TTL_SECONDS || '', 10) || 30) * 1000; // How long a dead instance keeps its sessions
+const LEASE_RENEW_INTERVAL = LEASE_TTL / 3;
+const FORWARDED_HEADER = 'X-HBDrop-Forwarded-By';
+
+// Structured JSON logs - every entry carries an event name and, where relevant, the userId
+const log = P({
+    level: process.env.LOG_LEVEL || 'info',
+    base: { service: 'hbdrop-baileys' },
+    timestamp: P.stdTimeFunctions.isoTime
+});
+// Baileys' own logging is very chatty, so it has a separate level
+const logger = log.child({ component: 'baileys' }, { level: process.env.BAILEYS_LOG_LEVEL || 'silent' });
+
+let restorationState = 'pending'; // pending -> running -> complete, drives /health/ready
+
+const authStore = createAuthStore(AUTH_STORE_OPTIONS);
+const leaseStore = LEASE_STORE_OPTIONS.type
+    ? createLeaseStore({ ...LEASE_STORE_OPTIONS, instanceId: INSTANCE_ID, url: INSTANCE_URL, ttl: LEASE_TTL })
+    : null;
 
 // Ensure base auth folder exists
-if (!fs.existsSync(AUTH_FOLDER_BASE)) {
+if (authStore.name === 'filesystem' && !fs.existsSync(AUTH_FOLDER_BASE)) {
     fs.mkdirSync(AUTH_FOLDER_BASE, { recursive: true });
 }
 
-// Get user's auth folder
-function getUserAuthFolder(userId) {
-    const folder = path.join(AUTH_FOLDER_BASE, userId.toString());
+// Ensure media cache folder exists
+if (!fs.existsSync(MEDIA_CACHE_FOLDER)) {
+    fs.mkdirSync(MEDIA_CACHE_FOLDER, { recursive: true });
+}
+
+// Ensure base data folder exists
+if (!fs.existsSync(DATA_FOLDER_BASE)) {
+    fs.mkdirSync(DATA_FOLDER_BASE, { recursive: true });
+}
+
+// Sessions, auth state and data folders are keyed by session key: "<userId>" or "<userId>~<accountId>"
+// so folders from before multi-account support are the default account
+function getSessionKey(userId, accountId = DEFAULT_ACCOUNT) {
+    return accountId === DEFAULT_ACCOUNT ? userId : `${userId}${ACCOUNT_SEPARATOR}${accountId}`;
+}
+
+function parseSessionKey(sessionKey) {
+    const [userId, accountId = DEFAULT_ACCOUNT] = String(sessionKey).split(ACCOUNT_SEPARATOR);
+    return { userId, accountId };
+}
+
+// Check for saved credentials in the auth store
+function hasAuthCredentials(userId) {
+    return authStore.has(userId, 'creds.json');
+}
+
+// Get user's data folder (queue, schedules, ...) - kept outside auth_info so logout doesn't wipe it
+function getUserDataFolder(userId) {
+    const folder = path.resolve(DATA_FOLDER_BASE, userId.toString());
+    // Only ever a folder directly inside the data folder, whatever reached us as a user id
+    if (path.dirname(folder) !== path.resolve(DATA_FOLDER_BASE)) {
+        throw new Error(`Invalid user id for the data folder: ${userId}`);
+    }
     if (!fs.existsSync(folder)) {
         fs.mkdirSync(folder, { recursive: true });
     }
     return folder;
 }
 
+function readJsonFile(filePath, fallback) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (err) {
+        log.error({ event: 'file_read_failed', file: filePath, err }, 'Error reading JSON file');
+    }
+    return fallback;
+}
+
+// Write via a temp file + rename so a crash never leaves a half-written file
+function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+// Metrics (Prometheus, served at /metrics)
+
+promClient.collectDefaultMetrics({ prefix: 'hbdrop_baileys_' });
+
+// connected, qr_pending, pairing, reconnecting or connecting
+function getSessionState(session) {
+    if (session.isConnected) return 'connected';
+    if (session.qrCodeData) return 'qr_pending';
+    if (session.usePairingCode) return 'pairing';
+    if (session.connectionAttempts > 0) return 'reconnecting';
+    return 'connecting';
+}
+
+const metrics = {
+    sessions: new promClient.Gauge({
+        name: 'hbdrop_sessions',
+        help: 'WhatsApp sessions in memory by state',
+        labelNames: ['state'],
+        collect() {
+            this.reset();
+            for (const session of userSessions.values()) {
+                this.inc({ state: getSessionState(session) });
+            }
+        }
+    }),
+    queueJobs: new promClient.Gauge({
+        name: 'hbdrop_queue_jobs',
+        help: 'Outbound queue jobs by status (loaded queues only)',
+        labelNames: ['status'],
+        collect() {
+            this.reset();
+            for (const queue of userQueues.values()) {
+                for (const job of queue.jobs) {
+                    this.inc({ status: job.status });
+                }
+            }
+        }
+    }),
+    reconnectAttempts: new promClient.Counter({
+        name: 'hbdrop_reconnect_attempts_total',
+        help: 'Reconnect attempts scheduled after a connection closed'
+    }),
+    disconnects: new promClient.Counter({
+        name: 'hbdrop_disconnects_total',
+        help: 'Connection closes by WhatsApp status code',
+        labelNames: ['status_code']
+    }),
+    sends: new promClient.Counter({
+        name: 'hbdrop_messages_sent_total',
+        help: 'Send attempts by outcome (sent, retry, failed)',
+        labelNames: ['outcome']
+    }),
+    sendDuration: new promClient.Histogram({
+        name: 'hbdrop_send_duration_seconds',
+        help: 'Time taken to deliver a message to WhatsApp',
+        labelNames: ['outcome'],
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    }),
+    webhooks: new promClient.Counter({
+        name: 'hbdrop_webhooks_total',
+        help: 'Webhook deliveries by outcome (delivered, retry, failed)',
+        labelNames: ['outcome']
+    }),
+    sessionsGivenUp: new promClient.Counter({
+        name: 'hbdrop_sessions_given_up_total',
+        help: 'Sessions no longer reconnected by health state (needs_pairing, stopped, failed)',
+        labelNames: ['state']
+    })
+};
+
+// Session events
+// Every connection.update change is published per user; the last known state is replayed to new subscribers
+
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+const sessionStates = new Map(); // Map<userId, last known state>
+
+function publishSessionEvent(userId, type, data = {}) {
+    const event = { type, userId, at: new Date().toISOString(), ...data };
+    
+    // Fold the event into the snapshot that late subscribers get
+    const previous = sessionStates.get(userId) || {};
+    const state = { ...previous, state: type, at: event.at, ...data };
+    if (type !== 'qr') state.qrCode = null;
+    if (type !== 'pairing_code') state.pairingCode = null;
+    if (type === 'open' || type === 'connecting' || type === 'qr' || type === 'pairing_code') {
+        state.statusCode = null;
+        state.statusDescription = null;
+    }
+    sessionStates.set(userId, state);
+    
+    sessionEvents.emit(userId, event);
+}
+
+// Resolve with the first matching event, or null after timeout ms
+function waitForSessionEvent(userId, types, timeout) {
+    return new Promise(resolve => {
+        const onEvent = (event) => {
+            if (types.includes(event.type)) finish(event);
+        };
+        const timer = setTimeout(() => finish(null), timeout);
+        function finish(event) {
+            clearTimeout(timer);
+            sessionEvents.off(userId, onEvent);
+            resolve(event);
+        }
+        sessionEvents.on(userId, onEvent);
+    });
+}
+
+// Socket factory - Baileys by default; the test suite swaps in scripted fake sockets (test/fake-socket.js)
+let socketFactory = {
+    makeSocket: makeWASocket,
+    fetchVersion: fetchLatestBaileysVersion
+};
+
+function setSocketFactory(factory) {
+    socketFactory = { ...socketFactory, ...factory };
+}
+
+// Session health
+// A closed connection is handled by the policy for its status code: retry with backoff, repair (the link is gone -
+// delete the creds so the user links again), wipe (the same, without telling the user) or alert (stop, keep the creds).
+// Giving up is recorded in data/<userId>/health.json and sent as a session.alert webhook, so the web app can email the user
+
+const DISCONNECT_ACTIONS = ['retry', 'repair', 'wipe', 'alert'];
+
+// retries: reconnects before giving up (default MAX_RETRIES), counted since the last successful open or, with window,
+// within that many ms; then: what to do once they run out (default: record the session as failed)
+const DEFAULT_DISCONNECT_POLICIES = {
+    [DisconnectReason.loggedOut]: { action: 'repair' },
+    [DisconnectReason.forbidden]: { action: 'alert' },
+    [DisconnectReason.multideviceMismatch]: { action: 'repair' },
+    // Another client uses the same creds - every reconnect kicks it off and it kicks us back
+    [DisconnectReason.connectionReplaced]: { action: 'retry', retries: 2, window: 10 * 60 * 1000, then: 'alert' }
+};
+
+// Health state recorded for each way of giving up
+const GIVE_UP_OUTCOMES = {
+    repair: { state: 'needs_pairing', wipeCreds: true, notify: true, event: 'logged_out' },
+    wipe: { state: 'needs_pairing', wipeCreds: true, notify: false, event: 'logged_out' },
+    alert: { state: 'stopped', wipeCreds: false, notify: true, event: 'stopped' },
+    exhausted: { state: 'failed', wipeCreds: false, notify: true, event: 'failed' }
+};
+
+const HEALTH_MESSAGES = {
+    needs_pairing: 'WhatsApp was unlinked. Please link your device again.',
+    stopped: 'WhatsApp connection stopped. Please reconnect.',
+    failed: 'Max reconnection attempts reached. Please reconnect.'
+};
+
+// DISCONNECT_POLICY overrides the defaults per status code, e.g. "440=alert,408=retry:5"
+function parseDisconnectPolicies(value) {
+    const policies = { ...DEFAULT_DISCONNECT_POLICIES };
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [, statusCode, action, retries] = entry.match(/^(\d{3})=(\w+)(?::(\d+))?$/) || [];
+        if (!statusCode || !DISCONNECT_ACTIONS.includes(action)) {
+            throw new Error(`Invalid DISCONNECT_POLICY entry "${entry}" - use <status code>=<${DISCONNECT_ACTIONS.join('|')}>[:retries]`);
+        }
+        policies[statusCode] = { action, retries: retries === undefined ? undefined : parseInt(retries, 10) };
+    }
+    return policies;
+}
+
+const DISCONNECT_POLICIES = parseDisconnectPolicies(process.env.DISCONNECT_POLICY);
+
+function getDisconnectPolicy(statusCode) {
+    return DISCONNECT_POLICIES[statusCode] || { action: 'retry' };
+}
+
+const sessionHealth = new Map(); // Map<userId, { state, statusCode, reason, error, credsDeleted, at } | null>
+const recentCloses = new Map(); // Map<userId, [{ statusCode, at }]> for policies with a window
+const lastDisconnects = new Map(); // Map<userId, { statusCode, reason, error, at }> for the admin console
+
+function getHealthFile(userId) {
+    return path.join(getUserDataFolder(userId), 'health.json');
+}
+
+function loadSessionHealth(userId) {
+    if (!sessionHealth.has(userId)) {
+        sessionHealth.set(userId, readJsonFile(getHealthFile(userId), null));
+    }
+    return sessionHealth.get(userId);
+}
+
+function saveSessionHealth(userId, health) {
+    sessionHealth.set(userId, health);
+    writeJsonFile(getHealthFile(userId), health);
+}
+
+function clearSessionHealth(userId) {
+    sessionHealth.delete(userId);
+    recentCloses.delete(userId);
+    lastDisconnects.delete(userId);
+    fs.rmSync(getHealthFile(userId), { force: true });
+}
+
+// We gave up on the session: it is only connected again when the user asks (or on restart, for failed ones)
+function needsAttention(health) {
+    return !!health && health.state !== 'connected';
+}
+
+// Closes with this status code within the window, this one included
+function countRecentCloses(userId, statusCode, window) {
+    const now = Date.now();
+    const closes = (recentCloses.get(userId) || []).filter(close => now - close.at < window);
+    closes.push({ statusCode, at: now });
+    recentCloses.set(userId, closes);
+    return closes.filter(close => close.statusCode === statusCode).length;
+}
+
+// Stop reconnecting, record why and tell the user (once per problem, not on every failed restore)
+async function giveUpSession(userId, sessionData, outcomeName, { statusCode, statusDescription, error }) {
+    const outcome = GIVE_UP_OUTCOMES[outcomeName];
+    userSessions.delete(userId);
+    
+    if (outcome.wipeCreds) {
+        // The creds can't connect any more; delete them once pending writes have landed
+        await sessionData.credsSaved;
+        try {
+            await authStore.clear(userId);
+            clearRuleCooldowns(userId);
+            log.info({ userId, event: 'auth_state_deleted', statusCode }, 'Auth state deleted');
+        } catch (err) {
+            log.error({ userId, event: 'auth_state_delete_failed', err }, 'Error cleaning auth state');
+        }
+    }
+    
+    const previous = loadSessionHealth(userId);
+    const health = {
+        state: outcome.state,
+        action: outcomeName,
+        statusCode: statusCode ?? null,
+        reason: statusDescription,
+        error,
+        credsDeleted: outcome.wipeCreds,
+        phoneNumber: sessionData.phoneNumber || null,
+        at: new Date().toISOString()
+    };
+    saveSessionHealth(userId, health);
+    metrics.sessionsGivenUp.inc({ state: health.state });
+    log.warn({ userId, event: 'session_given_up', state: health.state, action: outcomeName, statusCode }, `Session stopped: ${HEALTH_MESSAGES[health.state]}`);
+    
+    if (outcome.notify && previous?.state !== health.state) {
+        sendWebhook('session.alert', userId, health);
+    }
+    publishSessionEvent(userId, outcome.event, { message: HEALTH_MESSAGES[health.state], health: health.state, statusCode: health.statusCode });
+}
+
+// Session manager
+// At most one socket per user, capped per instance; idle QR sessions are evicted and everything is closed on shutdown
+
+const reconnectTimers = new Map(); // Map<userId, Timeout>
+const pendingConnections = new Map(); // Map<userId, Promise<sessionData>>
+let shuttingDown = false;
+
+function cancelReconnect(userId) {
+    const timer = reconnectTimers.get(userId);
+    if (timer) {
+        clearTimeout(timer);
+        reconnectTimers.delete(userId);
+    }
+}
+
+function scheduleReconnect(userId, delay, attempt) {
+    // Replaces any pending timer so retries can't stack up duplicate sockets
+    cancelReconnect(userId);
+    reconnectTimers.set(userId, setTimeout(() => {
+        reconnectTimers.delete(userId);
+        connectToWhatsApp(userId, false, null, attempt).catch(err => {
+            log.error({ userId, event: 'reconnect_failed', attempt, err }, 'Error reconnecting');
+        });
+    }, delay));
+}
+
+// Sessions in memory plus the ones still being set up
+function countSessions() {
+    return new Set([...userSessions.keys(), ...pendingConnections.keys()]).size;
+}
+
+// Mark a session as used so it isn't evicted while someone is waiting on it
+function touchSession(session) {
+    session.lastActivityAt = Date.now();
+}
+
+// Close the socket without logging out - creds stay valid and are flushed first
+async function closeSession(userId, reason) {
+    cancelReconnect(userId);
+    const session = userSessions.get(userId);
+    if (!session) return;
+    
+    userSessions.delete(userId);
+    session.closed = true;
+    try {
+        session.sock.end(undefined);
+    } catch (err) {
+        log.warn({ userId, event: 'socket_end_failed', err }, 'Error closing socket');
+    }
+    await session.credsSaved;
+    log.debug({ userId, event: 'session_closed', reason }, 'Session closed');
+}
+
+// Drop unauthenticated sessions (QR / pairing code shown) nobody has polled for a while
+function evictIdleSessions() {
+    const now = Date.now();
+    for (const [userId, session] of userSessions) {
+        if (session.isConnected || session.authenticated) continue;
+        const idleFor = now - session.lastActivityAt;
+        if (idleFor < QR_IDLE_TIMEOUT) continue;
+        
+        log.info({ userId, event: 'session_evicted', idleSeconds: Math.round(idleFor / 1000) }, 'Evicting idle unauthenticated session');
+        closeSession(userId, 'idle');
+        publishSessionEvent(userId, 'evicted', { reason: 'idle' });
+    }
+}
+
+setInterval(evictIdleSessions, SESSION_SWEEP_INTERVAL).unref();
+
 // Initialize WhatsApp connection for a specific user
-async function connectToWhatsApp(userId, usePairingCode = false, phoneNumber = null) {
+// Connects for the same user run one after the other, each replacing the previous socket
+async function connectToWhatsApp(userId, usePairingCode = false, phoneNumber = null, attempt = 0) {
+    const previous = pendingConnections.get(userId);
+    const pending = (previous ? previous.catch(() => {}) : Promise.resolve())
+        .then(() => startSession(userId, usePairingCode, phoneNumber, attempt));
+    pendingConnections.set(userId, pending);
+    
+    try {
+        return await pending;
+    } finally {
+        if (pendingConnections.get(userId) === pending) {
+            pendingConnections.delete(userId);
+        }
+    }
+}
+
+async function startSession(userId, usePairingCode, phoneNumber, attempt) {
     try {
-        console.log(`[${userId}]  Starting WhatsApp connection...`);
+        if (shuttingDown) {
+            throw new Error('Service is shutting down');
+        }
+        await acquireLease(userId);
+        
+        if (userSessions.has(userId)) {
+            await closeSession(userId, 'replaced');
+        } else if (countSessions() > MAX_SESSIONS) {
+            const error = new Error(`Session limit reached (${MAX_SESSIONS}), try again later`);
+            error.statusCode = 503;
+            throw error;
+        }
+        cancelReconnect(userId);
+        
+        log.info({ userId, event: 'session_starting', attempt }, 'Starting WhatsApp connection');
         if (usePairingCode && phoneNumber) {
-            console.log(`[${userId}]  Using pairing code mode for ${phoneNumber}`);
+            log.info({ userId, event: 'pairing_mode', phoneNumber }, 'Using pairing code mode');
         }
         
-        const authFolder = getUserAuthFolder(userId);
-        const { state, saveCreds } = await useMultiFileAuthState(authFolder);
-        const { version } = await fetchLatestBaileysVersion();
+        const { state, saveCreds } = await useStoredAuthState(authStore, userId);
+        const { version } = await socketFactory.fetchVersion();
         
-        console.log(`[${userId}]  Using Baileys version: ${version.join('.')}`);
+        log.debug({ userId, event: 'baileys_version', version: version.join('.') }, 'Using Baileys version');
         
-        const sock = makeWASocket({
+        const sock = socketFactory.makeSocket({
             version,
             auth: state,
             logger,
@@ -62,82 +609,117 @@ async function connectToWhatsApp(userId, usePairingCode = false, phoneNumber = n
             qrCodeData: null,
             pairingCode: null,
             isConnected: false,
-            connectionAttempts: 0,
+            connectionAttempts: attempt,
             userId,
             phoneNumber: phoneNumber || null,
             usePairingCode,
-            pairingCodeRequested: false
+            pairingCodeRequested: false,
+            authenticated: !!state.creds?.me, // Linked before - never evicted as idle
+            lastActivityAt: Date.now(),
+            closed: false,
+            connectedAt: null,
+            credsSaved: Promise.resolve() // Last creds write, awaited before the socket is dropped
         };
         
         userSessions.set(userId, sessionData);
 
-        sock.ev.on('creds.update', saveCreds);
+        // Keep the group cache current (it's rebuilt for every new socket)
+        userGroups.delete(userId);
+        sock.ev.on('groups.upsert', (groups) => upsertGroups(userId, groups));
+        sock.ev.on('groups.update', (updates) => updateGroups(userId, updates));
+        sock.ev.on('group-participants.update', (update) => updateGroupParticipants(userId, sock, update));
+        
+        // Replies to our messages (history sync arrives as 'append' and is ignored)
+        sock.ev.on('messages.upsert', async ({ messages, type }) => {
+            if (type !== 'notify') return;
+            for (const msg of messages) {
+                try {
+                    await handleIncomingMessage(userId, sock, msg);
+                } catch (err) {
+                    log.error({ userId, event: 'incoming_failed', messageId: msg.key?.id, err }, 'Error handling incoming message');
+                }
+            }
+        });
+        
+        // Contacts and recent chats for the Sync Contacts page
+        sock.ev.on('contacts.upsert', (contacts) => upsertContacts(userId, contacts));
+        sock.ev.on('contacts.update', (updates) => upsertContacts(userId, updates));
+        sock.ev.on('chats.upsert', (chats) => upsertContacts(userId, chats));
+        sock.ev.on('chats.update', (updates) => upsertContacts(userId, updates));
+        sock.ev.on('messaging-history.set', ({ contacts = [], chats = [] }) => {
+            const count = upsertContacts(userId, contacts) + upsertContacts(userId, chats);
+            log.info({ userId, event: 'contacts_synced', count }, 'Contacts synced from history');
+        });
+        
+        sock.ev.on('creds.update', () => {
+            sessionData.credsSaved = sessionData.credsSaved
+                .then(saveCreds)
+                .catch(err => log.error({ userId, event: 'creds_save_failed', err }, 'Error saving creds'));
+        });
+
+        // Delivery / read receipts for direct chats
+        sock.ev.on('messages.update', (updates) => {
+            for (const { key, update: change } of updates) {
+                if (key.fromMe && change.status !== undefined && change.status !== null) {
+                    updateMessageStatus(userId, key.id, RECEIPT_STATUSES[change.status]);
+                }
+            }
+        });
+
+        // Per-participant receipts (groups)
+        sock.ev.on('message-receipt.update', (updates) => {
+            for (const { key, receipt } of updates) {
+                if (!key.fromMe) continue;
+                if (receipt.playedTimestamp) {
+                    updateMessageStatus(userId, key.id, 'played', receipt.userJid);
+                } else if (receipt.readTimestamp) {
+                    updateMessageStatus(userId, key.id, 'read', receipt.userJid);
+                } else if (receipt.receiptTimestamp) {
+                    updateMessageStatus(userId, key.id, 'delivered', receipt.userJid);
+                }
+            }
+        });
 
         sock.ev.on('connection.update', async (update) => {
             const { connection, lastDisconnect, qr, isNewLogin } = update;
             
+            // Replaced, evicted or shut down - this socket no longer owns the user
+            if (sessionData.closed) return;
+            
             // Request pairing code on QR event if using pairing code mode
             if (qr && usePairingCode && phoneNumber && !sessionData.pairingCodeRequested) {
-                console.log(`[${userId}]  QR event received, requesting pairing code instead...`);
+                log.info({ userId, event: 'pairing_code_requested' }, 'QR event received, requesting pairing code instead');
                 sessionData.pairingCodeRequested = true;
                 
-                const formats = [];
-                
-                console.log(`[${userId}]  Original number: ${phoneNumber}`);
-                
-                // Get digits only first
-                const digitsOnly = phoneNumber.replace(/[^0-9]/g, '');
-                console.log(`[${userId}]  Digits only: ${digitsOnly}`);
-                
-                // For Irish numbers starting with 353, try ONLY the domestic format first
-                // This is likely what was used during WhatsApp registration
-                if (digitsOnly.startsWith('353') && digitsOnly.length === 12) {
-                    const domestic = digitsOnly.substring(3); // 899548661
-                    formats.push(domestic); // 899548661 - try WITHOUT leading 0 first!
-                    console.log(`[${userId}]  Detected Irish number, trying domestic format WITHOUT leading 0: ${domestic}`);
-                }
-                
-                // Then try the exact format as provided
-                formats.push(phoneNumber);
-                
-                // Try with digits only
-                if (!formats.includes(digitsOnly)) {
-                    formats.push(digitsOnly);
-                }
-                
-                console.log(`[${userId}]  Will try ${formats.length} formats:`, formats);
-                
-                for (let i = 0; i < formats.length; i++) {
-                    const format = formats[i];
-                    try {
-                        console.log(`[${userId}]  Trying format ${i + 1}/${formats.length}: "${format}"`);
-                        const code = await sock.requestPairingCode(format);
-                        sessionData.pairingCode = code;
-                        console.log(`[${userId}] ✅ SUCCESS! Pairing code generated: ${code} using format: ${format}`);
-                        return;
-                    } catch (err) {
-                        console.log(`[${userId}]  Format ${format} failed:`, err.message);
-                        if (i === formats.length - 1) {
-                            // Last attempt failed
-                            console.error(`[${userId}]  All formats failed`);
-                            sessionData.pairingCodeError = 'All phone number formats failed. Please verify your number.';
-                        }
-                    }
+                // phoneNumber was normalized to E.164 by the route; WhatsApp wants the digits only
+                const digits = phoneNumber.replace(/[^0-9]/g, '');
+                try {
+                    const code = await sock.requestPairingCode(digits);
+                    sessionData.pairingCode = code;
+                    log.info({ userId, event: 'pairing_code_generated' }, 'Pairing code generated');
+                    publishSessionEvent(userId, 'pairing_code', { pairingCode: code });
+                } catch (err) {
+                    log.error({ userId, event: 'pairing_code_failed', err }, 'Pairing code request failed');
+                    sessionData.pairingCodeError = 'Pairing code request failed. Please verify your number.';
+                    publishSessionEvent(userId, 'pairing_code_error', { message: sessionData.pairingCodeError });
                 }
+                return;
             }
             
             if (qr && !usePairingCode) {
-                console.log(`[${userId}]  QR Code generated`);
+                log.info({ userId, event: 'qr_generated' }, 'QR code generated');
                 try {
                     sessionData.qrCodeData = await QRCode.toDataURL(qr);
+                    publishSessionEvent(userId, 'qr', { qrCode: sessionData.qrCodeData });
                 } catch (err) {
-                    console.error(`[${userId}]  Error generating QR code:`, err);
+                    log.error({ userId, event: 'qr_failed', err }, 'Error generating QR code');
                 }
             }
             
             if (connection === 'close') {
                 const statusCode = lastDisconnect?.error?.output?.statusCode;
-                const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+                const policy = getDisconnectPolicy(statusCode);
+                const shouldReconnect = policy.action === 'retry';
                 const errorMsg = lastDisconnect?.error?.message || 'Unknown error';
                 
                 // Log detailed error information
@@ -154,35 +736,49 @@ async function connectToWhatsApp(userId, usePairingCode = false, phoneNumber = n
                     default: statusDescription = `Code ${statusCode}`;
                 }
                 
-                console.log(`[${userId}] ⚠️  Connection closed: ${statusDescription}`);
-                console.log(`[${userId}]    Status Code: ${statusCode}`);
-                console.log(`[${userId}]    Error: ${errorMsg}`);
-                console.log(`[${userId}]    Will Reconnect: ${shouldReconnect}`);
+                log.warn({ userId, event: 'connection_closed', statusCode, statusDescription, error: errorMsg, willReconnect: shouldReconnect }, `Connection closed: ${statusDescription}`);
+                metrics.disconnects.inc({ status_code: String(statusCode ?? 'unknown') });
                 
                 sessionData.isConnected = false;
                 sessionData.qrCodeData = null;
                 
+                publishSessionEvent(userId, 'close', {
+                    statusCode: statusCode ?? null,
+                    statusDescription,
+                    error: errorMsg,
+                    willReconnect: shouldReconnect
+                });
+                
+                const closeDetails = { statusCode, statusDescription, error: errorMsg };
+                lastDisconnects.set(userId, { statusCode: statusCode ?? null, reason: statusDescription, error: errorMsg, at: new Date().toISOString() });
                 if (shouldReconnect) {
                     sessionData.connectionAttempts++;
+                    const maxRetries = policy.retries ?? MAX_RETRIES;
+                    const failures = policy.window ? countRecentCloses(userId, statusCode, policy.window) : sessionData.connectionAttempts;
                     
-                    if (sessionData.connectionAttempts <= MAX_RETRIES) {
+                    if (failures <= maxRetries) {
                         // Exponential backoff: 2s, 4s, 8s, 16s, 30s (capped), 30s, ...
-                        const delay = Math.min(INITIAL_RETRY_DELAY * Math.pow(2, sessionData.connectionAttempts - 1), 30000);
-                        console.log(`[${userId}] 🔄 Reconnecting in ${delay/1000}s... (Attempt ${sessionData.connectionAttempts}/${MAX_RETRIES})`);
-                        setTimeout(() => connectToWhatsApp(userId), delay);
+                        const delay = Math.min(INITIAL_RETRY_DELAY * Math.pow(2, sessionData.connectionAttempts - 1), MAX_RETRY_DELAY);
+                        log.info({ userId, event: 'reconnect_scheduled', attempt: sessionData.connectionAttempts, maxRetries, delay }, 'Reconnecting');
+                        metrics.reconnectAttempts.inc();
+                        publishSessionEvent(userId, 'reconnecting', {
+                            attempt: sessionData.connectionAttempts,
+                            maxRetries,
+                            delay
+                        });
+                        scheduleReconnect(userId, delay, sessionData.connectionAttempts);
                     } else {
-                        console.log(`[${userId}] ❌ Max reconnection attempts reached`);
-                        userSessions.delete(userId);
+                        log.error({ userId, event: 'reconnect_exhausted', statusCode, maxRetries }, 'Max reconnection attempts reached');
+                        await giveUpSession(userId, sessionData, policy.then || 'exhausted', closeDetails);
                     }
                 } else {
-                    console.log(`[${userId}] 🚪 Connection closed by WhatsApp (logged out) - preserving auth files for reconnection`);
-                    // Only remove from memory, keep auth files for reconnection
-                    userSessions.delete(userId);
-                    // Auth files are preserved - user can reconnect without re-scanning QR
+                    await giveUpSession(userId, sessionData, policy.action, closeDetails);
                 }
             } else if (connection === 'open') {
-                console.log(`[${userId}] ✅ WhatsApp connected successfully!`);
+                log.info({ userId, event: 'connection_open' }, 'WhatsApp connected');
                 sessionData.isConnected = true;
+                sessionData.connectedAt = Date.now();
+                sessionData.authenticated = true;
                 sessionData.qrCodeData = null;
                 sessionData.connectionAttempts = 0;
                 
@@ -190,77 +786,4267 @@ async function connectToWhatsApp(userId, usePairingCode = false, phoneNumber = n
                 try {
                     const phoneNumber = sock.user?.id?.split(':')[0] || 'Unknown';
                     sessionData.phoneNumber = phoneNumber;
-                    console.log(`[${userId}] 📞 Phone: ${phoneNumber}`);
+                    log.info({ userId, event: 'phone_number', phoneNumber }, 'Connected phone number');
                 } catch (err) {
-                    console.error(`[${userId}] Error getting phone number:`, err);
+                    log.error({ userId, event: 'phone_number_failed', err }, 'Error getting phone number');
+                }
+                
+                publishSessionEvent(userId, 'open', { phoneNumber: sessionData.phoneNumber });
+                
+                // Healthy again - the web app can clear an earlier alert
+                const previousHealth = loadSessionHealth(userId);
+                if (previousHealth?.state !== 'connected') {
+                    saveSessionHealth(userId, { state: 'connected', at: new Date().toISOString() });
+                    if (needsAttention(previousHealth)) {
+                        sendWebhook('session.recovered', userId, { previousState: previousHealth.state, phoneNumber: sessionData.phoneNumber });
+                    }
                 }
+                
+                // Deliver anything queued while we were offline
+                processQueue(userId);
             } else if (connection === 'connecting') {
-                console.log(`[${userId}]  Connecting...`);
+                log.info({ userId, event: 'connecting' }, 'Connecting');
+                publishSessionEvent(userId, 'connecting');
             }
         });
 
         return sessionData;
     } catch (error) {
-        console.error(`[${userId}]  Error in connectToWhatsApp:`, error);
+        log.error({ userId, event: 'session_start_failed', err: error }, 'Error in connectToWhatsApp');
         throw error;
     }
 }
 
 // Get or create user session
 async function getUserSession(userId) {
+    if (pendingConnections.has(userId)) {
+        return pendingConnections.get(userId);
+    }
+    
     let session = userSessions.get(userId);
     
     if (!session) {
         session = await connectToWhatsApp(userId);
     }
     
+    touchSession(session);
     return session;
 }
 
-// API Endpoints
+// Sharding
+// With a lease store, every session key is owned by one instance. Requests for a session owned elsewhere are
+// forwarded there, and the owner alone runs its socket, queue, schedules and broadcasts. Instances share the
+// auth store and DATA_FOLDER, so when an owner stops renewing its leases another instance picks the sessions up
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        activeSessions: userSessions.size,
-        users: Array.from(userSessions.keys())
+const ownedLeases = new Set(); // Session keys this instance holds the lease for
+let renewingLeases = false;
+let balancingSessions = false;
+
+function ownsSession(userId) {
+    return !leaseStore || ownedLeases.has(userId);
+}
+
+// Take the session's lease before opening a socket - 409 if another instance holds it
+async function acquireLease(userId) {
+    if (!leaseStore || ownedLeases.has(userId)) return;
+    
+    if (!await leaseStore.acquire(userId)) {
+        const error = new Error('Session is owned by another instance, try again');
+        error.statusCode = 409;
+        throw error;
+    }
+    ownedLeases.add(userId);
+    
+    // The previous owner may have changed the data since we last looked
+    forgetUserData(userId);
+    restoreUserSchedules(userId, Date.now());
+    restoreUserBroadcasts(userId);
+    log.info({ userId, event: 'lease_acquired', instanceId: INSTANCE_ID }, 'Session lease acquired');
+}
+
+async function releaseLease(userId) {
+    ownedLeases.delete(userId);
+    forgetUserData(userId);
+    await leaseStore.release(userId);
+    log.info({ userId, event: 'lease_released', instanceId: INSTANCE_ID }, 'Session lease released');
+}
+
+// Drop cached per-user data and its timers, so it is read from disk again (another instance may write it)
+function forgetUserData(userId) {
+    if (contactSaveTimers.has(userId)) {
+        saveContacts(userId);
+    }
+    clearTimeout(queueState.get(userId)?.retryTimer);
+    for (const batch of userBroadcasts.get(userId)?.batches || []) {
+        clearTimeout(broadcastTimers.get(batch.id));
+        broadcastTimers.delete(batch.id);
+    }
+    for (const cache of [userMessages, userContacts, userGroups, userInbox, userRules, userSettings, userQueues, userSchedules, userBroadcasts, sessionHealth]) {
+        cache.delete(userId);
+    }
+}
+
+// Keep our leases alive and let go of the ones we no longer use
+async function renewLeases() {
+    if (renewingLeases || shuttingDown) return;
+    renewingLeases = true;
+    
+    try {
+        const owned = new Set(await leaseStore.renew(countSessions()));
+        
+        for (const userId of owned) {
+            if (!ownedLeases.has(userId)) {
+                // Left over from an earlier run with the same INSTANCE_ID
+                await leaseStore.release(userId);
+            }
+        }
+        
+        for (const userId of Array.from(ownedLeases)) {
+            if (!owned.has(userId)) {
+                // We missed renewals and another instance took over - it owns the socket now
+                log.warn({ userId, event: 'lease_lost', instanceId: INSTANCE_ID }, 'Session lease lost to another instance');
+                ownedLeases.delete(userId);
+                await closeSession(userId, 'lease_lost');
+                forgetUserData(userId);
+            } else if (!userSessions.has(userId) && !pendingConnections.has(userId) && !reconnectTimers.has(userId)) {
+                // Logged out, evicted or given up
+                await releaseLease(userId);
+            }
+        }
+    } catch (err) {
+        log.error({ event: 'lease_renew_failed', err }, 'Error renewing session leases');
+    } finally {
+        renewingLeases = false;
+    }
+}
+
+// Aim for an even split: pick up orphaned sessions while under our share, hand one back when well over it
+async function balanceSessions() {
+    if (balancingSessions || shuttingDown) return;
+    balancingSessions = true;
+    
+    try {
+        const [instances, leases, storedUsers] = await Promise.all([
+            leaseStore.listInstances(),
+            leaseStore.listLeases(),
+            authStore.listUsers()
+        ]);
+        const leased = new Set(leases.map(lease => lease.sessionKey));
+        const orphans = await findRestorableSessions(storedUsers.filter(userId => !leased.has(userId)));
+        const share = Math.min(Math.ceil((leased.size + orphans.length) / Math.max(instances.length, 1)), MAX_SESSIONS);
+        
+        if (ownedLeases.size > share + 1) {
+            const userId = Array.from(ownedLeases).find(key => userSessions.get(key)?.isConnected);
+            if (userId) {
+                log.info({ userId, event: 'session_handover', instanceId: INSTANCE_ID, owned: ownedLeases.size, share }, 'Handing session over to rebalance');
+                await closeSession(userId, 'rebalance');
+                await releaseLease(userId);
+            }
+        } else if (orphans.length > 0 && ownedLeases.size < share) {
+            log.info({ event: 'sessions_claiming', instanceId: INSTANCE_ID, orphans: orphans.length, owned: ownedLeases.size, share }, 'Picking up sessions without an owner');
+            await connectStoredSessions(orphans.slice(0, share - ownedLeases.size));
+        }
+    } catch (err) {
+        log.error({ event: 'session_balance_failed', err }, 'Error balancing sessions');
+    } finally {
+        balancingSessions = false;
+    }
+}
+
+// Proxy a request to the instance that owns its session (which checks auth again)
+function forwardRequest(req, res, owner) {
+    const target = new URL(req.originalUrl, owner.url);
+    const headers = { ...req.headers, host: target.host, [FORWARDED_HEADER.toLowerCase()]: INSTANCE_ID };
+    const transport = target.protocol === 'https:' ? https : http;
+    
+    const upstream = transport.request(target, { method: req.method, headers }, (response) => {
+        res.status(response.statusCode);
+        res.set(response.headers);
+        response.pipe(res);
+    });
+    upstream.on('error', (err) => {
+        log.warn({ userId: req.params.userId, event: 'forward_failed', owner: owner.instanceId, err }, 'Could not reach the instance that owns the session');
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(502).json({ 
+            success: false, 
+            message: 'The instance that owns this session is unreachable, try again shortly' 
+        });
     });
+    // Also ends forwarded event streams when the client goes away
+    res.on('close', () => upstream.destroy());
+    upstream.end(req.rawBody);
+}
+
+// Media helpers
+
+// Supported media types and the MIME types WhatsApp accepts for each
+const MEDIA_TYPES = {
+    image: ['image/jpeg', 'image/png', 'image/webp'],
+    gif: ['video/mp4', 'image/gif'],
+    video: ['video/mp4', 'video/3gpp'],
+    audio: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/ogg; codecs=opus', 'audio/amr'],
+    ptt: ['audio/ogg', 'audio/ogg; codecs=opus'],
+    sticker: ['image/webp']
+};
+
+const EXTENSION_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.amr': 'audio/amr'
+};
+
+// Build a media descriptor from the request body (gifUrl is what the web app sends today)
+function getMediaDescriptor(body) {
+    if (body.media) {
+        return body.media;
+    }
+    if (body.gifUrl) {
+        return { url: body.gifUrl, type: 'gif' };
+    }
+    return null;
+}
+
+// Validate the shape of a media descriptor, returns an error message or null
+function validateMediaDescriptor(media) {
+    if (typeof media !== 'object' || Array.isArray(media)) {
+        return 'media must be an object';
+    }
+    if (!MEDIA_TYPES[media.type]) {
+        return `media.type must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}`;
+    }
+    const sources = ['url', 'data', 'path'].filter(key => media[key]);
+    if (sources.length !== 1) {
+        return 'media must have exactly one of url, data (base64) or path';
+    }
+    if (media.url && !/^https?:\/\//i.test(media.url)) {
+        return 'media.url must be an http(s) URL';
+    }
+    return null;
+}
+
+function normalizeMimeType(mimetype) {
+    return mimetype ? mimetype.split(';')[0].trim().toLowerCase() : null;
+}
+
+function guessMimeType(fileName) {
+    if (!fileName) return null;
+    const ext = path.extname(fileName.split('?')[0]).toLowerCase();
+    return EXTENSION_MIME_TYPES[ext] || null;
+}
+
+// Download remote media, caching it on disk by URL hash
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+    if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Refuse URLs whose host resolves to a private address - checked again for every redirect
+async function checkMediaUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new Error('Media URLs must be http or https');
+    }
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (MEDIA_ALLOWED_HOSTS.includes(host)) return;
+
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`Media URL host ${host} is a private or local address`);
+    }
+}
+
+async function downloadMedia(url) {
+    const hash = crypto.createHash('sha256').update(url).digest('hex');
+    const cachedFile = path.join(MEDIA_CACHE_FOLDER, hash);
+    const cachedMeta = `${cachedFile}.json`;
+
+    if (fs.existsSync(cachedFile) && fs.existsSync(cachedMeta)) {
+        const meta = JSON.parse(fs.readFileSync(cachedMeta, 'utf8'));
+        touchCachedMedia(cachedFile);
+        return { buffer: fs.readFileSync(cachedFile), mimetype: meta.mimetype };
+    }
+
+    // Redirects are followed by hand so every hop is checked
+    const signal = AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT);
+    let location = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        await checkMediaUrl(location);
+        response = await fetch(location, { redirect: 'manual', signal });
+        const next = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !next) break;
+        if (redirects >= MEDIA_MAX_REDIRECTS) {
+            throw new Error(`Media download redirected more than ${MEDIA_MAX_REDIRECTS} times`);
+        }
+        location = new URL(next, location).toString();
+    }
+    if (!response.ok) {
+        throw new Error(`Media download failed with HTTP ${response.status}`);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (contentLength > MAX_MEDIA_BYTES) {
+        throw new Error(`Media is too large (${contentLength} bytes, max ${MAX_MEDIA_BYTES})`);
+    }
+
+    // Content-Length can be missing or wrong, so the limit is enforced while reading too
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_MEDIA_BYTES) {
+            throw new Error(`Media is too large (more than ${MAX_MEDIA_BYTES} bytes)`);
+        }
+        chunks.push(chunk);
+    }
+    const buffer = Buffer.concat(chunks);
+    const mimetype = normalizeMimeType(response.headers.get('content-type')) || guessMimeType(url);
+
+    fs.writeFileSync(cachedFile, buffer);
+    fs.writeFileSync(cachedMeta, JSON.stringify({ url, mimetype, downloadedAt: new Date().toISOString() }));
+    pruneMediaCache();
+
+    return { buffer, mimetype };
+}
+
+// Cache hits count as use, so pruning drops the least recently used media first
+function touchCachedMedia(file) {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+}
+
+// Drop cached media older than MEDIA_CACHE_MAX_AGE_HOURS, then the least recently used until the
+// cache fits in MEDIA_CACHE_MAX_BYTES. A download and its .json metadata go together
+function pruneMediaCache() {
+    try {
+        const entries = new Map(); // Map<cache key, { files, size, usedAt }>
+        for (const name of fs.readdirSync(MEDIA_CACHE_FOLDER)) {
+            const file = path.join(MEDIA_CACHE_FOLDER, name);
+            const stat = fs.statSync(file);
+            const key = name.split('.')[0];
+            const entry = entries.get(key) || { files: [], size: 0, usedAt: 0 };
+            entry.files.push(file);
+            entry.size += stat.size;
+            entry.usedAt = Math.max(entry.usedAt, stat.mtimeMs);
+            entries.set(key, entry);
+        }
+
+        const sorted = Array.from(entries.values()).sort((a, b) => a.usedAt - b.usedAt);
+        let total = sorted.reduce((sum, entry) => sum + entry.size, 0);
+        for (const entry of sorted) {
+            if (total <= MEDIA_CACHE_MAX_BYTES && Date.now() - entry.usedAt <= MEDIA_CACHE_MAX_AGE) break;
+            entry.files.forEach(file => fs.rmSync(file, { force: true }));
+            total -= entry.size;
+        }
+    } catch (err) {
+        log.warn({ event: 'media_cache_prune_failed', err }, 'Error pruning the media cache');
+    }
+}
+
+// Convert a .gif to an MP4 WhatsApp plays as a GIF, cached by content hash
+async function convertGifToMp4(buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const cachedFile = path.join(MEDIA_CACHE_FOLDER, `${hash}.mp4`);
+    if (fs.existsSync(cachedFile)) {
+        touchCachedMedia(cachedFile);
+        return fs.readFileSync(cachedFile);
+    }
+
+    const workFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'hbdrop-gif-'));
+    const input = path.join(workFolder, 'input.gif');
+    const output = path.join(workFolder, 'output.mp4');
+    try {
+        fs.writeFileSync(input, buffer);
+        await new Promise((resolve, reject) => {
+            // Even dimensions and yuv420p, or phones refuse to play it
+            const args = ['-y', '-loglevel', 'error', '-i', input, '-movflags', '+faststart', '-pix_fmt', 'yuv420p',
+                '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-an', output];
+            execFile(FFMPEG_PATH, args, { timeout: GIF_CONVERT_TIMEOUT }, (err, stdout, stderr) => {
+                if (err?.code === 'ENOENT') {
+                    return reject(new Error('GIFs are converted to MP4 with ffmpeg, which was not found (set FFMPEG_PATH)'));
+                }
+                if (err) {
+                    return reject(new Error(`GIF conversion failed: ${stderr.trim() || err.message}`));
+                }
+                resolve();
+            });
+        });
+
+        const converted = fs.readFileSync(output);
+        if (converted.length > MAX_MEDIA_BYTES) {
+            throw new Error(`Converted GIF is too large (${converted.length} bytes, max ${MAX_MEDIA_BYTES})`);
+        }
+        fs.writeFileSync(cachedFile, converted);
+        pruneMediaCache();
+        return converted;
+    } finally {
+        fs.rmSync(workFolder, { recursive: true, force: true });
+    }
+}
+
+// Resolve a media descriptor into a buffer + MIME type
+async function loadMedia(media) {
+    let buffer;
+    let mimetype = normalizeMimeType(media.mimetype);
+
+    if (media.url) {
+        const downloaded = await downloadMedia(media.url);
+        buffer = downloaded.buffer;
+        mimetype = mimetype || downloaded.mimetype;
+    } else if (media.data) {
+        // Accept raw base64 or a data URL
+        const match = /^data:([^;,]+)[^,]*,(.*)$/s.exec(media.data);
+        buffer = Buffer.from(match ? match[2] : media.data, 'base64');
+        mimetype = mimetype || (match ? normalizeMimeType(match[1]) : null);
+    } else {
+        // Only allow files inside MEDIA_FOLDER so callers can't read auth files
+        const baseFolder = path.resolve(MEDIA_FOLDER);
+        const filePath = path.resolve(baseFolder, media.path);
+        if (!filePath.startsWith(baseFolder + path.sep)) {
+            throw new Error('media.path must be inside the media folder');
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Media file not found: ${media.path}`);
+        }
+        buffer = fs.readFileSync(filePath);
+        mimetype = mimetype || guessMimeType(filePath);
+    }
+
+    if (buffer.length === 0) {
+        throw new Error('Media is empty');
+    }
+    if (buffer.length > MAX_MEDIA_BYTES) {
+        throw new Error(`Media is too large (${buffer.length} bytes, max ${MAX_MEDIA_BYTES})`);
+    }
+
+    mimetype = mimetype || normalizeMimeType(MEDIA_TYPES[media.type][0]);
+    const allowed = MEDIA_TYPES[media.type].map(normalizeMimeType);
+    if (!allowed.includes(mimetype)) {
+        throw new Error(`MIME type ${mimetype} is not allowed for media type ${media.type}`);
+    }
+
+    if (media.type === 'gif' && mimetype === 'image/gif') {
+        buffer = await convertGifToMp4(buffer);
+        mimetype = 'video/mp4';
+    }
+
+    return { buffer, mimetype };
+}
+
+// Build the Baileys message content for a loaded media item
+function buildMediaContent(media, buffer, mimetype, caption) {
+    switch (media.type) {
+        case 'image':
+            return { image: buffer, mimetype, caption };
+        case 'gif':
+            // Always an MP4 by now (loadMedia converts .gif files)
+            return { video: buffer, mimetype, caption, gifPlayback: true };
+        case 'video':
+            return { video: buffer, mimetype, caption };
+        case 'audio':
+            return { audio: buffer, mimetype, ptt: false };
+        case 'ptt':
+            return { audio: buffer, mimetype: 'audio/ogg; codecs=opus', ptt: true };
+        case 'sticker':
+            return { sticker: buffer };
+    }
+}
+
+// Webhooks
+
+// POST an event to WEBHOOK_URL, signed with HMAC-SHA256 and retried with backoff
+async function sendWebhook(event, userId, data, attempt = 1) {
+    if (!WEBHOOK_URL) return;
+    
+    const now = Date.now();
+    const timestamp = now.toString();
+    const body = JSON.stringify({ event, ...parseSessionKey(userId), timestamp: new Date(now).toISOString(), data });
+    // Signature covers the timestamp too so old payloads can't be replayed
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    
+    try {
+        const response = await fetch(WEBHOOK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-HBDrop-Event': event,
+                'X-HBDrop-Timestamp': timestamp,
+                'X-HBDrop-Signature': `sha256=${signature}`
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        metrics.webhooks.inc({ outcome: 'delivered' });
+    } catch (err) {
+        metrics.webhooks.inc({ outcome: attempt >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'retry' });
+        if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+            log.error({ userId, event: 'webhook_failed', webhookEvent: event, attempt, err }, 'Webhook delivery failed');
+            return;
+        }
+        const delay = WEBHOOK_RETRY_DELAY * Math.pow(2, attempt - 1);
+        log.warn({ userId, event: 'webhook_retry', webhookEvent: event, attempt, delay, err }, 'Webhook delivery failed, retrying');
+        setTimeout(() => sendWebhook(event, userId, data, attempt + 1), delay);
+    }
+}
+
+// Message receipts
+// Sent messages are tracked per user in data/<userId>/messages.json so receipts can be matched to them
+
+// proto.WebMessageInfo.Status values
+const RECEIPT_STATUSES = {
+    0: 'error',
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
+const STATUS_ORDER = ['pending', 'sent', 'server_ack', 'delivered', 'read', 'played'];
+const STATUS_TIMESTAMP_FIELDS = {
+    server_ack: 'serverAckAt',
+    delivered: 'deliveredAt',
+    read: 'readAt',
+    played: 'playedAt'
+};
+
+// Each record also keeps the message key and what was sent (the outbox), so a message can be
+// edited, deleted for everyone or resent to another recipient later
+const userMessages = new Map(); // Map<userId, { messages: { [messageId]: record } }>
+
+function getMessagesFile(userId) {
+    return path.join(getUserDataFolder(userId), 'messages.json');
+}
+
+function loadMessages(userId) {
+    let store = userMessages.get(userId);
+    if (!store) {
+        store = readJsonFile(getMessagesFile(userId), { messages: {} });
+        userMessages.set(userId, store);
+    }
+    return store;
+}
+
+function saveMessages(userId) {
+    const store = loadMessages(userId);
+    const ids = Object.keys(store.messages);
+    // Object keys keep insertion order, so the oldest messages come first
+    for (const id of ids.slice(0, Math.max(ids.length - MESSAGE_HISTORY_LIMIT, 0))) {
+        delete store.messages[id];
+    }
+    writeJsonFile(getMessagesFile(userId), store);
+}
+
+// Text or caption of a WhatsApp message, null for other content
+function getMessageText(message) {
+    message = unwrapMessage(message);
+    return message?.conversation ||
+        message?.extendedTextMessage?.text ||
+        message?.imageMessage?.caption ||
+        message?.videoMessage?.caption ||
+        message?.pollCreationMessage?.name ||
+        message?.pollCreationMessageV3?.name ||
+        null;
+}
+
+// content is what a resend sends again, null when it can't be kept (base64 media)
+function trackSentMessage(userId, sent, content = null, resendOf = null) {
+    if (!sent?.key?.id) return;
+    const store = loadMessages(userId);
+    store.messages[sent.key.id] = {
+        messageId: sent.key.id,
+        remoteJid: sent.key.remoteJid,
+        key: sent.key,
+        text: getMessageText(sent.message), // Shown when the message is quoted
+        content,
+        resendOf,
+        editedAt: null,
+        deletedAt: null,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        serverAckAt: null,
+        deliveredAt: null,
+        readAt: null,
+        playedAt: null,
+        participants: {}
+    };
+    saveMessages(userId);
+}
+
+// Records written before the outbox kept keys only have the id and chat
+function getSentMessageKey(record) {
+    return record.key || { remoteJid: record.remoteJid, id: record.messageId, fromMe: true };
+}
+
+// Record a delivered edit or delete for everyone on the original message
+function applyMessageChange(userId, payload) {
+    const store = loadMessages(userId);
+    const record = store.messages[payload.target.id];
+    if (!record) return;
+    
+    if (payload.type === 'edit') {
+        record.text = payload.text;
+        record.content = { ...record.content, message: payload.text };
+        record.editedAt = new Date().toISOString();
+    } else {
+        record.deletedAt = new Date().toISOString();
+    }
+    saveMessages(userId);
+}
+
+// Receipts can arrive out of order, so a status never goes backwards. An error is final and replaces
+// any status up to server_ack - once delivered, the message got through
+function isStatusProgress(current, status) {
+    if (!current) return true;
+    if (current === 'error') return false;
+    if (status === 'error') return STATUS_ORDER.indexOf(current) < STATUS_ORDER.indexOf('delivered');
+    return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(current);
+}
+
+// Apply a receipt and notify the web app when the status moves forward
+function updateMessageStatus(userId, messageId, status, participantJid = null) {
+    if (!status) return;
+    const store = loadMessages(userId);
+    const record = store.messages[messageId];
+    if (!record) return;
+    
+    const now = new Date().toISOString();
+    
+    if (participantJid) {
+        const previous = record.participants[participantJid];
+        if (previous && !isStatusProgress(previous.status, status)) return;
+        record.participants[participantJid] = { status, at: now };
+    } else if (!isStatusProgress(record.status, status)) {
+        return;
+    }
+    
+    // One group member's error doesn't fail the message for everyone
+    const participantError = status === 'error' && participantJid;
+    if (!participantError && isStatusProgress(record.status, status)) {
+        record.status = status;
+    }
+    const field = STATUS_TIMESTAMP_FIELDS[status];
+    if (field && !record[field]) {
+        record[field] = now;
+    }
+    saveMessages(userId);
+    
+    log.info({ userId, event: 'message_status', messageId, status, participant: participantJid }, `Message ${status}`);
+    sendWebhook('message.status', userId, {
+        messageId,
+        remoteJid: record.remoteJid,
+        participant: participantJid,
+        status,
+        at: now
+    });
+}
+
+// Contacts
+// Contacts, push names and recent chats are persisted per user in data/<userId>/contacts.json
+
+const userContacts = new Map(); // Map<userId, { contacts: { [jid]: contact } }>
+const contactSaveTimers = new Map(); // Map<userId, Timeout>
+
+function getContactsFile(userId) {
+    return path.join(getUserDataFolder(userId), 'contacts.json');
+}
+
+function loadContacts(userId) {
+    let store = userContacts.get(userId);
+    if (!store) {
+        store = readJsonFile(getContactsFile(userId), { contacts: {} });
+        userContacts.set(userId, store);
+    }
+    return store;
+}
+
+function saveContacts(userId) {
+    clearTimeout(contactSaveTimers.get(userId));
+    contactSaveTimers.delete(userId);
+    writeJsonFile(getContactsFile(userId), loadContacts(userId));
+}
+
+function scheduleContactsSave(userId) {
+    if (contactSaveTimers.has(userId)) return;
+    contactSaveTimers.set(userId, setTimeout(() => saveContacts(userId), CONTACTS_SAVE_DELAY));
+}
+
+// Write out any batched contact changes (used on shutdown)
+function flushContacts() {
+    for (const userId of Array.from(contactSaveTimers.keys())) {
+        saveContacts(userId);
+    }
+}
+
+// 353...:12@s.whatsapp.net -> 353...@s.whatsapp.net
+function normalizeUserJid(jid) {
+    return typeof jid === 'string' ? jid.replace(/:\d+@/, '@') : jid;
+}
+
+// Only people - groups, broadcast lists and newsletters are not contacts
+function isContactJid(jid) {
+    return typeof jid === 'string' && jid.endsWith('@s.whatsapp.net');
+}
+
+// Baileys timestamps are seconds, as a number or a Long
+function toIsoTimestamp(seconds) {
+    const value = Number(seconds?.toNumber?.() ?? seconds);
+    return value > 0 ? new Date(value * 1000).toISOString() : null;
+}
+
+// Merge contact fields from contacts.upsert / contacts.update / chats.upsert
+function upsertContacts(userId, updates) {
+    const store = loadContacts(userId);
+    let changed = 0;
+    
+    for (const update of updates) {
+        const jid = normalizeUserJid(update.id);
+        if (!isContactJid(jid)) continue;
+        
+        const contact = store.contacts[jid] || (store.contacts[jid] = {
+            id: jid,
+            name: null,
+            notify: null,
+            verifiedName: null,
+            imgUrl: null,
+            imgUrlFetchedAt: null,
+            lastInteractionAt: null
+        });
+        
+        if (update.name) contact.name = update.name;
+        if (update.notify) contact.notify = update.notify;
+        if (update.verifiedName) contact.verifiedName = update.verifiedName;
+        if (update.imgUrl === null || update.imgUrl === 'changed') {
+            // Removed or changed - fetched again on the next request with pictures
+            contact.imgUrl = null;
+            contact.imgUrlFetchedAt = null;
+        } else if (update.imgUrl) {
+            contact.imgUrl = update.imgUrl;
+            contact.imgUrlFetchedAt = new Date().toISOString();
+        }
+        
+        const interactedAt = toIsoTimestamp(update.conversationTimestamp ?? update.lastMessageRecvTimestamp);
+        if (interactedAt && (!contact.lastInteractionAt || interactedAt > contact.lastInteractionAt)) {
+            contact.lastInteractionAt = interactedAt;
+        }
+        changed++;
+    }
+    
+    if (changed > 0) {
+        scheduleContactsSave(userId);
+    }
+    return changed;
+}
+
+// Saved name, else the name they set themselves
+function getContactName(contact) {
+    return contact.name || contact.notify || contact.verifiedName || '';
+}
+
+function formatContact(contact) {
+    return {
+        id: contact.id,
+        name: getContactName(contact),
+        phone: '+' + contact.id.split('@')[0],
+        savedName: contact.name,
+        notify: contact.notify,
+        verifiedName: contact.verifiedName,
+        imgUrl: contact.imgUrl,
+        lastInteractionAt: contact.lastInteractionAt
+    };
+}
+
+// Profile pictures are fetched lazily, only for the page being returned
+async function refreshProfilePictures(userId, sock, contacts) {
+    const now = Date.now();
+    let fetched = 0;
+    
+    for (const contact of contacts) {
+        if (contact.imgUrlFetchedAt && now - Date.parse(contact.imgUrlFetchedAt) < PROFILE_PICTURE_TTL) continue;
+        try {
+            contact.imgUrl = (await sock.profilePictureUrl(contact.id, 'preview')) || null;
+        } catch (err) {
+            // No picture or hidden by the contact's privacy settings
+            contact.imgUrl = null;
+        }
+        contact.imgUrlFetchedAt = new Date().toISOString();
+        fetched++;
+    }
+    
+    if (fetched > 0) {
+        scheduleContactsSave(userId);
+    }
+}
+
+// Groups
+// Group metadata is fetched once per socket and then kept current from group events
+
+const userGroups = new Map(); // Map<userId, { groups: Map<groupId, metadata>, fetchedAt }>
+
+async function loadGroups(userId, sock, refresh = false) {
+    let cache = userGroups.get(userId);
+    if (!cache || refresh || Date.now() - cache.fetchedAt > GROUPS_CACHE_TTL) {
+        const groups = await sock.groupFetchAllParticipating();
+        cache = { groups: new Map(Object.entries(groups)), fetchedAt: Date.now() };
+        userGroups.set(userId, cache);
+        log.debug({ userId, event: 'groups_fetched', count: cache.groups.size }, 'Fetched WhatsApp groups');
+    }
+    return cache.groups;
+}
+
+// New groups (joined or created)
+function upsertGroups(userId, groups) {
+    const cache = userGroups.get(userId);
+    if (!cache) return;
+    for (const group of groups) {
+        cache.groups.set(group.id, { ...cache.groups.get(group.id), ...group });
+    }
+}
+
+// Subject, description and settings changes
+function updateGroups(userId, updates) {
+    const cache = userGroups.get(userId);
+    if (!cache) return;
+    for (const update of updates) {
+        const group = cache.groups.get(update.id);
+        if (group) {
+            Object.assign(group, update);
+        }
+    }
+}
+
+function updateGroupParticipants(userId, sock, { id, participants, action }) {
+    const group = userGroups.get(userId)?.groups.get(id);
+    if (!group) return;
+    
+    // Newer Baileys versions send participant objects instead of JIDs
+    const changed = participants.map(participant => typeof participant === 'string' ? { id: participant } : participant);
+    const ids = new Set(changed.map(participant => participant.id));
+    group.participants = group.participants || [];
+    
+    switch (action) {
+        case 'add':
+            for (const participant of changed) {
+                if (!group.participants.some(existing => existing.id === participant.id)) {
+                    group.participants.push({ admin: null, ...participant });
+                }
+            }
+            break;
+        case 'remove': {
+            const ownJids = [normalizeUserJid(sock.user?.id), normalizeUserJid(sock.user?.lid)];
+            if (ownJids.some(jid => ids.has(jid))) {
+                // We left or were removed
+                userGroups.get(userId).groups.delete(id);
+                return;
+            }
+            group.participants = group.participants.filter(existing => !ids.has(existing.id));
+            break;
+        }
+        case 'promote':
+        case 'demote':
+            for (const existing of group.participants) {
+                if (ids.has(existing.id)) {
+                    existing.admin = action === 'promote' ? 'admin' : null;
+                }
+            }
+            break;
+    }
+    group.size = group.participants.length;
+}
+
+function formatGroup(group) {
+    return {
+        id: group.id,
+        name: group.subject,
+        participants: group.participants?.length || 0,
+        owner: group.owner,
+        description: group.desc || '',
+        createdAt: group.creation
+    };
+}
+
+function formatParticipant(userId, participant) {
+    // In LID groups the id is a LID and the phone JID comes separately
+    const jid = normalizeUserJid(isContactJid(participant.id) ? participant.id : participant.phoneNumber || participant.jid);
+    const contact = jid ? loadContacts(userId).contacts[jid] : null;
+    return {
+        id: participant.id,
+        jid: jid || null,
+        phone: jid ? '+' + jid.split('@')[0] : null,
+        name: (contact && getContactName(contact)) || participant.notify || null,
+        admin: participant.admin || null,
+        isAdmin: !!participant.admin,
+        isSuperAdmin: participant.admin === 'superadmin'
+    };
+}
+
+// Incoming messages
+// Messages from chats we've sent to are kept in data/<userId>/inbox.json, forwarded as message.received
+// webhooks and run through the user's auto-reply rules (data/<userId>/rules.json)
+
+const userInbox = new Map(); // Map<userId, { messages: { [messageId]: record } }>
+const userRules = new Map(); // Map<userId, { rules }>
+const ruleCooldowns = new Map(); // Map<userId:ruleId:chat:sender, last trigger ms>
+
+function getInboxFile(userId) {
+    return path.join(getUserDataFolder(userId), 'inbox.json');
+}
+
+function loadInbox(userId) {
+    let store = userInbox.get(userId);
+    if (!store) {
+        store = readJsonFile(getInboxFile(userId), { messages: {} });
+        userInbox.set(userId, store);
+    }
+    return store;
+}
+
+function saveInbox(userId) {
+    const store = loadInbox(userId);
+    const ids = Object.keys(store.messages);
+    for (const id of ids.slice(0, Math.max(ids.length - INBOX_HISTORY_LIMIT, 0))) {
+        delete store.messages[id];
+    }
+    writeJsonFile(getInboxFile(userId), store);
+}
+
+function getRulesFile(userId) {
+    return path.join(getUserDataFolder(userId), 'rules.json');
+}
+
+function loadRules(userId) {
+    let store = userRules.get(userId);
+    if (!store) {
+        store = readJsonFile(getRulesFile(userId), { rules: [] });
+        userRules.set(userId, store);
+    }
+    return store;
+}
+
+function saveRules(userId) {
+    writeJsonFile(getRulesFile(userId), loadRules(userId));
+}
+
+// Forget the cooldowns of one rule, or of every rule of the user
+function clearRuleCooldowns(userId, ruleId = null) {
+    const prefix = ruleId ? `${userId}:${ruleId}:` : `${userId}:`;
+    for (const cooldownKey of ruleCooldowns.keys()) {
+        if (cooldownKey.startsWith(prefix)) {
+            ruleCooldowns.delete(cooldownKey);
+        }
+    }
+}
+
+function getRuleCooldown(rule) {
+    return (rule.cooldownMinutes ?? RULE_DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+}
+
+// Cooldowns are only needed until they end - drop the rest so the map doesn't grow with every chat
+function sweepRuleCooldowns() {
+    const now = Date.now();
+    for (const [cooldownKey, triggeredAt] of ruleCooldowns) {
+        const [userId, ruleId] = cooldownKey.split(':');
+        // Rules that are gone (or no longer cached, see forgetUserData) can't be cooling down
+        const rule = userRules.get(userId)?.rules.find(r => r.id === ruleId);
+        if (!rule || now - triggeredAt >= getRuleCooldown(rule)) {
+            ruleCooldowns.delete(cooldownKey);
+        }
+    }
+}
+
+setInterval(sweepRuleCooldowns, RULE_COOLDOWN_SWEEP_INTERVAL).unref();
+
+// Disappearing and view-once messages wrap the real content
+function unwrapMessage(message) {
+    return message?.ephemeralMessage?.message ||
+        message?.viewOnceMessage?.message ||
+        message?.viewOnceMessageV2?.message ||
+        message;
+}
+
+function getMessageType(message) {
+    return Object.keys(unwrapMessage(message) || {}).find(key => key !== 'messageContextInfo' && key !== 'senderKeyDistributionMessage') || null;
+}
+
+// When we last sent something to the chat (any of its JIDs), in ms
+function getLastSentAt(userId, jids) {
+    let lastSentAt = 0;
+    for (const record of Object.values(loadMessages(userId).messages)) {
+        if (jids.includes(record.remoteJid)) {
+            lastSentAt = Math.max(lastSentAt, Date.parse(record.sentAt));
+        }
+    }
+    return lastSentAt;
+}
+
+// "HH:MM" in timeZone
+function getLocalTime(timestamp, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+        .format(new Date(timestamp));
+}
+
+// Nested quantifiers ("(a+)+") and backreferences can backtrack for minutes on a crafted message
+function isUnsafeRegex(source) {
+    return /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/.test(source) || /\\([1-9]|k<)/.test(source);
+}
+
+// Rule regexes run in a separate context with a time limit, so one that slipped past isUnsafeRegex can't block the event loop
+const regexContext = vm.createContext({});
+
+function testRuleRegex(userId, rule, text) {
+    regexContext.pattern = rule.match.regex;
+    regexContext.text = text;
+    try {
+        return vm.runInContext('new RegExp(pattern, "i").test(text)', regexContext, { timeout: RULE_REGEX_TIMEOUT });
+    } catch (err) {
+        log.warn({ userId, event: 'rule_regex_timeout', ruleId: rule.id, err }, `Regex of rule "${rule.name}" took too long - treated as no match`);
+        return false;
+    }
+}
+
+// Validate a rule from the API, returns an error message or null
+function validateRule(rule) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        return 'name is required';
+    }
+    
+    const match = rule.match || {};
+    if (match.keywords !== undefined && (!Array.isArray(match.keywords) || match.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+        return 'match.keywords must be an array of non-empty strings';
+    }
+    if (match.regex !== undefined) {
+        if (typeof match.regex !== 'string' || match.regex.length > RULE_REGEX_MAX_LENGTH) {
+            return `match.regex must be a string of at most ${RULE_REGEX_MAX_LENGTH} characters`;
+        }
+        try {
+            new RegExp(match.regex, 'i');
+        } catch (err) {
+            return `match.regex is invalid: ${err.message}`;
+        }
+        if (isUnsafeRegex(match.regex)) {
+            return 'match.regex must not repeat a quantified group (e.g. "(a+)+") or use backreferences - they can take too long to match';
+        }
+    }
+    
+    const conditions = rule.conditions || {};
+    if (conditions.timeWindow) {
+        const { start, end, timezone = 'UTC' } = conditions.timeWindow;
+        if (!TIME_OF_DAY_PATTERN.test(start || '') || !TIME_OF_DAY_PATTERN.test(end || '')) {
+            return 'conditions.timeWindow needs start and end as "HH:MM"';
+        }
+        if (!isValidTimeZone(timezone)) {
+            return `Unknown IANA timezone: ${timezone}`;
+        }
+    }
+    if (conditions.afterOurMessage !== undefined && conditions.afterOurMessage !== false) {
+        const hours = conditions.afterOurMessage?.withinHours ?? RULE_DEFAULT_AFTER_MESSAGE_HOURS;
+        if (typeof hours !== 'number' || hours <= 0) {
+            return 'conditions.afterOurMessage.withinHours must be a positive number';
+        }
+    }
+    if (rule.cooldownMinutes !== undefined && (typeof rule.cooldownMinutes !== 'number' || rule.cooldownMinutes < 0)) {
+        return 'cooldownMinutes must be a number of minutes, 0 or more';
+    }
+    
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        return 'actions must be a non-empty array';
+    }
+    for (const action of rule.actions) {
+        if (!RULE_ACTIONS.includes(action?.type)) {
+            return `action type must be one of: ${RULE_ACTIONS.join(', ')}`;
+        }
+        if (action.type === 'reply' && (typeof action.message !== 'string' || !action.message.trim())) {
+            return 'reply actions need a message';
+        }
+        if (action.type === 'react' && (typeof action.emoji !== 'string' || !REACTION_EMOJI_PATTERN.test(action.emoji))) {
+            return 'react actions need a single emoji';
+        }
+    }
+    return null;
+}
+
+// Does the incoming message satisfy the rule? (cooldown is checked separately)
+function ruleMatches(userId, rule, record, chatJids) {
+    const text = record.text || '';
+    const { keywords, regex } = rule.match || {};
+    
+    if (keywords?.length) {
+        const lower = text.toLowerCase();
+        if (!keywords.some(keyword => lower.includes(keyword.toLowerCase()))) return false;
+    }
+    if (regex && !testRuleRegex(userId, rule, text)) {
+        return false;
+    }
+    
+    const { timeWindow, afterOurMessage } = rule.conditions || {};
+    if (timeWindow) {
+        const now = getLocalTime(Date.parse(record.receivedAt), timeWindow.timezone || 'UTC');
+        const inWindow = timeWindow.start <= timeWindow.end
+            ? now >= timeWindow.start && now < timeWindow.end
+            : now >= timeWindow.start || now < timeWindow.end; // Overnight window, e.g. 22:00-06:00
+        if (!inWindow) return false;
+    }
+    if (afterOurMessage) {
+        const hours = afterOurMessage.withinHours ?? RULE_DEFAULT_AFTER_MESSAGE_HOURS;
+        const lastSentAt = getLastSentAt(userId, chatJids);
+        const receivedAt = Date.parse(record.receivedAt);
+        // messageTimestamp only has second precision, so no check that ours came first
+        if (!lastSentAt || receivedAt - lastSentAt > hours * 60 * 60 * 1000) return false;
+    }
+    return true;
+}
+
+async function runRuleActions(userId, sock, rule, record, key) {
+    for (const action of rule.actions) {
+        try {
+            if (action.type === 'reply') {
+                enqueueMessage(userId, { 
+                    phone: record.remoteJid, 
+                    message: action.message, 
+                    quoted: action.quote === false ? undefined : { key, message: { conversation: record.text || '' } } 
+                }, `rule:${rule.id}:${record.messageId}`);
+            } else if (action.type === 'react') {
+                enqueueMessage(userId, { 
+                    type: 'reaction', 
+                    phone: record.remoteJid, 
+                    reaction: { key, emoji: action.emoji } 
+                }, `rule:${rule.id}:${record.messageId}:react`);
+            } else if (action.type === 'read') {
+                await sock.readMessages([key]);
+                record.readAt = new Date().toISOString();
+            }
+        } catch (err) {
+            log.error({ userId, event: 'rule_action_failed', ruleId: rule.id, action: action.type, err }, 'Rule action failed');
+        }
+    }
+    processQueue(userId);
+}
+
+// First enabled rule that matches wins
+async function applyRules(userId, sock, record, key, chatJids) {
+    if (!record.text) return null;
+    
+    for (const rule of loadRules(userId).rules) {
+        if (!rule.enabled || !ruleMatches(userId, rule, record, chatJids)) continue;
+        
+        // Per sender, so one thank-you in a group doesn't silence the rule for everyone else
+        const cooldownKey = `${userId}:${rule.id}:${record.remoteJid}:${record.participant || ''}`;
+        if (Date.now() - (ruleCooldowns.get(cooldownKey) || 0) < getRuleCooldown(rule)) {
+            log.debug({ userId, event: 'rule_cooldown', ruleId: rule.id, remoteJid: record.remoteJid }, 'Rule matched but is cooling down');
+            return null;
+        }
+        ruleCooldowns.set(cooldownKey, Date.now());
+        
+        rule.lastTriggeredAt = new Date().toISOString();
+        rule.triggerCount = (rule.triggerCount || 0) + 1;
+        saveRules(userId);
+        
+        log.info({ userId, event: 'rule_triggered', ruleId: rule.id, messageId: record.messageId }, `Rule "${rule.name}" triggered`);
+        await runRuleActions(userId, sock, rule, record, key);
+        return rule;
+    }
+    return null;
+}
+
+async function handleIncomingMessage(userId, sock, msg) {
+    const { key } = msg;
+    if (key.fromMe || !msg.message) return;
+    
+    const type = getMessageType(msg.message);
+    if (!type || type === 'protocolMessage') return;
+    // Other people's statuses aren't replies, even after we've posted one
+    if (key.remoteJid === STATUS_JID) return;
+    
+    // Only chats we've sent to; the alternate JID covers chats addressed by LID
+    const chatJids = [key.remoteJid, key.remoteJidAlt, key.senderPn].filter(Boolean).map(normalizeUserJid);
+    if (!getLastSentAt(userId, chatJids)) return;
+    
+    const content = unwrapMessage(msg.message);
+    const contextInfo = content[type]?.contextInfo;
+    const record = {
+        messageId: key.id,
+        remoteJid: key.remoteJid,
+        participant: key.participant || null,
+        pushName: msg.pushName || null,
+        type,
+        text: getMessageText(msg.message),
+        reaction: type === 'reactionMessage' ? { emoji: content.reactionMessage.text, messageId: content.reactionMessage.key?.id } : null,
+        inReplyTo: contextInfo?.stanzaId || null, // The message they quoted, usually ours
+        receivedAt: toIsoTimestamp(msg.messageTimestamp) || new Date().toISOString(),
+        readAt: null, // Set once we send a read receipt
+        ruleId: null
+    };
+    
+    const store = loadInbox(userId);
+    store.messages[record.messageId] = record;
+    saveInbox(userId);
+    log.info({ userId, event: 'message_received', messageId: record.messageId, remoteJid: record.remoteJid, type }, 'Incoming message');
+    
+    const rule = await applyRules(userId, sock, record, key, chatJids);
+    if (rule) {
+        record.ruleId = rule.id;
+        saveInbox(userId);
+    }
+    
+    sendWebhook('message.received', userId, record);
+}
+
+// Editable rule fields, on top of the existing rule for updates
+const RULE_FIELDS = ['name', 'enabled', 'match', 'conditions', 'cooldownMinutes', 'actions'];
+
+function buildRule(body, existing = { enabled: true, match: {}, conditions: {} }) {
+    const rule = { ...existing };
+    for (const field of RULE_FIELDS) {
+        if (body[field] !== undefined) {
+            rule[field] = body[field];
+        }
+    }
+    rule.enabled = rule.enabled !== false;
+    return rule;
+}
+
+function formatRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        enabled: rule.enabled,
+        match: rule.match,
+        conditions: rule.conditions,
+        cooldownMinutes: rule.cooldownMinutes,
+        actions: rule.actions,
+        triggerCount: rule.triggerCount || 0,
+        lastTriggeredAt: rule.lastTriggeredAt || null,
+        createdAt: rule.createdAt,
+        updatedAt: rule.updatedAt
+    };
+}
+
+// Phone numbers
+// Numbers are normalized to E.164 with libphonenumber; national numbers use the user's default region
+
+const userSettings = new Map(); // Map<userId, { defaultRegion, naturalSend, minDelaySeconds, maxDelaySeconds, dailySendCap, timezone }>
+
+function getSettingsFile(userId) {
+    return path.join(getUserDataFolder(userId), 'settings.json');
+}
+
+function loadUserSettings(userId) {
+    let settings = userSettings.get(userId);
+    if (!settings) {
+        settings = readJsonFile(getSettingsFile(userId), { defaultRegion: null });
+        userSettings.set(userId, settings);
+    }
+    return settings;
+}
+
+function saveUserSettings(userId) {
+    writeJsonFile(getSettingsFile(userId), loadUserSettings(userId));
+}
+
+function getDefaultRegion(userId) {
+    return loadUserSettings(userId).defaultRegion || DEFAULT_PHONE_REGION;
+}
+
+function isGroupJid(value) {
+    return String(value).endsWith('@g.us');
+}
+
+// Returns { e164, region, jid } or { error }
+function normalizePhoneNumber(input, region = null) {
+    region = region ? String(region).toUpperCase() : null;
+    let raw = String(input ?? '').trim();
+    if (!raw) {
+        return { error: 'Phone number is required' };
+    }
+    
+    // A user JID (optionally with a device suffix) is just a number with country code
+    if (raw.endsWith('@s.whatsapp.net')) {
+        raw = '+' + raw.split('@')[0].split(':')[0];
+    } else if (raw.startsWith('00')) {
+        raw = '+' + raw.slice(2);
+    }
+    
+    // Try the default region first for national numbers, then the digits as country code + number
+    const candidates = [];
+    if (!raw.startsWith('+') && region) {
+        candidates.push(parsePhoneNumberFromString(raw, region));
+    }
+    candidates.push(parsePhoneNumberFromString(raw.startsWith('+') ? raw : '+' + raw.replace(/[^0-9]/g, '')));
+    
+    const parsed = candidates.find(candidate => candidate?.isValid());
+    if (!parsed) {
+        return { 
+            error: region 
+                ? `Invalid phone number: ${input} (default region ${region})` 
+                : `Invalid phone number: ${input} (include the country code or set a default region)` 
+        };
+    }
+    
+    return {
+        e164: parsed.number,
+        region: parsed.country || null,
+        jid: parsed.number.slice(1) + '@s.whatsapp.net'
+    };
+}
+
+// Ask WhatsApp which of the numbers are registered, Map<e164, { exists, jid }>
+async function lookupWhatsAppNumbers(sock, numbers) {
+    const results = new Map();
+    if (numbers.length === 0) return results;
+    
+    const found = (await sock.onWhatsApp(...numbers.map(n => n.jid))) || [];
+    for (const number of numbers) {
+        const digits = number.e164.slice(1);
+        const match = found.find(entry => entry.jid?.split('@')[0].split(':')[0] === digits);
+        if (match) {
+            results.set(number.e164, { exists: !!match.exists, jid: match.exists ? match.jid : null });
+        }
+    }
+    
+    // Some countries have a canonical JID that differs from the dialled number (e.g. Brazil's extra 9),
+    // so numbers that didn't match by digits are looked up one by one
+    for (const number of numbers) {
+        if (results.has(number.e164)) continue;
+        const [match] = (await sock.onWhatsApp(number.jid)) || [];
+        results.set(number.e164, { exists: !!match?.exists, jid: match?.exists ? match.jid : null });
+    }
+    
+    return results;
+}
+
+// Send helpers
+
+// Message types accepted by /send (reactions have their own route)
+const MESSAGE_TYPES = ['text', 'poll'];
+const POLL_MAX_OPTIONS = 12;
+
+// Check if it's already a JID (group, user or LID) or a phone number
+function formatJid(phone) {
+    if (phone.includes('@')) {
+        return phone;
+    }
+    return phone.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
+}
+
+// The message fields of a /send or /schedule body
+function getSendPayload(body) {
+    const payload = { phone: body.phone, message: body.message, media: getMediaDescriptor(body) };
+    for (const field of ['type', 'mentions', 'replyTo', 'poll', 'natural']) {
+        if (body[field] !== undefined) {
+            payload[field] = body[field];
+        }
+    }
+    return payload;
+}
+
+// WhatsApp only highlights mentions that appear in the text as @<number>
+function appendMentionTags(message, jids) {
+    for (const jid of jids) {
+        const tag = '@' + jid.split('@')[0];
+        if (!message.includes(tag)) {
+            message = message ? `${message} ${tag}` : tag;
+        }
+    }
+    return message;
+}
+
+// A message to quote or react to: the id of a message we sent or received, or an explicit key
+// Returns { key, text } or { error }
+function resolveMessageRef(userId, ref) {
+    if (typeof ref === 'string') {
+        const record = loadMessages(userId).messages[ref];
+        if (record) {
+            return { 
+                key: getSentMessageKey(record), 
+                text: record.text || '' 
+            };
+        }
+        const incoming = loadInbox(userId).messages[ref];
+        if (incoming) {
+            const key = { remoteJid: incoming.remoteJid, id: incoming.messageId, fromMe: false };
+            if (incoming.participant) {
+                key.participant = incoming.participant;
+            }
+            return { key, text: incoming.text || '' };
+        }
+        return { error: `Unknown message: ${ref}` };
+    }
+    if (ref && typeof ref === 'object' && ref.id && ref.remoteJid) {
+        const key = { remoteJid: formatJid(String(ref.remoteJid)), id: String(ref.id), fromMe: !!ref.fromMe };
+        if (ref.participant) {
+            key.participant = formatJid(String(ref.participant));
+        }
+        return { key, text: ref.text || '' };
+    }
+    return { error: 'Message reference must be a message id or { id, remoteJid, fromMe, participant }' };
+}
+
+function validatePoll(poll) {
+    if (!poll || typeof poll.name !== 'string' || !poll.name.trim()) {
+        return 'poll.name is required';
+    }
+    if (!Array.isArray(poll.options) || poll.options.length < 2 || poll.options.length > POLL_MAX_OPTIONS) {
+        return `poll.options must have 2 to ${POLL_MAX_OPTIONS} options`;
+    }
+    if (poll.options.some(option => typeof option !== 'string' || !option.trim())) {
+        return 'poll.options must be non-empty strings';
+    }
+    if (new Set(poll.options).size !== poll.options.length) {
+        return 'poll.options must be unique';
+    }
+    const selectableCount = poll.selectableCount ?? 1;
+    if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > poll.options.length) {
+        return 'poll.selectableCount must be between 0 (any number) and the number of options';
+    }
+    return null;
+}
+
+// Validate a /send payload, returns an error message or null
+// Normalizes it in place: phone to E.164 (group JIDs are left as they are), mentions to JIDs
+// and replyTo to the quoted message
+function validateSendPayload(userId, payload) {
+    const type = payload.type || 'text';
+    if (!MESSAGE_TYPES.includes(type)) {
+        return `type must be one of: ${MESSAGE_TYPES.join(', ')}`;
+    }
+    if (payload.natural !== undefined && typeof payload.natural !== 'boolean') {
+        return 'natural must be true or false';
+    }
+    if (type === 'text' && (!payload.phone || (!payload.message && !payload.media))) {
+        return 'Phone number and message (or media) are required';
+    }
+    if (type === 'poll') {
+        if (!payload.phone) {
+            return 'Phone number is required';
+        }
+        const pollError = validatePoll(payload.poll);
+        if (pollError) {
+            return pollError;
+        }
+    }
+    
+    const region = getDefaultRegion(userId);
+    if (!isGroupJid(payload.phone)) {
+        const phone = normalizePhoneNumber(payload.phone, region);
+        if (phone.error) {
+            return phone.error;
+        }
+        payload.phone = phone.e164;
+    }
+    if (payload.media) {
+        const mediaError = validateMediaDescriptor(payload.media);
+        if (mediaError) {
+            return mediaError;
+        }
+    }
+    
+    if (payload.mentions !== undefined) {
+        if (!Array.isArray(payload.mentions) || type !== 'text') {
+            return 'mentions must be an array of phone numbers on a text message';
+        }
+        const jids = [];
+        for (const mention of payload.mentions) {
+            const phone = normalizePhoneNumber(mention, region);
+            if (phone.error) {
+                return `Invalid mention: ${phone.error}`;
+            }
+            jids.push(phone.jid);
+        }
+        payload.mentions = jids;
+        payload.message = appendMentionTags(payload.message || '', jids);
+    }
+    
+    if (payload.replyTo !== undefined) {
+        const quoted = resolveMessageRef(userId, payload.replyTo);
+        if (quoted.error) {
+            return quoted.error;
+        }
+        // Baileys needs the quoted content for the preview, the text is enough
+        payload.quoted = { key: quoted.key, message: { conversation: quoted.text } };
+    }
+    return null;
+}
+
+// The outbox copy of a media message - base64 data is too big to keep, so it can't be resent
+function getOutboxMedia(media, caption) {
+    if (media.data) return null;
+    return { ...media, caption };
+}
+
+// Status posts
+// Stories on status@broadcast: text on a coloured background, or an image/video. WhatsApp only shows
+// a status to the JIDs it is sent to, so the audience comes from the user's contacts
+
+const STATUS_JID = 'status@broadcast';
+const STATUS_MEDIA_TYPES = ['image', 'gif', 'video'];
+const STATUS_FONTS = { // ExtendedTextMessage.FontType
+    system: 0,
+    'system-text': 1,
+    script: 2,
+    bold: 6,
+    'morning-breeze': 7,
+    calistoga: 8,
+    exo2: 9,
+    'courier-prime': 10
+};
+const STATUS_DEFAULT_BACKGROUND = '#25D366';
+
+// Build the queue payload of a POST /status body, returns { payload } or { error }
+// Without an explicit audience the status goes to every contact saved in the user's address book
+function getStatusPayload(userId, body) {
+    const message = body.message || '';
+    const media = getMediaDescriptor(body);
+    
+    if (typeof message !== 'string' || (!message.trim() && !media)) {
+        return { error: 'message (or media) is required' };
+    }
+    if (media) {
+        const mediaError = validateMediaDescriptor(media);
+        if (mediaError) {
+            return { error: mediaError };
+        }
+        if (!STATUS_MEDIA_TYPES.includes(media.type)) {
+            return { error: `Status media must be one of: ${STATUS_MEDIA_TYPES.join(', ')}` };
+        }
+    }
+    
+    const backgroundColor = body.backgroundColor || STATUS_DEFAULT_BACKGROUND;
+    if (typeof backgroundColor !== 'string' || !/^#[0-9a-f]{6}$/i.test(backgroundColor)) {
+        return { error: 'backgroundColor must be a hex colour like #25D366' };
+    }
+    const font = body.font || 'system';
+    if (!(font in STATUS_FONTS)) {
+        return { error: `font must be one of: ${Object.keys(STATUS_FONTS).join(', ')}` };
+    }
+    
+    const contacts = loadContacts(userId).contacts;
+    let audience;
+    if (body.audience === undefined) {
+        audience = Object.values(contacts).filter(contact => contact.name).map(contact => contact.id);
+    } else {
+        if (!Array.isArray(body.audience) || body.audience.length === 0) {
+            return { error: 'audience must be a non-empty array of phone numbers or JIDs' };
+        }
+        const region = getDefaultRegion(userId);
+        audience = [];
+        const notContacts = [];
+        for (const input of body.audience) {
+            const phone = isContactJid(input) ? { jid: normalizeUserJid(input) } : normalizePhoneNumber(input, region);
+            if (!phone.error && contacts[phone.jid]) {
+                audience.push(phone.jid);
+            } else {
+                notContacts.push(input);
+            }
+        }
+        if (notContacts.length > 0) {
+            return { error: `Not in your contacts: ${notContacts.join(', ')}` };
+        }
+    }
+    if (audience.length === 0) {
+        return { error: 'No contacts to show the status to - sync contacts first or pass an audience' };
+    }
+    
+    return {
+        payload: {
+            type: 'status',
+            phone: STATUS_JID,
+            status: { message, media, backgroundColor, font: STATUS_FONTS[font], audience: [...new Set(audience)] }
+        }
+    };
+}
+
+// Send a text/media message, poll, reaction, edit or delete for everyone on an open session
+// partial (the job's) remembers a media message that went out when the text after it failed, so a retry
+// only sends the text
+async function deliverMessage(userId, session, payload, partial = {}) {
+    const { phone, message, media, mentions, quoted } = payload;
+    const formattedPhone = formatJid(phone);
+    
+    log.info({ userId, event: 'message_sending', phone, type: payload.type || 'text' }, 'Sending message');
+    
+    let mediaSent = false;
+    let mediaError = null;
+    let textSent = false;
+    let mediaTracked = false; // The media message is tracked as soon as it is sent
+    const sentMessages = [];
+    const sentContents = []; // Outbox content of each sent message, for resends
+    // A reply quotes with the first message only
+    const sendOptions = () => (quoted && sentMessages.length === 0 ? { quoted } : undefined);
+    
+    if (payload.type === 'reaction') {
+        // An empty emoji removes the reaction
+        const { key, emoji } = payload.reaction;
+        sentMessages.push(await session.sock.sendMessage(formattedPhone, { react: { text: emoji, key } }));
+    } else if (payload.type === 'edit') {
+        sentMessages.push(await session.sock.sendMessage(formattedPhone, { text: payload.text, edit: payload.target }));
+    } else if (payload.type === 'delete') {
+        const deleteOptions = payload.audience ? { broadcast: true, statusJidList: payload.audience } : undefined;
+        sentMessages.push(await session.sock.sendMessage(formattedPhone, { delete: payload.target }, deleteOptions));
+    } else if (payload.type === 'status') {
+        const { message, media, backgroundColor, font, audience } = payload.status;
+        // Colour and font are generation options in Baileys, not message content
+        const statusOptions = { broadcast: true, statusJidList: audience, backgroundColor, font };
+        let content = { text: message };
+        if (media) {
+            const { buffer, mimetype } = await loadMedia(media);
+            content = buildMediaContent(media, buffer, mimetype, media.caption || message || undefined);
+        }
+        sentMessages.push(await session.sock.sendMessage(STATUS_JID, content, statusOptions));
+        // Deleting a status has to reach the same audience
+        sentContents.push({ type: 'status', audience });
+    } else if (payload.type === 'poll') {
+        const { name, options, selectableCount = 1 } = payload.poll;
+        sentMessages.push(await session.sock.sendMessage(formattedPhone, { poll: { name, values: options, selectableCount } }, sendOptions()));
+        sentContents.push({ type: 'poll', poll: payload.poll });
+    } else {
+        if (media && partial.media) {
+            // Sent on an earlier attempt - sending it again would deliver it twice
+            sentMessages.push({ key: partial.media.key });
+            sentContents.push(null);
+            mediaSent = true;
+            mediaTracked = true;
+            textSent = partial.media.textSent;
+        } else if (media) {
+            try {
+                const { buffer, mimetype } = await loadMedia(media);
+                // Text goes in the caption where WhatsApp supports one
+                const supportsCaption = ['image', 'gif', 'video'].includes(media.type);
+                const caption = media.caption || (supportsCaption ? message : undefined);
+                
+                log.info({ userId, event: 'media_attached', mediaType: media.type, mimetype, bytes: buffer.length }, 'Attaching media');
+                const content = buildMediaContent(media, buffer, mimetype, caption);
+                if (mentions?.length && caption) {
+                    content.mentions = mentions;
+                }
+                const sent = await session.sock.sendMessage(formattedPhone, content, sendOptions());
+                const outboxMedia = getOutboxMedia(media, caption);
+                sentMessages.push(sent);
+                sentContents.push(null);
+                mediaSent = true;
+                textSent = supportsCaption && caption === message;
+                trackSentMessage(userId, sent, outboxMedia && { media: outboxMedia, mentions: content.mentions }, payload.resendOf || null);
+                mediaTracked = true;
+                partial.media = { key: sent.key, textSent };
+            } catch (err) {
+                mediaError = err.message;
+                log.warn({ userId, event: 'media_failed', error: mediaError }, 'Media failed, falling back to text');
+            }
+        }
+        
+        if (message && !textSent) {
+            const content = { text: message };
+            if (mentions?.length) {
+                content.mentions = mentions;
+            }
+            sentMessages.push(await session.sock.sendMessage(formattedPhone, content, sendOptions()));
+            sentContents.push({ message, mentions: content.mentions });
+        } else if (!mediaSent) {
+            // Nothing could be delivered
+            throw new Error(`Media could not be sent: ${mediaError}`);
+        }
+    }
+    
+    log.info({ userId, event: 'message_sent', phone }, 'Message sent');
+    
+    // Reactions have no receipts worth tracking, edits and deletes change the original message
+    if (payload.type === 'edit' || payload.type === 'delete') {
+        applyMessageChange(userId, payload);
+    } else if (payload.type !== 'reaction') {
+        const tracked = mediaTracked ? 1 : 0;
+        sentMessages.slice(tracked).forEach((sent, index) => trackSentMessage(userId, sent, sentContents[tracked + index], payload.resendOf || null));
+    }
+    
+    const result = {
+        messageId: sentMessages[0]?.key?.id || null,
+        messageKey: sentMessages[0]?.key || null,
+        messageIds: sentMessages.map(sent => sent?.key?.id).filter(Boolean)
+    };
+    if (media) {
+        result.mediaSent = mediaSent;
+        result.mediaError = mediaError;
+    }
+    return result;
+}
+
+// Natural sending
+// Optionally a send first reads the chat, shows "typing..." for about as long as the message would take to
+// type and pauses for a random moment. A daily cap per user holds further sends until the next day
+
+// The user's settings over the environment defaults
+function getSendSettings(userId) {
+    const settings = loadUserSettings(userId);
+    return {
+        naturalSend: settings.naturalSend ?? NATURAL_SEND,
+        minDelaySeconds: settings.minDelaySeconds ?? NATURAL_MIN_DELAY / 1000,
+        maxDelaySeconds: settings.maxDelaySeconds ?? NATURAL_MAX_DELAY / 1000,
+        dailySendCap: settings.dailySendCap ?? DAILY_SEND_CAP,
+        timezone: settings.timezone || 'UTC'
+    };
+}
+
+// Reactions, edits and deletes go out straight away; the payload can override the user's setting
+function isNaturalSend(userId, payload) {
+    if (!['text', 'poll'].includes(payload.type || 'text')) return false;
+    return payload.natural ?? getSendSettings(userId).naturalSend;
+}
+
+// Only new messages count towards the daily cap
+function countsTowardsCap(payload) {
+    return !['reaction', 'edit', 'delete'].includes(payload.type);
+}
+
+// "YYYY-MM-DD" in timeZone
+function getLocalDate(timestamp, timeZone) {
+    return new Date(timestamp + getTimeZoneOffset(timestamp, timeZone)).toISOString().slice(0, 10);
+}
+
+function getNextLocalMidnight(timestamp, timeZone) {
+    const day = 24 * 60 * 60 * 1000;
+    const offset = getTimeZoneOffset(timestamp, timeZone);
+    return (Math.floor((timestamp + offset) / day) + 1) * day - offset;
+}
+
+function isDailyCapReached(userId, queue) {
+    const { dailySendCap, timezone } = getSendSettings(userId);
+    if (!dailySendCap) return false;
+    const daily = queue.daily;
+    return daily?.day === getLocalDate(Date.now(), timezone) && daily.count >= dailySendCap;
+}
+
+// Counted in queue.json so the cap survives restarts
+function countDailySend(userId, queue) {
+    const today = getLocalDate(Date.now(), getSendSettings(userId).timezone);
+    if (queue.daily?.day !== today) {
+        queue.daily = { day: today, count: 0 };
+    }
+    queue.daily.count++;
+}
+
+// Hold a job until midnight in the user's time zone, without using up an attempt
+function deferJobUntilTomorrow(userId, job) {
+    const { dailySendCap, timezone } = getSendSettings(userId);
+    job.nextAttemptAt = getNextLocalMidnight(Date.now(), timezone);
+    job.lastError = `Daily send cap of ${dailySendCap} reached, sending after midnight (${timezone})`;
+    saveQueue(userId);
+    log.info({ userId, event: 'job_capped', jobId: job.id, dailySendCap, nextAttemptAt: new Date(job.nextAttemptAt).toISOString() }, 'Daily send cap reached');
+    queueEvents.emit('job', job, userId);
+}
+
+// Mark what the chat sent us as read, like opening it before answering
+async function readChatBeforeReply(userId, sock, jid) {
+    const store = loadInbox(userId);
+    const unread = Object.values(store.messages).filter(record => record.remoteJid === jid && !record.readAt);
+    if (unread.length === 0) return;
+    
+    await sock.readMessages(unread.map(record => {
+        const key = { remoteJid: record.remoteJid, id: record.messageId, fromMe: false };
+        if (record.participant) {
+            key.participant = record.participant;
+        }
+        return key;
+    }));
+    const now = new Date().toISOString();
+    for (const record of unread) {
+        record.readAt = now;
+    }
+    saveInbox(userId);
+}
+
+async function deliverNaturally(userId, session, payload, partial) {
+    const { sock } = session;
+    const jid = formatJid(payload.phone);
+    const { minDelaySeconds, maxDelaySeconds } = getSendSettings(userId);
+    const text = payload.type === 'poll' ? payload.poll.name : (payload.message || payload.media?.caption || '');
+    const typingTime = Math.min(Math.max(text.length / NATURAL_TYPING_SPEED * 1000, NATURAL_TYPING_MIN), NATURAL_TYPING_MAX);
+    
+    try {
+        try {
+            await readChatBeforeReply(userId, sock, jid);
+            await sock.sendPresenceUpdate('available');
+            await sock.presenceSubscribe(jid);
+            await sock.sendPresenceUpdate('composing', jid);
+        } catch (err) {
+            // Only for show - the message still goes out
+            log.warn({ userId, event: 'natural_send_presence_failed', err }, 'Could not show typing');
+        }
+        await new Promise(resolve => setTimeout(resolve, typingTime));
+        await sock.sendPresenceUpdate('paused', jid).catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, randomDelay(minDelaySeconds * 1000, maxDelaySeconds * 1000)));
+        
+        return await deliverMessage(userId, session, payload, partial);
+    } finally {
+        // Back to offline, as with markOnlineOnConnect: false
+        await sock.sendPresenceUpdate('unavailable').catch(() => {});
+    }
+}
+
+// Outbound message queue
+// Jobs are persisted per user in data/<userId>/queue.json and drained whenever the session is open
+
+const userQueues = new Map(); // Map<userId, { jobs }>
+const queueState = new Map(); // Map<userId, { draining, lastSentAt, retryTimer }>
+const queueEvents = new EventEmitter();
+queueEvents.setMaxListeners(0);
+
+function getQueueFile(userId) {
+    return path.join(getUserDataFolder(userId), 'queue.json');
+}
+
+function loadQueue(userId) {
+    let queue = userQueues.get(userId);
+    if (!queue) {
+        queue = readJsonFile(getQueueFile(userId), { jobs: [] });
+        // A job still marked as sending was interrupted by a restart - try it again
+        for (const job of queue.jobs) {
+            if (job.status === 'sending') {
+                job.status = 'pending';
+            }
+        }
+        userQueues.set(userId, queue);
+    }
+    return queue;
+}
+
+function saveQueue(userId) {
+    const queue = loadQueue(userId);
+    
+    // Keep only the most recent finished jobs
+    const finished = queue.jobs.filter(job => job.status === 'sent' || job.status === 'failed' || job.status === 'cancelled');
+    if (finished.length > QUEUE_HISTORY_LIMIT) {
+        const dropped = new Set(finished.slice(0, finished.length - QUEUE_HISTORY_LIMIT));
+        queue.jobs = queue.jobs.filter(job => !dropped.has(job));
+    }
+    
+    writeJsonFile(getQueueFile(userId), queue);
+}
+
+function getQueueState(userId) {
+    let state = queueState.get(userId);
+    if (!state) {
+        state = { draining: false, lastSentAt: 0, retryTimer: null };
+        queueState.set(userId, state);
+    }
+    return state;
+}
+
+function findJobByIdempotencyKey(userId, idempotencyKey) {
+    if (!idempotencyKey) return null;
+    return loadQueue(userId).jobs.find(job => job.idempotencyKey === idempotencyKey) || null;
+}
+
+function enqueueMessage(userId, payload, idempotencyKey = null, batchId = null) {
+    const queue = loadQueue(userId);
+    const job = {
+        id: crypto.randomUUID(),
+        idempotencyKey,
+        batchId, // Set for broadcast recipients
+        payload,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        result: null,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now(),
+        sentAt: null
+    };
+    queue.jobs.push(job);
+    saveQueue(userId);
+    log.info({ userId, event: 'job_queued', jobId: job.id, phone: payload.phone }, 'Message queued');
+    return job;
+}
+
+// Resolve once the job is sent, failed or has been retried, or after timeout ms
+function waitForJob(job, timeout) {
+    return new Promise(resolve => {
+        const onUpdate = (updated) => {
+            if (updated.id === job.id && updated.status !== 'sending') {
+                finish();
+            }
+        };
+        const timer = setTimeout(finish, timeout);
+        function finish() {
+            clearTimeout(timer);
+            queueEvents.off('job', onUpdate);
+            resolve(job);
+        }
+        queueEvents.on('job', onUpdate);
+    });
+}
+
+function scheduleQueueRetry(userId) {
+    const state = getQueueState(userId);
+    const pending = loadQueue(userId).jobs.filter(job => job.status === 'pending');
+    if (pending.length === 0) return;
+    
+    const nextAttemptAt = Math.min(...pending.map(job => job.nextAttemptAt));
+    clearTimeout(state.retryTimer);
+    state.retryTimer = setTimeout(() => processQueue(userId), Math.max(nextAttemptAt - Date.now(), 0));
+}
+
+// Send pending jobs one at a time, throttled per account
+async function processQueue(userId) {
+    const state = getQueueState(userId);
+    if (state.draining) return;
+    state.draining = true;
+    
+    try {
+        const queue = loadQueue(userId);
+        
+        while (!shuttingDown) {
+            const session = userSessions.get(userId);
+            if (!session || !session.isConnected) {
+                // Will be picked up again on connection === 'open'
+                break;
+            }
+            
+            const job = queue.jobs.find(j => j.status === 'pending' && j.nextAttemptAt <= Date.now());
+            if (!job) break;
+            
+            if (countsTowardsCap(job.payload) && isDailyCapReached(userId, queue)) {
+                deferJobUntilTomorrow(userId, job);
+                continue;
+            }
+            
+            // Throttle to avoid WhatsApp flagging the account
+            const wait = state.lastSentAt + QUEUE_SEND_INTERVAL - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            
+            job.status = 'sending';
+            job.attempts++;
+            saveQueue(userId);
+            
+            const endTimer = metrics.sendDuration.startTimer();
+            try {
+                const deliver = isNaturalSend(userId, job.payload) ? deliverNaturally : deliverMessage;
+                job.partial ??= {};
+                job.result = await deliver(userId, session, job.payload, job.partial);
+                delete job.partial;
+                if (countsTowardsCap(job.payload)) {
+                    countDailySend(userId, queue);
+                }
+                job.status = 'sent';
+                job.sentAt = new Date().toISOString();
+                job.lastError = null;
+                endTimer({ outcome: 'sent' });
+                metrics.sends.inc({ outcome: 'sent' });
+            } catch (err) {
+                job.lastError = err.message;
+                const outcome = job.attempts >= QUEUE_MAX_ATTEMPTS ? 'failed' : 'retry';
+                endTimer({ outcome });
+                metrics.sends.inc({ outcome });
+                if (job.attempts >= QUEUE_MAX_ATTEMPTS) {
+                    job.status = 'failed';
+                    log.error({ userId, event: 'job_failed', jobId: job.id, attempts: job.attempts, err }, 'Message failed permanently');
+                } else {
+                    job.status = 'pending';
+                    job.nextAttemptAt = Date.now() + QUEUE_RETRY_DELAY * Math.pow(2, job.attempts - 1);
+                    log.warn({ userId, event: 'job_retry', jobId: job.id, attempt: job.attempts, maxAttempts: QUEUE_MAX_ATTEMPTS, err }, 'Message failed, retrying');
+                }
+            }
+            
+            state.lastSentAt = Date.now();
+            saveQueue(userId);
+            queueEvents.emit('job', job, userId);
+        }
+    } catch (err) {
+        log.error({ userId, event: 'queue_failed', err }, 'Error processing queue');
+    } finally {
+        state.draining = false;
+        if (!shuttingDown) {
+            scheduleQueueRetry(userId);
+        }
+    }
+}
+
+function formatJob(job) {
+    return {
+        id: job.id,
+        idempotencyKey: job.idempotencyKey,
+        type: job.payload.type || 'text',
+        phone: job.payload.phone,
+        status: job.status,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        result: job.result,
+        createdAt: job.createdAt,
+        nextAttemptAt: job.status === 'pending' ? new Date(job.nextAttemptAt).toISOString() : null,
+        sentAt: job.sentAt
+    };
+}
+
+// Drop a job that hasn't been sent yet
+function cancelJob(userId, job) {
+    if (job.status !== 'pending') return false;
+    job.status = 'cancelled';
+    saveQueue(userId);
+    queueEvents.emit('job', job, userId);
+    return true;
+}
+
+// Build the /send response for a job
+function sendJobResponse(res, job) {
+    if (job.status === 'sent') {
+        return res.json({ 
+            success: true, 
+            message: 'Message sent successfully',
+            jobId: job.id,
+            ...job.result 
+        });
+    }
+    if (job.status === 'failed') {
+        return res.status(500).json({ 
+            success: false, 
+            message: job.lastError,
+            jobId: job.id 
+        });
+    }
+    res.status(202).json({ 
+        success: true, 
+        queued: true,
+        message: job.lastError 
+            ? `Send failed, will retry: ${job.lastError}` 
+            : 'Message queued for delivery',
+        jobId: job.id 
+    });
+}
+
+// Broadcasts
+// A batch sends one templated message per recipient through the queue, one recipient at a time with a
+// random gap in between. Batches are persisted per user in data/<userId>/broadcasts.json
+
+const userBroadcasts = new Map(); // Map<userId, { batches }>
+const broadcastTimers = new Map(); // Map<batchId, Timeout>
+
+function getBroadcastsFile(userId) {
+    return path.join(getUserDataFolder(userId), 'broadcasts.json');
+}
+
+function loadBroadcasts(userId) {
+    let store = userBroadcasts.get(userId);
+    if (!store) {
+        store = readJsonFile(getBroadcastsFile(userId), { batches: [] });
+        userBroadcasts.set(userId, store);
+    }
+    return store;
+}
+
+function saveBroadcasts(userId) {
+    const store = loadBroadcasts(userId);
+    // Keep running batches, drop the oldest finished ones
+    const finished = store.batches.filter(batch => batch.status !== 'running');
+    if (finished.length > BROADCAST_HISTORY_LIMIT) {
+        const dropped = new Set(finished.slice(0, finished.length - BROADCAST_HISTORY_LIMIT));
+        store.batches = store.batches.filter(batch => !dropped.has(batch));
+    }
+    writeJsonFile(getBroadcastsFile(userId), store);
+}
+
+// "Happy {{age}}th birthday {{ name | friend }}!" - a missing variable without a default is an error
+function renderTemplate(template, variables = {}) {
+    const missing = [];
+    const text = template.replace(/\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g, (placeholder, name, fallback) => {
+        const value = variables[name];
+        if (value !== undefined && value !== null && value !== '') return String(value);
+        if (fallback !== undefined) return fallback.trim();
+        missing.push(name);
+        return placeholder;
+    });
+    return missing.length > 0 ? { error: `Missing variable: ${missing.join(', ')}` } : { text };
+}
+
+function randomDelay(min, max) {
+    return Math.round(min + Math.random() * Math.max(max - min, 0));
+}
+
+function getBroadcastProgress(batch) {
+    const progress = { total: batch.recipients.length, pending: 0, queued: 0, sent: 0, failed: 0, cancelled: 0, invalid: 0 };
+    for (const recipient of batch.recipients) {
+        progress[recipient.status]++;
+    }
+    return progress;
+}
+
+function formatBroadcast(batch, includeRecipients = true) {
+    const formatted = {
+        id: batch.id,
+        status: batch.status,
+        progress: getBroadcastProgress(batch),
+        minDelaySeconds: batch.minDelay / 1000,
+        maxDelaySeconds: batch.maxDelay / 1000,
+        createdAt: batch.createdAt,
+        completedAt: batch.completedAt
+    };
+    if (includeRecipients) {
+        formatted.recipients = batch.recipients.map(({ payload, ...recipient }) => recipient);
+    }
+    return formatted;
+}
+
+function finishBroadcastIfDone(userId, batch) {
+    if (batch.status !== 'running') return;
+    if (batch.recipients.some(recipient => recipient.status === 'pending' || recipient.status === 'queued')) return;
+    
+    batch.status = 'completed';
+    batch.completedAt = new Date().toISOString();
+    const progress = getBroadcastProgress(batch);
+    log.info({ userId, event: 'broadcast_completed', batchId: batch.id, ...progress }, 'Broadcast completed');
+    sendWebhook('broadcast.completed', userId, { batchId: batch.id, progress });
+}
+
+// Queue the next recipient; called again once its job is sent or has failed for good
+function advanceBroadcast(userId, batch) {
+    broadcastTimers.delete(batch.id);
+    if (batch.status !== 'running') return;
+    if (batch.recipients.some(recipient => recipient.status === 'queued')) return;
+    
+    const recipient = batch.recipients.find(r => r.status === 'pending');
+    if (!recipient) {
+        finishBroadcastIfDone(userId, batch);
+        saveBroadcasts(userId);
+        return;
+    }
+    
+    const job = enqueueMessage(userId, recipient.payload, `broadcast:${batch.id}:${recipient.index}`, batch.id);
+    recipient.status = 'queued';
+    recipient.jobId = job.id;
+    saveBroadcasts(userId);
+    processQueue(userId);
+}
+
+function scheduleBroadcastAdvance(userId, batch, delay) {
+    clearTimeout(broadcastTimers.get(batch.id));
+    broadcastTimers.set(batch.id, setTimeout(() => advanceBroadcast(userId, batch), delay));
+}
+
+// Track the batch's jobs as the queue works through them
+queueEvents.on('job', (job, userId) => {
+    if (!job.batchId) return;
+    const batch = loadBroadcasts(userId).batches.find(b => b.id === job.batchId);
+    const recipient = batch?.recipients.find(r => r.jobId === job.id);
+    if (!recipient || recipient.status !== 'queued') return;
+    
+    if (job.status === 'sent') {
+        recipient.status = 'sent';
+        recipient.messageId = job.result?.messageId || null;
+        recipient.sentAt = job.sentAt;
+    } else if (job.status === 'failed' || job.status === 'cancelled') {
+        recipient.status = job.status;
+        recipient.error = job.lastError;
+    } else {
+        // Will be retried by the queue
+        return;
+    }
+    
+    saveBroadcasts(userId);
+    if (batch.status === 'running') {
+        const morePending = batch.recipients.some(r => r.status === 'pending');
+        scheduleBroadcastAdvance(userId, batch, morePending ? randomDelay(batch.minDelay, batch.maxDelay) : 0);
+    }
+});
+
+function cancelBroadcast(userId, batch) {
+    clearTimeout(broadcastTimers.get(batch.id));
+    broadcastTimers.delete(batch.id);
+    batch.status = 'cancelled';
+    batch.completedAt = new Date().toISOString();
+    
+    const jobs = loadQueue(userId).jobs;
+    for (const recipient of batch.recipients) {
+        if (recipient.status === 'pending') {
+            recipient.status = 'cancelled';
+        } else if (recipient.status === 'queued') {
+            // Already being sent if the job isn't pending any more; the job event settles it
+            const job = jobs.find(j => j.id === recipient.jobId);
+            if (job && cancelJob(userId, job)) {
+                recipient.status = 'cancelled';
+            }
+        }
+    }
+    saveBroadcasts(userId);
+    log.info({ userId, event: 'broadcast_cancelled', batchId: batch.id }, 'Broadcast cancelled');
+}
+
+// Carry on with a user's running batches (after a restart or a session takeover), returns how many
+function restoreUserBroadcasts(userId) {
+    if (!fs.existsSync(path.join(getUserDataFolder(userId), 'broadcasts.json'))) return 0;
+    
+    let restored = 0;
+    const jobs = loadQueue(userId).jobs;
+    for (const batch of loadBroadcasts(userId).batches) {
+        if (batch.status !== 'running') continue;
+        restored++;
+        
+        // Settle recipients whose job finished while we were down
+        for (const recipient of batch.recipients) {
+            if (recipient.status !== 'queued') continue;
+            const job = jobs.find(j => j.id === recipient.jobId);
+            if (!job || job.status === 'failed' || job.status === 'cancelled') {
+                recipient.status = job ? job.status : 'failed';
+                recipient.error = job?.lastError || 'Job lost';
+            } else if (job.status === 'sent') {
+                recipient.status = 'sent';
+                recipient.messageId = job.result?.messageId || null;
+                recipient.sentAt = job.sentAt;
+            }
+        }
+        saveBroadcasts(userId);
+        advanceBroadcast(userId, batch);
+    }
+    return restored;
+}
+
+function restoreBroadcasts() {
+    if (!fs.existsSync(DATA_FOLDER_BASE)) return;
+    
+    let restored = 0;
+    for (const userId of fs.readdirSync(DATA_FOLDER_BASE)) {
+        // With sharding, sessions are restored by whichever instance takes them over
+        if (ownsSession(userId)) {
+            restored += restoreUserBroadcasts(userId);
+        }
+    }
+    
+    log.info({ event: 'broadcasts_restored', count: restored }, 'Running broadcasts resumed');
+}
+
+// Scheduled sends
+// Schedules are persisted per user in data/<userId>/schedules.json and handed to the queue when due
+
+const userSchedules = new Map(); // Map<userId, { schedules }>
+
+function getSchedulesFile(userId) {
+    return path.join(getUserDataFolder(userId), 'schedules.json');
+}
+
+function loadSchedules(userId) {
+    let store = userSchedules.get(userId);
+    if (!store) {
+        store = readJsonFile(getSchedulesFile(userId), { schedules: [] });
+        userSchedules.set(userId, store);
+    }
+    return store;
+}
+
+function saveSchedules(userId) {
+    const store = loadSchedules(userId);
+    
+    // Keep only the most recent finished schedules
+    const finished = store.schedules.filter(schedule => SCHEDULE_FINISHED_STATUSES.includes(schedule.status));
+    if (finished.length > SCHEDULE_HISTORY_LIMIT) {
+        const dropped = new Set(finished.slice(0, finished.length - SCHEDULE_HISTORY_LIMIT));
+        store.schedules = store.schedules.filter(schedule => !dropped.has(schedule));
+    }
+    
+    writeJsonFile(getSchedulesFile(userId), store);
+}
+
+// A queued schedule follows its job: sent, or failed/cancelled with the job's error. Returns whether it changed
+function syncScheduleWithJob(schedule, job) {
+    if (schedule.status !== 'queued' || !['sent', 'failed', 'cancelled'].includes(job.status)) return false;
+    schedule.status = job.status;
+    if (job.status === 'sent') {
+        schedule.sentAt = job.sentAt;
+        schedule.messageId = job.result?.messageId || null;
+    } else {
+        schedule.reason = job.lastError || null;
+    }
+    return true;
+}
+
+queueEvents.on('job', (job, userId) => {
+    const schedule = userSchedules.get(userId)?.schedules.find(s => s.jobId === job.id);
+    if (schedule && syncScheduleWithJob(schedule, job)) {
+        saveSchedules(userId);
+    }
+});
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Offset in ms between timeZone and UTC at the given instant
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+        parts[type] = parseInt(value, 10);
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Parse sendAt - an ISO timestamp with an offset is absolute, a local one ("2025-03-14T09:00") is read in timeZone
+function parseSendAt(sendAt, timeZone) {
+    if (typeof sendAt !== 'string') return null;
+    
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(sendAt)) {
+        const timestamp = Date.parse(sendAt);
+        return isNaN(timestamp) ? null : timestamp;
+    }
+    
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(sendAt);
+    if (!match) return null;
+    
+    const [, year, month, day, hour, minute, second] = match.map(v => parseInt(v || '0', 10));
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Re-check the offset at the resulting instant to get DST transitions right
+    let timestamp = guess - getTimeZoneOffset(guess, timeZone);
+    const offset = getTimeZoneOffset(timestamp, timeZone);
+    if (guess - offset !== timestamp) {
+        timestamp = guess - offset;
+    }
+    return timestamp;
+}
+
+function formatSchedule(schedule) {
+    return {
+        id: schedule.id,
+        phone: schedule.payload.phone,
+        sendAt: new Date(schedule.sendAt).toISOString(),
+        timezone: schedule.timezone,
+        localSendAt: new Date(schedule.sendAt).toLocaleString('sv-SE', { timeZone: schedule.timezone }),
+        missedPolicy: schedule.missedPolicy,
+        missedWindowHours: schedule.missedWindowHours,
+        status: schedule.status,
+        jobId: schedule.jobId,
+        messageId: schedule.messageId || null,
+        sentAt: schedule.sentAt || null,
+        reason: schedule.reason,
+        createdAt: schedule.createdAt
+    };
+}
+
+// Hand a due schedule over to the outbound queue
+function fireSchedule(userId, schedule) {
+    const job = enqueueMessage(userId, schedule.payload, schedule.idempotencyKey || `schedule:${schedule.id}`);
+    schedule.status = 'queued';
+    schedule.jobId = job.id;
+    schedule.firedAt = new Date().toISOString();
+    saveSchedules(userId);
+    log.info({ userId, event: 'schedule_fired', scheduleId: schedule.id, jobId: job.id }, 'Schedule due, queued');
+    processQueue(userId);
+}
+
+// Decide what to do with a schedule that came due while the service was down
+function handleMissedSchedule(userId, schedule, now) {
+    const lateHours = (now - schedule.sendAt) / 3600000;
+    const send = schedule.missedPolicy === 'send' ||
+        (schedule.missedPolicy === 'window' && lateHours <= schedule.missedWindowHours);
+    
+    if (send) {
+        log.warn({ userId, event: 'schedule_missed_send', scheduleId: schedule.id, lateHours, policy: schedule.missedPolicy }, 'Schedule missed during downtime - sending late');
+        fireSchedule(userId, schedule);
+    } else {
+        log.warn({ userId, event: 'schedule_missed_skip', scheduleId: schedule.id, lateHours, policy: schedule.missedPolicy }, 'Schedule missed during downtime - skipping');
+        schedule.status = 'skipped';
+        schedule.reason = `Missed by ${lateHours.toFixed(1)} hours while the service was down`;
+        saveSchedules(userId);
+    }
+}
+
+function checkDueSchedules() {
+    const now = Date.now();
+    for (const [userId, store] of userSchedules) {
+        if (!ownsSession(userId)) continue;
+        for (const schedule of store.schedules) {
+            if (schedule.status === 'scheduled' && schedule.sendAt <= now) {
+                try {
+                    fireSchedule(userId, schedule);
+                } catch (err) {
+                    log.error({ userId, event: 'schedule_failed', scheduleId: schedule.id, err }, 'Error firing schedule');
+                }
+            }
+        }
+    }
+}
+
+// Load a user's persisted schedules and apply the missed-send policy, returns how many are pending
+function restoreUserSchedules(userId, now) {
+    if (!fs.existsSync(path.join(getUserDataFolder(userId), 'schedules.json'))) return 0;
+    
+    let restored = 0;
+    let synced = false;
+    const jobs = loadQueue(userId).jobs;
+    for (const schedule of loadSchedules(userId).schedules) {
+        // The job may have finished while nobody was listening
+        const job = schedule.status === 'queued' && jobs.find(j => j.id === schedule.jobId);
+        if (job && syncScheduleWithJob(schedule, job)) {
+            synced = true;
+        }
+        if (schedule.status !== 'scheduled') continue;
+        restored++;
+        if (schedule.sendAt <= now) {
+            handleMissedSchedule(userId, schedule, now);
+        }
+    }
+    if (synced) {
+        saveSchedules(userId);
+    }
+    return restored;
+}
+
+// Load persisted schedules on startup
+function restoreSchedules() {
+    log.info({ event: 'schedules_restoring' }, 'Restoring scheduled messages');
+    const now = Date.now();
+    let restored = 0;
+    
+    for (const userId of fs.readdirSync(DATA_FOLDER_BASE)) {
+        // With sharding, sessions are restored by whichever instance takes them over
+        if (ownsSession(userId)) {
+            restored += restoreUserSchedules(userId, now);
+        }
+    }
+    
+    log.info({ event: 'schedules_restored', count: restored }, 'Pending schedules loaded');
+    setInterval(checkDueSchedules, SCHEDULE_CHECK_INTERVAL).unref();
+}
+
+// API authentication
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a || '');
+    const bufferB = Buffer.from(b || '');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function signUserToken(userId, exp) {
+    return crypto.createHmac('sha256', USER_TOKEN_SECRET).update(`user:${userId}:${exp}`).digest('base64url');
+}
+
+// Scoped tokens look like "<base64url userId>.<exp>.<signature>" and only work for that userId until exp (Unix seconds)
+function createUserToken(userId) {
+    const exp = Math.floor(Date.now() / 1000) + USER_TOKEN_TTL;
+    return {
+        token: `${Buffer.from(userId.toString()).toString('base64url')}.${exp}.${signUserToken(userId, exp)}`,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+}
+
+function verifyUserToken(token) {
+    if (!USER_TOKEN_SECRET) return null;
+    const [encodedUserId, exp, signature] = token.split('.');
+    if (!encodedUserId || !/^\d+$/.test(exp || '') || !signature) return null;
+    if (parseInt(exp, 10) * 1000 <= Date.now()) return null;
+    const userId = Buffer.from(encodedUserId, 'base64url').toString();
+    return safeEqual(signature, signUserToken(userId, exp)) ? userId : null;
+}
+
+// Signature = HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<raw body>"
+function verifyRequestSignature(req) {
+    const timestamp = req.get('X-HBDrop-Timestamp');
+    const signature = (req.get('X-HBDrop-Signature') || '').replace(/^sha256=/, '');
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Date.now() - parseInt(timestamp, 10)) > HMAC_MAX_SKEW) return false;
+    
+    const body = req.rawBody ? req.rawBody.toString() : '';
+    const expected = crypto.createHmac('sha256', API_HMAC_SECRET)
+        .update(`${timestamp}.${req.method}.${req.originalUrl}.${body}`)
+        .digest('hex');
+    return safeEqual(signature, expected);
+}
+
+// Audit trail: rejected calls and admin actions, one JSON object per line in data/audit.log
+// The ?token= of the event stream is a credential, so it never reaches the log
+function getAuditPath(req) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.delete('token');
+    return url.pathname + url.search;
+}
+
+function appendAuditLog(entry) {
+    try {
+        fs.appendFileSync(path.join(DATA_FOLDER_BASE, 'audit.log'), JSON.stringify(entry) + '\n');
+    } catch (err) {
+        log.error({ event: 'audit_log_failed', err }, 'Error writing audit log');
+    }
+}
+
+function auditRejectedCall(req, status, reason) {
+    const entry = {
+        at: new Date().toISOString(),
+        ip: req.ip,
+        method: req.method,
+        path: getAuditPath(req),
+        status,
+        reason,
+        role: req.auth?.role || null,
+        tokenUserId: req.auth?.userId || null
+    };
+    log.warn({ event: 'auth_rejected', ...entry }, 'Request rejected');
+    appendAuditLog(entry);
+}
+
+function auditAdminAction(req, action, previousState, outcome) {
+    const entry = {
+        at: new Date().toISOString(),
+        ip: req.ip,
+        method: req.method,
+        path: getAuditPath(req),
+        action,
+        userId: req.userId,
+        accountId: req.accountId,
+        previousState,
+        outcome,
+        role: req.auth?.role || null
+    };
+    log.info({ event: 'admin_action', ...entry }, `Admin action: ${action}`);
+    appendAuditLog(entry);
+}
+
+function rejectRequest(req, res, status, reason) {
+    auditRejectedCall(req, status, reason);
+    res.status(status).json({ 
+        success: false, 
+        message: reason 
+    });
+}
+
+// Work out who is calling: admin, service (web app) or a single user
+function resolveCaller(req) {
+    const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '') || req.get('X-API-Key') || '';
+    
+    // EventSource can't send headers, so the event stream also takes a scoped token in ?token=
+    if (!bearer && req.path.startsWith('/events/') && req.query.token) {
+        const userId = verifyUserToken(req.query.token.toString());
+        return userId ? { role: 'user', userId } : null;
+    }
+    
+    if (ADMIN_API_KEY && safeEqual(bearer, ADMIN_API_KEY)) {
+        return { role: 'admin' };
+    }
+    if (API_KEY && safeEqual(bearer, API_KEY)) {
+        return { role: 'service' };
+    }
+    if (API_HMAC_SECRET && req.get('X-HBDrop-Signature') && verifyRequestSignature(req)) {
+        return { role: 'service' };
+    }
+    if (bearer) {
+        const userId = verifyUserToken(bearer);
+        if (userId) {
+            return { role: 'user', userId };
+        }
+    }
+    return null;
+}
+
+function authenticateRequest(req, res, next) {
+    req.auth = resolveCaller(req);
+    
+    if (!AUTH_ENABLED && !req.auth) {
+        // Legacy mode - everything open except admin-only data
+        req.auth = { role: 'service' };
+    }
+    
+    if (!req.auth && !PUBLIC_PATHS.includes(req.path)) {
+        return rejectRequest(req, res, 401, 'Missing or invalid credentials');
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (req.auth?.role !== 'admin') {
+        return rejectRequest(req, res, 403, 'Admin key required');
+    }
+    next();
+}
+
+// Error responses are always { success: false, code, message }; routes only set code when the status says too little
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'unavailable'
+};
+
+function getErrorCode(status) {
+    return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+function normalizeErrorResponses(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+            body = { 
+                ...body, 
+                success: false, 
+                code: body.code || getErrorCode(res.statusCode), 
+                message: body.message || http.STATUS_CODES[res.statusCode] 
+            };
+        }
+        return json(body);
+    };
+    next();
+}
+
+app.use(normalizeErrorResponses);
+app.use(authenticateRequest);
+
+// Scoped tokens may only act on their own userId
+app.param('userId', async (req, res, next, userId) => {
+    if (req.auth?.role === 'user' && req.auth.userId !== userId) {
+        return rejectRequest(req, res, 403, `Token is not valid for user ${userId}`);
+    }
+    
+    // Pick the WhatsApp account: ?accountId=, an accountId body field or the X-Account-Id header
+    const accountId = String(req.query.accountId || req.body?.accountId || req.get('X-Account-Id') || DEFAULT_ACCOUNT);
+    if (!USER_ID_PATTERN.test(userId) || !ACCOUNT_ID_PATTERN.test(accountId)) {
+        return res.status(400).json({ 
+            success: false, 
+            message: 'Invalid user or account id (letters, digits, - and _, userId max 64, accountId max 32)' 
+        });
+    }
+    
+    // From here on req.params.userId is the session key; routes about the person use req.userId
+    req.userId = userId;
+    req.accountId = accountId;
+    req.params.userId = getSessionKey(userId, accountId);
+    
+    // With sharding, sessions owned by another instance are served there (forwarded requests are never passed on again)
+    if (leaseStore && !ownsSession(req.params.userId) && !req.get(FORWARDED_HEADER)) {
+        try {
+            const owner = await leaseStore.getOwner(req.params.userId);
+            if (owner?.url && owner.instanceId !== INSTANCE_ID) {
+                return forwardRequest(req, res, owner);
+            }
+        } catch (err) {
+            log.error({ userId: req.params.userId, event: 'lease_lookup_failed', err }, 'Error looking up session owner');
+            return res.status(503).json({ 
+                success: false, 
+                message: 'Session ownership is unavailable, try again shortly' 
+            });
+        }
+        // Nobody owns it: read whatever the last owner left on disk
+        forgetUserData(req.params.userId);
+    }
+    next();
+});
+
+// Check params, query strings and bodies against the OpenAPI document (openapi.js) before the route runs
+function validateOperation(operation) {
+    return (req, res, next) => {
+        if (operation.requestBody) {
+            req.body ??= {};
+        }
+        // By now app.param has turned userId into the session key - check the userId that was sent
+        const params = req.userId ? { ...req.params, userId: req.userId } : req.params;
+        const errors = validateRequest(operation, { params, query: req.query, body: req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'validation_failed', 
+                message: errors[0].message, 
+                errors 
+            });
+        }
+        next();
+    };
+}
+
+for (const [route, operations] of Object.entries(openApiDocument.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+        app[method](toExpressPath(route), validateOperation(operation));
+    }
+}
+
+// API Endpoints
+
+// The OpenAPI document of this API
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    const health = {
+        status: 'ok',
+        activeSessions: userSessions.size
+    };
+    if (leaseStore) {
+        health.instanceId = INSTANCE_ID;
+    }
+    // User ids are only listed for admins
+    if (req.auth?.role === 'admin') {
+        health.users = Array.from(userSessions.keys());
+    }
+    res.json(health);
+});
+
+// Liveness - the process is up and serving requests
+app.get('/health/live', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: Math.round(process.uptime())
+    });
+});
+
+// Readiness - saved sessions have been restored
+app.get('/health/ready', (req, res) => {
+    const ready = restorationState === 'complete' && !shuttingDown;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : shuttingDown ? 'shutting_down' : 'starting',
+        restoration: restorationState,
+        activeSessions: userSessions.size
+    });
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', promClient.register.contentType);
+        res.send(await promClient.register.metrics());
+    } catch (error) {
+        log.error({ event: 'metrics_failed', err: error }, 'Error collecting metrics');
+        res.status(500).send(error.message);
+    }
+});
+
+// Instances sharing the sessions and how many each holds (admin only)
+app.get('/instances', requireAdmin, async (req, res) => {
+    if (!leaseStore) {
+        return res.json({ 
+            success: true, 
+            sharding: false, 
+            instances: [{ instanceId: INSTANCE_ID, url: INSTANCE_URL, sessions: countSessions() }] 
+        });
+    }
+    
+    try {
+        const leases = await leaseStore.listLeases();
+        const instances = (await leaseStore.listInstances()).map(instance => ({
+            ...instance,
+            leases: leases.filter(lease => lease.instanceId === instance.instanceId).length
+        }));
+        res.json({ 
+            success: true, 
+            sharding: true, 
+            instanceId: INSTANCE_ID, 
+            instances 
+        });
+    } catch (error) {
+        log.error({ event: 'instances_request_failed', err: error }, 'Error listing instances');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Admin console
+// Every session the service knows about (in memory, saved or given up on) and actions on them - admin key only,
+// and every action is written to the audit trail. Act on other accounts with ?accountId= as on the user routes
+
+// Admin view of a session; creds and ownerId come from the caller so listing reads each store once
+function describeSession(sessionKey, { creds = null, ownerId = null } = {}) {
+    const session = userSessions.get(sessionKey);
+    const health = loadSessionHealth(sessionKey);
+    
+    let state = 'offline';
+    if (session) {
+        state = getSessionState(session);
+    } else if (ownerId && ownerId !== INSTANCE_ID) {
+        state = 'remote';
+    } else if (health?.state === 'needs_pairing') {
+        state = 'logged_out';
+    } else if (needsAttention(health)) {
+        state = health.state; // stopped or failed
+    }
+    
+    const lastDisconnect = lastDisconnects.get(sessionKey) ||
+        (health?.statusCode ? { statusCode: health.statusCode, reason: health.reason, error: health.error, at: health.at } : null);
+    
+    return {
+        sessionKey,
+        ...parseSessionKey(sessionKey),
+        state,
+        instanceId: session && leaseStore ? INSTANCE_ID : ownerId || undefined,
+        phoneNumber: session?.phoneNumber || creds?.me?.id?.split(':')[0] || health?.phoneNumber || null,
+        hasCredentials: session?.authenticated || !!creds?.me?.id,
+        connectionAttempts: session?.connectionAttempts || 0,
+        lastDisconnect,
+        connectedAt: session?.isConnected ? new Date(session.connectedAt).toISOString() : null,
+        uptime: session?.isConnected ? Math.round((Date.now() - session.connectedAt) / 1000) : null,
+        health: health?.state || null
+    };
+}
+
+async function describeStoredSession(sessionKey) {
+    const creds = await readStoredCreds(authStore, sessionKey).catch(() => null);
+    const owner = !userSessions.has(sessionKey) && leaseStore ? await leaseStore.getOwner(sessionKey) : null;
+    return describeSession(sessionKey, { creds, ownerId: owner?.instanceId });
+}
+
+// Nothing in memory, saved or recorded for this session
+async function isUnknownSession(sessionKey) {
+    return !userSessions.has(sessionKey) && !reconnectTimers.has(sessionKey) &&
+        !await hasAuthCredentials(sessionKey) && !loadSessionHealth(sessionKey);
+}
+
+app.get('/admin/sessions', requireAdmin, async (req, res) => {
+    try {
+        const stored = await authStore.listUsers();
+        const unhealthy = fs.readdirSync(DATA_FOLDER_BASE, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && needsAttention(loadSessionHealth(entry.name)))
+            .map(entry => entry.name);
+        const keys = Array.from(new Set([...userSessions.keys(), ...stored, ...unhealthy])).sort();
+        const owners = leaseStore ? new Map((await leaseStore.listLeases()).map(lease => [lease.sessionKey, lease.instanceId])) : new Map();
+        
+        const sessions = [];
+        for (const key of keys) {
+            const creds = stored.includes(key) ? await readStoredCreds(authStore, key).catch(() => null) : null;
+            sessions.push(describeSession(key, { creds, ownerId: owners.get(key) }));
+        }
+        
+        res.json({ 
+            success: true, 
+            sessions 
+        });
+    } catch (error) {
+        log.error({ event: 'admin_sessions_failed', err: error }, 'Error listing sessions');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+app.get('/admin/sessions/:userId', requireAdmin, async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        if (await isUnknownSession(userId)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session not found' 
+            });
+        }
+        
+        const session = userSessions.get(userId);
+        res.json({ 
+            success: true, 
+            session: {
+                ...await describeStoredSession(userId),
+                usePairingCode: session?.usePairingCode || false,
+                hasQrCode: !!session?.qrCodeData,
+                hasPairingCode: !!session?.pairingCode,
+                lastActivityAt: session ? new Date(session.lastActivityAt).toISOString() : null,
+                reconnectPending: reconnectTimers.has(userId),
+                pendingMessages: loadQueue(userId).jobs.filter(job => job.status === 'pending' || job.status === 'sending').length,
+                healthDetails: loadSessionHealth(userId)
+            }
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'admin_session_failed', err: error }, 'Error inspecting session');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Close the socket and connect again with the saved creds
+app.post('/admin/sessions/:userId/reconnect', requireAdmin, async (req, res) => {
+    const userId = req.params.userId;
+    const previousState = describeSession(userId).state;
+    try {
+        if (!userSessions.has(userId) && !await hasAuthCredentials(userId)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'No session or saved credentials to reconnect' 
+            });
+        }
+        
+        await connectToWhatsApp(userId);
+        auditAdminAction(req, 'session.reconnect', previousState, 'ok');
+        
+        res.json({ 
+            success: true, 
+            session: await describeStoredSession(userId) 
+        });
+    } catch (error) {
+        auditAdminAction(req, 'session.reconnect', previousState, error.message);
+        log.error({ userId, event: 'admin_reconnect_failed', err: error }, 'Error reconnecting session');
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Close the socket but keep the creds - it comes back on the next /status poll, /qr call or restart
+app.post('/admin/sessions/:userId/drop', requireAdmin, async (req, res) => {
+    const userId = req.params.userId;
+    const previousState = describeSession(userId).state;
+    try {
+        if (!userSessions.has(userId) && !reconnectTimers.has(userId)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session is not in memory' 
+            });
+        }
+        
+        await closeSession(userId, 'admin');
+        publishSessionEvent(userId, 'evicted', { reason: 'admin' });
+        auditAdminAction(req, 'session.drop', previousState, 'ok');
+        
+        res.json({ 
+            success: true, 
+            message: 'Session dropped, credentials kept' 
+        });
+    } catch (error) {
+        auditAdminAction(req, 'session.drop', previousState, error.message);
+        log.error({ userId, event: 'admin_drop_failed', err: error }, 'Error dropping session');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Close the socket and delete the auth state; the device has to be linked again (it isn't logged out on WhatsApp)
+app.post('/admin/sessions/:userId/wipe', requireAdmin, async (req, res) => {
+    const userId = req.params.userId;
+    const previousState = describeSession(userId).state;
+    try {
+        if (await isUnknownSession(userId)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session not found' 
+            });
+        }
+        
+        await closeSession(userId, 'admin');
+        await authStore.clear(userId);
+        clearSessionHealth(userId);
+        clearRuleCooldowns(userId);
+        publishSessionEvent(userId, 'logged_out', { message: 'Session wiped by an admin' });
+        auditAdminAction(req, 'session.wipe', previousState, 'ok');
+        log.info({ userId, event: 'auth_state_deleted' }, 'Auth state deleted');
+        
+        res.json({ 
+            success: true, 
+            message: 'Session wiped' 
+        });
+    } catch (error) {
+        auditAdminAction(req, 'session.wipe', previousState, error.message);
+        log.error({ userId, event: 'admin_wipe_failed', err: error }, 'Error wiping session');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Issue a scoped token for one user (service or admin only)
+app.post('/tokens/:userId', (req, res) => {
+    if (req.auth?.role !== 'service' && req.auth?.role !== 'admin') {
+        return rejectRequest(req, res, 403, 'Only the service or admin key can issue tokens');
+    }
+    if (!USER_TOKEN_SECRET) {
+        return res.status(400).json({ 
+            success: false, 
+            message: 'Set USER_TOKEN_SECRET or API_KEY to issue user tokens' 
+        });
+    }
+    res.json({ 
+        success: true, 
+        ...createUserToken(req.userId) 
+    });
+});
+
+// Linked (and linking) WhatsApp accounts for a user
+app.get('/accounts/:userId', async (req, res) => {
+    try {
+        const userId = req.userId;
+        const prefix = userId + ACCOUNT_SEPARATOR;
+        const belongsToUser = (key) => key === userId || key.startsWith(prefix);
+        
+        const stored = (await authStore.listUsers()).filter(belongsToUser);
+        // Accounts whose creds were deleted after they were unlinked are still listed, as needs_pairing
+        const unhealthy = fs.readdirSync(DATA_FOLDER_BASE).filter(belongsToUser).filter(key => needsAttention(loadSessionHealth(key)));
+        const keys = new Set([...stored, ...unhealthy, ...Array.from(userSessions.keys()).filter(belongsToUser)]);
+        
+        const accounts = [];
+        for (const key of keys) {
+            const session = userSessions.get(key);
+            // Offline accounts still know their number from the saved creds
+            const creds = stored.includes(key) ? await readStoredCreds(authStore, key).catch(() => null) : null;
+            // With sharding the session may be running on another instance
+            const owner = !session && leaseStore ? await leaseStore.getOwner(key) : null;
+            accounts.push({
+                accountId: parseSessionKey(key).accountId,
+                hasCredentials: !!creds?.me?.id,
+                state: session ? getSessionState(session) : owner ? 'remote' : 'offline',
+                instanceId: session && leaseStore ? INSTANCE_ID : owner?.instanceId,
+                isConnected: session?.isConnected || false,
+                phoneNumber: session?.phoneNumber || creds?.me?.id?.split(':')[0] || loadSessionHealth(key)?.phoneNumber || null,
+                health: loadSessionHealth(key)?.state || null
+            });
+        }
+        accounts.sort((a, b) => (a.accountId === DEFAULT_ACCOUNT ? -1 : b.accountId === DEFAULT_ACCOUNT ? 1 : a.accountId.localeCompare(b.accountId)));
+        
+        res.json({ 
+            success: true, 
+            accounts 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'accounts_request_failed', err: error }, 'Error listing accounts');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Get QR code for user
+app.get('/qr/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        log.debug({ userId, event: 'qr_requested' }, 'QR code request received');
+        
+        const session = await getUserSession(userId);
+        
+        if (session.isConnected) {
+            log.info({ userId, event: 'qr_already_connected' }, 'Already connected, cannot generate QR');
+            return res.json({ 
+                success: false, 
+                message: 'WhatsApp is already connected',
+                qrCode: null, 
+                connected: true 
+            });
+        }
+        
+        if (!session.qrCodeData) {
+            log.debug({ userId, event: 'qr_pending' }, 'QR code not yet generated');
+            return res.json({ 
+                success: false, 
+                message: 'QR code not yet generated. Please wait...',
+                qrCode: null, 
+                connected: false 
+            });
+        }
+        
+        log.debug({ userId, event: 'qr_sent' }, 'QR code sent');
+        res.json({ 
+            success: true, 
+            qrCode: session.qrCodeData, 
+            connected: false 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'qr_request_failed', err: error }, 'Error getting QR code');
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Request pairing code for user (alternative to QR)
+app.post('/pairing-code/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        
+        if (!req.body.phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number is required (e.g., "1234567890")'
+            });
+        }
+        
+        const phone = normalizePhoneNumber(req.body.phoneNumber, req.body.region || getDefaultRegion(userId));
+        if (phone.error) {
+            return res.status(400).json({
+                success: false,
+                message: phone.error
+            });
+        }
+        const phoneNumber = phone.e164;
+        
+        log.info({ userId, event: 'pairing_code_request', phoneNumber }, 'Pairing code request received');
+        
+        // Check if already connected
+        const existingSession = userSessions.get(userId);
+        if (existingSession?.isConnected) {
+            log.info({ userId, event: 'pairing_already_connected' }, 'Already connected');
+            return res.json({
+                success: false,
+                message: 'WhatsApp is already connected',
+                pairingCode: null,
+                connected: true
+            });
+        }
+        
+        // Close old session if exists
+        if (existingSession) {
+            log.info({ userId, event: 'session_replaced' }, 'Cleaning up old session');
+            await closeSession(userId, 'replaced');
+        }
+        
+        // Create new session with pairing code (subscribe first so the event can't be missed)
+        const pairingEvent = waitForSessionEvent(userId, ['pairing_code', 'pairing_code_error'], PAIRING_CODE_TIMEOUT);
+        const session = await connectToWhatsApp(userId, true, phoneNumber);
+        
+        // Wait for pairing code to be generated (it happens on QR event)
+        await pairingEvent;
+        
+        if (!session.pairingCode) {
+            log.warn({ userId, event: 'pairing_code_timeout', timeout: PAIRING_CODE_TIMEOUT }, 'Pairing code not yet generated');
+            return res.json({
+                success: false,
+                message: 'Pairing code not yet generated. Please try again in a moment.',
+                pairingCode: null,
+                connected: false
+            });
+        }
+        
+        log.info({ userId, event: 'pairing_code_sent' }, 'Pairing code sent');
+        res.json({
+            success: true,
+            pairingCode: session.pairingCode,
+            connected: false,
+            message: 'Enter this code in WhatsApp > Linked Devices > Link a Device > Link with phone number instead'
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'pairing_request_failed', err: error }, 'Error requesting pairing code');
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Stream connection events for user (Server-Sent Events)
+app.get('/events/:userId', (req, res) => {
+    const userId = req.params.userId;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    
+    const write = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    
+    // Late subscribers start from the last known state
+    const session = userSessions.get(userId);
+    write({
+        type: 'state',
+        userId,
+        at: new Date().toISOString(),
+        state: session ? 'unknown' : 'no_session',
+        ...sessionStates.get(userId),
+        isConnected: session?.isConnected || false,
+        phoneNumber: session?.phoneNumber || null
+    });
+    
+    log.debug({ userId, event: 'events_subscribed' }, 'Event stream subscribed');
+    
+    sessionEvents.on(userId, write);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_KEEPALIVE_INTERVAL);
+    
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        sessionEvents.off(userId, write);
+        log.debug({ userId, event: 'events_closed' }, 'Event stream closed');
+    });
+});
+
+// /status without a live session - same fields as with one, so clients can rely on them
+function getOfflineStatus(health, message) {
+    return { 
+        isConnected: false,
+        phoneNumber: null,
+        hasQrCode: false,
+        hasPairingCode: false,
+        pairingCode: null,
+        usePairingCode: false,
+        health: health || null,
+        message 
+    };
+}
+
+// Check connection status for user
+app.get('/status/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const session = userSessions.get(userId);
+        const health = loadSessionHealth(userId);
+        
+        if (!session) {
+            // We gave up on this session - polling doesn't bring it back, connecting again via /qr or /pairing-code does
+            if (needsAttention(health)) {
+                log.debug({ userId, event: 'status_checked', state: health.state }, 'Status check: session needs attention');
+                return res.json(getOfflineStatus(health, HEALTH_MESSAGES[health.state]));
+            }
+            
+            // Check if auth files exist - if so, try to reconnect automatically
+            if (await hasAuthCredentials(userId)) {
+                log.info({ userId, event: 'session_resuming' }, 'Auth files found but no active session - reconnecting');
+                
+                // Start reconnection in background (joins one already in progress)
+                getUserSession(userId).catch(err => {
+                    log.error({ userId, event: 'session_resume_failed', err }, 'Error reconnecting');
+                });
+                
+                return res.json(getOfflineStatus(health, 'Reconnecting to WhatsApp...'));
+            }
+            
+            log.debug({ userId, event: 'status_checked', state: 'no_session' }, 'Status check: no session found');
+            return res.json(getOfflineStatus(health, 'No session found. Please connect WhatsApp.'));
+        }
+        
+        touchSession(session);
+        
+        const statusMessage = session.isConnected ? 
+            `Connected as ${session.phoneNumber || 'Unknown'}` : 
+            'Not connected';
+        
+        log.debug({ userId, event: 'status_checked', isConnected: session.isConnected }, `Status check: ${statusMessage}`);
+        
+        res.json({ 
+            isConnected: session.isConnected,
+            phoneNumber: session.phoneNumber,
+            hasQrCode: !!session.qrCodeData,
+            hasPairingCode: !!session.pairingCode,
+            pairingCode: session.pairingCode || null,
+            usePairingCode: session.usePairingCode || false,
+            health: health || null,
+            message: statusMessage 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'status_request_failed', err: error }, 'Error checking status');
+        res.status(500).json({ 
+            isConnected: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Post a status (story), shown to the audience or every saved contact
+app.post('/status/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+        
+        const { payload, error } = getStatusPayload(userId, req.body);
+        if (error) {
+            return res.status(400).json({ 
+                success: false, 
+                message: error 
+            });
+        }
+        
+        let existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const session = userSessions.get(userId);
+        if (!session && !(await hasAuthCredentials(userId))) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected' 
+            });
+        }
+        
+        // Again after the await, in case a parallel retry queued it meanwhile
+        existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const job = enqueueMessage(userId, payload, idempotencyKey);
+        log.info({ userId, event: 'status_queued', audience: payload.status.audience.length, jobId: job.id }, 'Status post queued');
+        
+        // Like /send: queued while the session is down, posted once it reconnects
+        if (!session) {
+            log.info({ userId, event: 'session_resuming' }, 'Auth files found but no active session - reconnecting');
+            getUserSession(userId).catch(err => {
+                log.error({ userId, event: 'session_resume_failed', err }, 'Error reconnecting');
+            });
+        }
+        
+        if (!session || !session.isConnected) {
+            return sendJobResponse(res, job);
+        }
+        
+        processQueue(userId);
+        await waitForJob(job, SEND_WAIT_TIMEOUT);
+        
+        sendJobResponse(res, job);
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'status_post_failed', err: error }, 'Error posting status');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Send message for user
+app.post('/send/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+        const payload = getSendPayload(req.body);
+        
+        const validationError = validateSendPayload(userId, payload);
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        
+        // A retried request returns the original job instead of sending twice
+        const findDuplicate = () => {
+            const existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+            if (existingJob) {
+                log.info({ userId, event: 'send_duplicate', idempotencyKey, jobId: existingJob.id }, 'Duplicate send for idempotency key');
+            }
+            return existingJob;
+        };
+        let existingJob = findDuplicate();
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const session = userSessions.get(userId);
+        
+        if (!session && !(await hasAuthCredentials(userId))) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected for this user' 
+            });
+        }
+        
+        // Again after the await - a parallel retry with the same key may have queued it meanwhile
+        existingJob = findDuplicate();
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const job = enqueueMessage(userId, payload, idempotencyKey);
+        
+        if (!session) {
+            // Creds exist but the session was dropped - bring it back, the queue drains on open
+            log.info({ userId, event: 'session_resuming' }, 'Auth files found but no active session - reconnecting');
+            getUserSession(userId).catch(err => {
+                log.error({ userId, event: 'session_resume_failed', err }, 'Error reconnecting');
+            });
+        }
+        
+        if (!session || !session.isConnected) {
+            return sendJobResponse(res, job);
+        }
+        
+        processQueue(userId);
+        await waitForJob(job, SEND_WAIT_TIMEOUT);
+        
+        sendJobResponse(res, job);
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'send_request_failed', err: error }, 'Error sending message');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// React to a message (an empty emoji removes the reaction)
+app.post('/react/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const { emoji } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+        
+        if (typeof emoji !== 'string' || (emoji !== '' && !REACTION_EMOJI_PATTERN.test(emoji))) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'emoji must be a single emoji, or "" to remove the reaction' 
+            });
+        }
+        
+        const target = resolveMessageRef(userId, req.body.key || req.body.messageId);
+        if (target.error) {
+            return res.status(400).json({ 
+                success: false, 
+                message: target.error 
+            });
+        }
+        
+        const existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const session = userSessions.get(userId);
+        if (!session || !session.isConnected) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected' 
+            });
+        }
+        
+        const payload = { type: 'reaction', phone: target.key.remoteJid, reaction: { key: target.key, emoji } };
+        const job = enqueueMessage(userId, payload, idempotencyKey);
+        
+        processQueue(userId);
+        await waitForJob(job, SEND_WAIT_TIMEOUT);
+        
+        sendJobResponse(res, job);
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'react_request_failed', err: error }, 'Error sending reaction');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Incoming messages from chats we've sent to, newest first
+app.get('/inbox/:userId', (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), INBOX_HISTORY_LIMIT);
+        const messages = Object.values(loadInbox(userId).messages)
+            .filter(record => !req.query.remoteJid || record.remoteJid === req.query.remoteJid)
+            .reverse()
+            .slice(0, limit);
+        
+        res.json({ 
+            success: true, 
+            messages 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'inbox_request_failed', err: error }, 'Error fetching inbox');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Auto-reply rules
+app.get('/rules/:userId', (req, res) => {
+    try {
+        res.json({ 
+            success: true, 
+            rules: loadRules(req.params.userId).rules.map(formatRule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'rules_request_failed', err: error }, 'Error fetching rules');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+app.post('/rules/:userId', (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const rule = buildRule(req.body);
+        
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        
+        const now = new Date().toISOString();
+        Object.assign(rule, { id: crypto.randomUUID(), triggerCount: 0, lastTriggeredAt: null, createdAt: now, updatedAt: now });
+        loadRules(userId).rules.push(rule);
+        saveRules(userId);
+        
+        log.info({ userId, event: 'rule_created', ruleId: rule.id }, 'Rule created');
+        
+        res.json({ 
+            success: true, 
+            rule: formatRule(rule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'rule_create_failed', err: error }, 'Error creating rule');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+app.get('/rules/:userId/:ruleId', (req, res) => {
+    const { userId, ruleId } = req.params;
+    const rule = loadRules(userId).rules.find(r => r.id === ruleId);
+    
+    if (!rule) {
+        return res.status(404).json({ 
+            success: false, 
+            message: 'Rule not found' 
+        });
+    }
+    
+    res.json({ 
+        success: true, 
+        rule: formatRule(rule) 
+    });
+});
+
+app.put('/rules/:userId/:ruleId', (req, res) => {
+    try {
+        const { userId, ruleId } = req.params;
+        const store = loadRules(userId);
+        const index = store.rules.findIndex(r => r.id === ruleId);
+        
+        if (index === -1) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Rule not found' 
+            });
+        }
+        
+        const rule = buildRule(req.body, store.rules[index]);
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        
+        rule.updatedAt = new Date().toISOString();
+        store.rules[index] = rule;
+        saveRules(userId);
+        
+        log.info({ userId, event: 'rule_updated', ruleId }, 'Rule updated');
+        
+        res.json({ 
+            success: true, 
+            rule: formatRule(rule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'rule_update_failed', err: error }, 'Error updating rule');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+app.delete('/rules/:userId/:ruleId', (req, res) => {
+    try {
+        const { userId, ruleId } = req.params;
+        const store = loadRules(userId);
+        const rule = store.rules.find(r => r.id === ruleId);
+        
+        if (!rule) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Rule not found' 
+            });
+        }
+        
+        store.rules = store.rules.filter(r => r !== rule);
+        saveRules(userId);
+        clearRuleCooldowns(userId, ruleId);
+        
+        log.info({ userId, event: 'rule_deleted', ruleId }, 'Rule deleted');
+        
+        res.json({ 
+            success: true, 
+            message: 'Rule deleted' 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'rule_delete_failed', err: error }, 'Error deleting rule');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Send a templated message to many recipients
+app.post('/broadcast/:userId', async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const { template, recipients } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+        const minDelay = (req.body.minDelaySeconds ?? BROADCAST_MIN_DELAY / 1000) * 1000;
+        const maxDelay = (req.body.maxDelaySeconds ?? Math.max(BROADCAST_MAX_DELAY, minDelay) / 1000) * 1000;
+        const media = getMediaDescriptor(req.body);
+        
+        if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > BROADCAST_MAX_RECIPIENTS) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `recipients must be an array of 1 to ${BROADCAST_MAX_RECIPIENTS} entries` 
+            });
+        }
+        if (template !== undefined && typeof template !== 'string') {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'template must be a string' 
+            });
+        }
+        if (!(minDelay >= 0) || !(maxDelay >= minDelay)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'minDelaySeconds and maxDelaySeconds must be positive numbers, min <= max' 
+            });
+        }
+        
+        const store = loadBroadcasts(userId);
+        
+        // Same key, same batch - lets the web app safely retry
+        const findDuplicate = () => idempotencyKey && store.batches.find(batch => batch.idempotencyKey === idempotencyKey);
+        let existing = findDuplicate();
+        if (existing) {
+            return res.status(202).json({ 
+                success: true, 
+                batch: formatBroadcast(existing) 
+            });
+        }
+        
+        if (!userSessions.has(userId) && !(await hasAuthCredentials(userId))) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected for this user' 
+            });
+        }
+        
+        // Again after the await, in case a parallel retry created it meanwhile
+        existing = findDuplicate();
+        if (existing) {
+            return res.status(202).json({ 
+                success: true, 
+                batch: formatBroadcast(existing) 
+            });
+        }
+        
+        // Render and validate every recipient up front; bad ones are skipped, not fatal
+        const batchRecipients = recipients.map((recipient, index) => {
+            const entry = { index, phone: recipient?.phone ?? null, status: 'pending', jobId: null, messageId: null, sentAt: null, error: null };
+            const rendered = typeof recipient?.message === 'string' 
+                ? { text: recipient.message } 
+                : template ? renderTemplate(template, recipient?.variables) : { error: 'No template or message' };
+            
+            const payload = { phone: entry.phone, message: rendered.text, media, natural: req.body.natural };
+            const error = rendered.error || validateSendPayload(userId, payload);
+            if (error) {
+                return { ...entry, status: 'invalid', error };
+            }
+            return { ...entry, phone: payload.phone, message: payload.message, payload };
+        });
+        
+        if (batchRecipients.every(recipient => recipient.status === 'invalid')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'No valid recipients', 
+                recipients: batchRecipients 
+            });
+        }
+        
+        const batch = {
+            id: crypto.randomUUID(),
+            idempotencyKey,
+            status: 'running',
+            minDelay,
+            maxDelay,
+            recipients: batchRecipients,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        store.batches.push(batch);
+        saveBroadcasts(userId);
+        
+        log.info({ userId, event: 'broadcast_created', batchId: batch.id, ...getBroadcastProgress(batch) }, 'Broadcast created');
+        
+        if (!userSessions.has(userId)) {
+            // Creds exist but the session was dropped - the queue drains on open
+            getUserSession(userId).catch(err => {
+                log.error({ userId, event: 'session_resume_failed', err }, 'Error reconnecting');
+            });
+        }
+        advanceBroadcast(userId, batch);
+        
+        res.status(202).json({ 
+            success: true, 
+            batch: formatBroadcast(batch) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'broadcast_request_failed', err: error }, 'Error creating broadcast');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// List broadcasts for user (without recipients)
+app.get('/broadcast/:userId', (req, res) => {
+    try {
+        res.json({ 
+            success: true, 
+            batches: loadBroadcasts(req.params.userId).batches.map(batch => formatBroadcast(batch, false)) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'broadcasts_request_failed', err: error }, 'Error fetching broadcasts');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Broadcast progress with per-recipient status
+app.get('/broadcast/:userId/:batchId', (req, res) => {
+    const { userId, batchId } = req.params;
+    const batch = loadBroadcasts(userId).batches.find(b => b.id === batchId);
+    
+    if (!batch) {
+        return res.status(404).json({ 
+            success: false, 
+            message: 'Broadcast not found' 
+        });
+    }
+    
+    res.json({ 
+        success: true, 
+        batch: formatBroadcast(batch) 
+    });
+});
+
+// Cancel the rest of a broadcast (a message already being sent still goes out)
+app.delete('/broadcast/:userId/:batchId', (req, res) => {
+    try {
+        const { userId, batchId } = req.params;
+        const batch = loadBroadcasts(userId).batches.find(b => b.id === batchId);
+        
+        if (!batch) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Broadcast not found' 
+            });
+        }
+        
+        if (batch.status !== 'running') {
+            return res.status(409).json({ 
+                success: false, 
+                message: `Broadcast is already ${batch.status}` 
+            });
+        }
+        
+        cancelBroadcast(userId, batch);
+        
+        res.json({ 
+            success: true, 
+            batch: formatBroadcast(batch) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'broadcast_cancel_failed', err: error }, 'Error cancelling broadcast');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Get outbound queue for user
+app.get('/queue/:userId', (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const jobs = loadQueue(userId).jobs.map(formatJob);
+        
+        res.json({ 
+            success: true, 
+            pending: jobs.filter(job => job.status === 'pending' || job.status === 'sending'),
+            failed: jobs.filter(job => job.status === 'failed'),
+            sent: jobs.filter(job => job.status === 'sent')
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'queue_request_failed', err: error }, 'Error fetching queue');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Schedule a message for later
+app.post('/schedule/:userId', (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const { sendAt, idempotencyKey } = req.body;
+        const timezone = req.body.timezone || 'UTC';
+        const missedPolicy = req.body.missedPolicy || SCHEDULE_DEFAULT_MISSED_POLICY;
+        const missedWindowHours = req.body.missedWindowHours ?? SCHEDULE_DEFAULT_MISSED_WINDOW_HOURS;
+        const payload = getSendPayload(req.body);
+        
+        const validationError = validateSendPayload(userId, payload);
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Unknown IANA timezone: ${timezone}` 
+            });
+        }
+        
+        const sendAtTimestamp = parseSendAt(sendAt, timezone);
+        if (sendAtTimestamp === null) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'sendAt must be an ISO 8601 timestamp (e.g. "2025-03-14T09:00:00" in the given timezone)' 
+            });
+        }
+        
+        if (!SCHEDULE_MISSED_POLICIES.includes(missedPolicy)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `missedPolicy must be one of: ${SCHEDULE_MISSED_POLICIES.join(', ')}` 
+            });
+        }
+        
+        if (typeof missedWindowHours !== 'number' || missedWindowHours < 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'missedWindowHours must be a number of hours, 0 or more' 
+            });
+        }
+        
+        const store = loadSchedules(userId);
+        
+        // Same key, same schedule - lets the web app safely retry
+        if (idempotencyKey) {
+            const existing = store.schedules.find(schedule => schedule.idempotencyKey === idempotencyKey);
+            if (existing) {
+                return res.json({ 
+                    success: true, 
+                    schedule: formatSchedule(existing) 
+                });
+            }
+        }
+        
+        const schedule = {
+            id: crypto.randomUUID(),
+            idempotencyKey: idempotencyKey || null,
+            payload,
+            sendAt: sendAtTimestamp,
+            timezone,
+            missedPolicy,
+            missedWindowHours,
+            status: 'scheduled',
+            jobId: null,
+            reason: null,
+            createdAt: new Date().toISOString()
+        };
+        store.schedules.push(schedule);
+        saveSchedules(userId);
+        
+        log.info({ userId, event: 'schedule_created', scheduleId: schedule.id, sendAt: new Date(sendAtTimestamp).toISOString(), timezone }, 'Message scheduled');
+        
+        res.json({ 
+            success: true, 
+            schedule: formatSchedule(schedule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'schedule_request_failed', err: error }, 'Error scheduling message');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// List scheduled messages for user
+app.get('/schedule/:userId', (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const { status } = req.query;
+        let schedules = loadSchedules(userId).schedules;
+        
+        if (status) {
+            schedules = schedules.filter(schedule => schedule.status === status);
+        }
+        
+        res.json({ 
+            success: true, 
+            schedules: schedules.map(formatSchedule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'schedule_list_failed', err: error }, 'Error listing schedules');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Cancel a scheduled message
+app.delete('/schedule/:userId/:scheduleId', (req, res) => {
+    try {
+        const { userId, scheduleId } = req.params;
+        const schedule = loadSchedules(userId).schedules.find(s => s.id === scheduleId);
+        
+        if (!schedule) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Schedule not found' 
+            });
+        }
+        
+        if (schedule.status !== 'scheduled') {
+            return res.status(409).json({ 
+                success: false, 
+                message: `Schedule is already ${schedule.status}` 
+            });
+        }
+        
+        schedule.status = 'cancelled';
+        schedule.reason = 'Cancelled by user';
+        saveSchedules(userId);
+        
+        log.info({ userId, event: 'schedule_cancelled', scheduleId }, 'Schedule cancelled');
+        
+        res.json({ 
+            success: true, 
+            schedule: formatSchedule(schedule) 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'schedule_cancel_failed', err: error }, 'Error cancelling schedule');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Get delivery status of a sent message
+app.get('/messages/:userId/:messageId/status', (req, res) => {
+    try {
+        const { userId, messageId } = req.params;
+        const record = loadMessages(userId).messages[messageId];
+        
+        if (!record) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+        
+        res.json({ 
+            success: true, 
+            ...record 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'message_status_failed', err: error }, 'Error fetching message status');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Queue an edit or delete for everyone of a sent message and answer like /send
+// Both need the session open now - WhatsApp only accepts them for a limited time
+async function sendMessageChange(req, res, payload) {
+    const userId = req.params.userId;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body?.idempotencyKey || null;
+    
+    const existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+    if (existingJob) {
+        return sendJobResponse(res, existingJob);
+    }
+    
+    const session = userSessions.get(userId);
+    if (!session || !session.isConnected) {
+        return res.status(400).json({ 
+            success: false, 
+            code: 'not_connected', 
+            message: 'WhatsApp not connected' 
+        });
+    }
+    
+    const job = enqueueMessage(userId, payload, idempotencyKey);
+    
+    processQueue(userId);
+    await waitForJob(job, SEND_WAIT_TIMEOUT);
+    
+    sendJobResponse(res, job);
+}
+
+// Edit the text of a sent message
+app.patch('/messages/:userId/:messageId', async (req, res) => {
+    try {
+        const { userId, messageId } = req.params;
+        const text = req.body?.message;
+        const record = loadMessages(userId).messages[messageId];
+        
+        if (!record) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'message is required' 
+            });
+        }
+        if (!record.content || record.content.media || record.content.type) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Only text messages can be edited' 
+            });
+        }
+        if (record.deletedAt) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Message was deleted' 
+            });
+        }
+        if (Date.now() - Date.parse(record.sentAt) > MESSAGE_EDIT_WINDOW) {
+            return res.status(409).json({ 
+                success: false, 
+                message: `Messages can only be edited for ${MESSAGE_EDIT_WINDOW / 60000} minutes after sending` 
+            });
+        }
+        
+        await sendMessageChange(req, res, { type: 'edit', phone: record.remoteJid, target: getSentMessageKey(record), text });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'message_edit_failed', err: error }, 'Error editing message');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Delete a sent message for everyone
+app.delete('/messages/:userId/:messageId', async (req, res) => {
+    try {
+        const { userId, messageId } = req.params;
+        const record = loadMessages(userId).messages[messageId];
+        
+        if (!record) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+        if (record.deletedAt) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Message was already deleted' 
+            });
+        }
+        if (Date.now() - Date.parse(record.sentAt) > MESSAGE_DELETE_WINDOW) {
+            return res.status(409).json({ 
+                success: false, 
+                message: `Messages can only be deleted for everyone for ${MESSAGE_DELETE_WINDOW / 3600000} hours after sending` 
+            });
+        }
+        
+        const payload = { type: 'delete', phone: record.remoteJid, target: getSentMessageKey(record) };
+        if (record.content?.type === 'status') {
+            payload.audience = record.content.audience;
+        }
+        await sendMessageChange(req, res, payload);
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'message_delete_failed', err: error }, 'Error deleting message');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Send the original content of a sent message again, e.g. to the right recipient after a mistake
+app.post('/messages/:userId/:messageId/resend', async (req, res) => {
+    try {
+        const { userId, messageId } = req.params;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body?.idempotencyKey || null;
+        const record = loadMessages(userId).messages[messageId];
+        
+        if (!record) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+        if (!record.content) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'The content of this message was not kept (base64 media or sent before the outbox), it cannot be resent' 
+            });
+        }
+        if (record.content.type === 'status') {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Statuses cannot be resent to a chat - post them again with POST /status' 
+            });
+        }
+        
+        let phone = req.body?.phone;
+        if (!phone) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Phone number is required' 
+            });
+        }
+        if (!isGroupJid(phone)) {
+            const normalized = normalizePhoneNumber(phone, getDefaultRegion(userId));
+            if (normalized.error) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: normalized.error 
+                });
+            }
+            phone = normalized.e164;
+        }
+        
+        const existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
+        
+        const session = userSessions.get(userId);
+        if (!session && !(await hasAuthCredentials(userId))) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected for this user' 
+            });
+        }
+        
+        // Again after the await, in case a parallel retry queued it meanwhile
+        const queuedMeanwhile = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (queuedMeanwhile) {
+            return sendJobResponse(res, queuedMeanwhile);
+        }
+        
+        // Queued like /send, so it goes out once the session is back
+        const job = enqueueMessage(userId, { ...record.content, phone, resendOf: messageId }, idempotencyKey);
+        log.info({ userId, event: 'message_resend', messageId, jobId: job.id }, 'Message queued for resend');
+        
+        if (!session) {
+            getUserSession(userId).catch(err => {
+                log.error({ userId, event: 'session_resume_failed', err }, 'Error reconnecting');
+            });
+        }
+        if (!session || !session.isConnected) {
+            return sendJobResponse(res, job);
+        }
+        
+        processQueue(userId);
+        await waitForJob(job, SEND_WAIT_TIMEOUT);
+        
+        sendJobResponse(res, job);
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'message_resend_failed', err: error }, 'Error resending message');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
 });
 
-// Get QR code for user
-app.get('/qr/:userId', async (req, res) => {
+// Get synced contacts for user (paginated)
+app.get('/contacts/:userId', async (req, res) => {
     try {
         const userId = req.params.userId;
-        console.log(`[${userId}] 📥 QR code request received`);
-        
-        const session = await getUserSession(userId);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || CONTACTS_PAGE_SIZE, 1), CONTACTS_MAX_PAGE_SIZE);
+        const search = (req.query.search || '').toString().toLowerCase();
+        const includePictures = req.query.includePictures === 'true';
         
-        if (session.isConnected) {
-            console.log(`[${userId}] ⚠️  Already connected, cannot generate QR`);
-            return res.json({ 
-                success: false, 
-                message: 'WhatsApp is already connected',
-                connected: true 
-            });
+        let contacts = Object.values(loadContacts(userId).contacts);
+        if (search) {
+            contacts = contacts.filter(contact => 
+                [contact.name, contact.notify, contact.verifiedName, contact.id]
+                    .some(value => value && value.toLowerCase().includes(search))
+            );
         }
         
-        if (!session.qrCodeData) {
-            console.log(`[${userId}] ⏳ QR code not yet generated, please wait...`);
-            return res.json({ 
-                success: false, 
-                message: 'QR code not yet generated. Please wait...',
-                qrCode: null 
-            });
+        // Most recent conversations first, then alphabetically
+        contacts.sort((a, b) => 
+            (b.lastInteractionAt || '').localeCompare(a.lastInteractionAt || '') ||
+            getContactName(a).localeCompare(getContactName(b))
+        );
+        
+        const total = contacts.length;
+        const pageContacts = contacts.slice((page - 1) * pageSize, page * pageSize);
+        
+        const session = userSessions.get(userId);
+        if (includePictures && session?.isConnected) {
+            await refreshProfilePictures(userId, session.sock, pageContacts);
         }
         
-        console.log(`[${userId}] ✅ QR code sent successfully`);
+        log.debug({ userId, event: 'contacts_fetched', page, pageSize, total }, 'Fetched contacts');
+        
         res.json({ 
             success: true, 
-            qrCode: session.qrCodeData 
+            contacts: pageContacts.map(formatContact), 
+            count: pageContacts.length, 
+            total, 
+            page, 
+            pageSize 
         });
     } catch (error) {
-        console.error(`[QR] ❌ Error:`, error);
+        log.error({ userId: req.params.userId, event: 'contacts_request_failed', err: error }, 'Error fetching contacts');
         res.status(500).json({ 
             success: false, 
             message: error.message 
@@ -268,175 +5054,216 @@ app.get('/qr/:userId', async (req, res) => {
     }
 });
 
-// Request pairing code for user (alternative to QR)
-app.post('/pairing-code/:userId', async (req, res) => {
+// Check which numbers have WhatsApp
+app.post('/check/:userId', async (req, res) => {
     try {
         const userId = req.params.userId;
-        const { phoneNumber } = req.body;
+        const { phones } = req.body;
+        const region = req.body.region || getDefaultRegion(userId);
         
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required (e.g., "1234567890")'
+        if (!Array.isArray(phones) || phones.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'phones must be a non-empty array' 
             });
         }
-        
-        console.log(`[${userId}] 📥 Pairing code request for ${phoneNumber}`);
-        
-        // Check if already connected
-        const existingSession = userSessions.get(userId);
-        if (existingSession?.isConnected) {
-            console.log(`[${userId}] ⚠️  Already connected`);
-            return res.json({
-                success: false,
-                message: 'WhatsApp is already connected',
-                connected: true
+        if (phones.length > CHECK_MAX_NUMBERS) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `At most ${CHECK_MAX_NUMBERS} numbers can be checked at once` 
             });
         }
         
-        // Delete old session if exists
-        if (existingSession) {
-            console.log(`[${userId}]  Cleaning up old session...`);
-            userSessions.delete(userId);
+        const session = userSessions.get(userId);
+        if (!session || !session.isConnected) {
+            return res.status(400).json({ 
+                success: false, 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected' 
+            });
         }
         
-        // Create new session with pairing code
-        const session = await connectToWhatsApp(userId, true, phoneNumber);
+        const normalized = phones.map(input => ({ input, ...normalizePhoneNumber(input, region) }));
+        const valid = normalized.filter(number => !number.error);
+        const unique = Array.from(new Map(valid.map(number => [number.e164, number])).values());
+        const lookup = await lookupWhatsAppNumbers(session.sock, unique);
         
-        // Wait for pairing code to be generated (it happens on QR event)
-        let attempts = 0;
-        while (!session.pairingCode && attempts < 20) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-            attempts++;
-        }
+        const results = normalized.map(number => {
+            if (number.error) {
+                return { input: number.input, valid: false, error: number.error };
+            }
+            const { exists, jid } = lookup.get(number.e164);
+            return { 
+                input: number.input, 
+                valid: true, 
+                e164: number.e164, 
+                region: number.region, 
+                exists, 
+                jid 
+            };
+        });
         
-        if (!session.pairingCode) {
-            console.log(`[${userId}] ⏳ Pairing code not yet generated after ${attempts * 500}ms`);
-            return res.json({
-                success: false,
-                message: 'Pairing code not yet generated. Please try again in a moment.',
-                pairingCode: null
-            });
-        }
+        log.info({ userId, event: 'numbers_checked', count: phones.length, invalid: phones.length - valid.length }, 'Checked numbers on WhatsApp');
         
-        console.log(`[${userId}] ✅ Pairing code sent successfully`);
-        res.json({
-            success: true,
-            pairingCode: session.pairingCode,
-            message: 'Enter this code in WhatsApp > Linked Devices > Link a Device > Link with phone number instead'
+        res.json({ 
+            success: true, 
+            results 
         });
     } catch (error) {
-        console.error(`[Pairing] ❌ Error:`, error);
-        res.status(500).json({
-            success: false,
-            message: error.message
+        log.error({ userId: req.params.userId, event: 'check_failed', err: error }, 'Error checking numbers');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
         });
     }
 });
 
-// Check connection status for user
-app.get('/status/:userId', async (req, res) => {
+// Per-user settings (default phone region)
+app.get('/settings/:userId', (req, res) => {
+    const userId = req.params.userId;
+    res.json({ 
+        success: true, 
+        settings: loadUserSettings(userId), 
+        effectiveRegion: getDefaultRegion(userId), // Falls back to DEFAULT_PHONE_REGION
+        effectiveSending: getSendSettings(userId) // Falls back to the NATURAL_SEND* and DAILY_SEND_CAP defaults
+    });
+});
+
+app.put('/settings/:userId', (req, res) => {
     try {
         const userId = req.params.userId;
-        const session = userSessions.get(userId);
+        const settings = loadUserSettings(userId);
         
-        if (!session) {
-            // Check if auth files exist - if so, try to reconnect automatically
-            const authFolder = getUserAuthFolder(userId);
-            const credsPath = path.join(authFolder, 'creds.json');
-            
-            if (fs.existsSync(credsPath)) {
-                console.log(`[${userId}] 🔄 Auth files found but no active session - reconnecting...`);
-                
-                // Start reconnection in background
-                connectToWhatsApp(userId).catch(err => {
-                    console.error(`[${userId}] Error reconnecting:`, err);
-                });
-                
-                return res.json({ 
-                    isConnected: false,
-                    phoneNumber: null,
-                    message: 'Reconnecting to WhatsApp...' 
+        // null goes back to the service default
+        const { naturalSend, minDelaySeconds, maxDelaySeconds, dailySendCap, timezone } = req.body;
+        const isDelay = (value) => value === null || (typeof value === 'number' && value >= 0 && value <= 300);
+        let validationError = null;
+        if (naturalSend !== undefined && naturalSend !== null && typeof naturalSend !== 'boolean') {
+            validationError = 'naturalSend must be true, false or null';
+        } else if ((minDelaySeconds !== undefined && !isDelay(minDelaySeconds)) || (maxDelaySeconds !== undefined && !isDelay(maxDelaySeconds))) {
+            validationError = 'minDelaySeconds and maxDelaySeconds must be between 0 and 300 seconds';
+        } else if (dailySendCap !== undefined && dailySendCap !== null && !(Number.isInteger(dailySendCap) && dailySendCap >= 0)) {
+            validationError = 'dailySendCap must be a whole number (0 for no cap)';
+        } else if (timezone !== undefined && timezone !== null && !(typeof timezone === 'string' && isValidTimeZone(timezone))) {
+            validationError = `Unknown timezone: ${timezone}`;
+        }
+        const delays = {
+            min: minDelaySeconds !== undefined ? minDelaySeconds : settings.minDelaySeconds,
+            max: maxDelaySeconds !== undefined ? maxDelaySeconds : settings.maxDelaySeconds
+        };
+        if (!validationError && (delays.min ?? NATURAL_MIN_DELAY / 1000) > (delays.max ?? NATURAL_MAX_DELAY / 1000)) {
+            validationError = 'minDelaySeconds must not be more than maxDelaySeconds';
+        }
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        
+        if (req.body.defaultRegion !== undefined) {
+            const region = req.body.defaultRegion ? String(req.body.defaultRegion).toUpperCase() : null;
+            if (region && !isSupportedCountry(region)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: `Unknown region: ${req.body.defaultRegion} (use an ISO 3166 code like "IE")` 
                 });
             }
-            
-            console.log(`[${userId}] ℹ️  Status check: No session found`);
-            return res.json({ 
-                isConnected: false,
-                phoneNumber: null,
-                message: 'No session found. Please connect WhatsApp.' 
-            });
+            settings.defaultRegion = region;
         }
         
-        const statusMessage = session.isConnected ? 
-            `Connected as ${session.phoneNumber || 'Unknown'}` : 
-            'Not connected';
+        for (const [field, value] of Object.entries({ naturalSend, minDelaySeconds, maxDelaySeconds, dailySendCap, timezone })) {
+            if (value !== undefined) {
+                settings[field] = value;
+            }
+        }
         
-        console.log(`[${userId}] 📊 Status check: ${statusMessage}`);
+        saveUserSettings(userId);
+        log.info({ userId, event: 'settings_updated', defaultRegion: settings.defaultRegion, sending: getSendSettings(userId) }, 'Settings updated');
         
         res.json({ 
-            isConnected: session.isConnected,
-            phoneNumber: session.phoneNumber,
-            hasQrCode: !!session.qrCodeData,
-            hasPairingCode: !!session.pairingCode,
-            pairingCode: session.pairingCode,
-            usePairingCode: session.usePairingCode || false,
-            message: statusMessage 
+            success: true, 
+            settings 
         });
     } catch (error) {
-        console.error(`[Status] ❌ Error:`, error);
+        log.error({ userId: req.params.userId, event: 'settings_update_failed', err: error }, 'Error updating settings');
         res.status(500).json({ 
-            isConnected: false, 
+            success: false, 
             message: error.message 
         });
     }
 });
 
-// Send message for user
-app.post('/send/:userId', async (req, res) => {
+// Get groups for user
+app.get('/groups/:userId', async (req, res) => {
     try {
         const userId = req.params.userId;
-        const { phone, message } = req.body;
+        const session = userSessions.get(userId);
         
-        if (!phone || !message) {
+        if (!session || !session.isConnected) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Phone number and message are required' 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected' 
             });
         }
         
+        // Served from the cache; ?refresh=true forces a refetch
+        const groups = await loadGroups(userId, session.sock, req.query.refresh === 'true');
+        
+        const groupList = Array.from(groups.values()).map(formatGroup);
+        
+        groupList.sort((a, b) => b.createdAt - a.createdAt);
+        
+        log.debug({ userId, event: 'groups_listed', count: groupList.length }, 'Listed WhatsApp groups');
+        
+        res.json({ 
+            success: true, 
+            groups: groupList 
+        });
+    } catch (error) {
+        log.error({ userId: req.params.userId, event: 'groups_request_failed', err: error }, 'Error fetching groups');
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Get one group with its participants
+app.get('/groups/:userId/:groupId', async (req, res) => {
+    try {
+        const { userId, groupId } = req.params;
         const session = userSessions.get(userId);
         
         if (!session || !session.isConnected) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'WhatsApp not connected for this user' 
+                code: 'not_connected', 
+                message: 'WhatsApp not connected' 
             });
         }
         
-        // Check if it's a group (ends with @g.us) or individual (ends with @s.whatsapp.net)
-        let formattedPhone;
-        if (phone.includes('@g.us')) {
-            formattedPhone = phone;
-        } else if (phone.includes('@s.whatsapp.net')) {
-            formattedPhone = phone;
-        } else {
-            formattedPhone = phone.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
+        const group = (await loadGroups(userId, session.sock)).get(groupId);
+        if (!group) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Group not found' 
+            });
         }
         
-        console.log(`[${userId}] 📤 Sending message to ${phone}...`);
-        
-        // Send text-only message
-        await session.sock.sendMessage(formattedPhone, { text: message });
-        
-        console.log(`[${userId}] ✅ Message sent successfully`);
-        
         res.json({ 
             success: true, 
-            message: 'Message sent successfully' 
+            group: {
+                ...formatGroup(group),
+                size: group.participants?.length || 0,
+                announce: !!group.announce, // Only admins can send
+                restrict: !!group.restrict, // Only admins can edit group info
+                participants: (group.participants || []).map(participant => formatParticipant(userId, participant))
+            }
         });
     } catch (error) {
-        console.error('Error sending message:', error);
+        log.error({ userId: req.params.userId, event: 'group_request_failed', groupId: req.params.groupId, err: error }, 'Error fetching group');
         res.status(500).json({ 
             success: false, 
             message: error.message 
@@ -444,41 +5271,90 @@ app.post('/send/:userId', async (req, res) => {
     }
 });
 
-// Get groups for user
-app.get('/groups/:userId', async (req, res) => {
+// Send a group message that @-mentions participants (or everyone)
+app.post('/groups/:userId/:groupId/mention', async (req, res) => {
     try {
-        const userId = req.params.userId;
+        const { userId, groupId } = req.params;
+        const { participants = [], all = false } = req.body;
+        let message = req.body.message || '';
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
         const session = userSessions.get(userId);
         
         if (!session || !session.isConnected) {
             return res.status(400).json({ 
                 success: false, 
+                code: 'not_connected', 
                 message: 'WhatsApp not connected' 
             });
         }
+        if (!Array.isArray(participants) || (!all && participants.length === 0)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'participants must be a non-empty array (or set all: true)' 
+            });
+        }
         
-        console.log(`[${userId}]  Fetching WhatsApp groups...`);
-        const groups = await session.sock.groupFetchAllParticipating();
+        const group = (await loadGroups(userId, session.sock)).get(groupId);
+        if (!group) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Group not found' 
+            });
+        }
         
-        const groupList = Object.values(groups).map(group => ({
-            id: group.id,
-            name: group.subject,
-            participants: group.participants?.length || 0,
-            owner: group.owner,
-            description: group.desc || '',
-            createdAt: group.creation
-        }));
+        const members = (group.participants || []).map(participant => formatParticipant(userId, participant));
+        let mentioned;
+        if (all) {
+            // Everyone is notified, without spelling out every tag
+            mentioned = members;
+        } else {
+            const region = getDefaultRegion(userId);
+            mentioned = [];
+            const notMembers = [];
+            for (const input of participants) {
+                const phone = normalizePhoneNumber(input, region);
+                const member = members.find(m => m.id === input || (!phone.error && m.jid === phone.jid));
+                if (member) {
+                    mentioned.push(member);
+                } else {
+                    notMembers.push(input);
+                }
+            }
+            if (notMembers.length > 0) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: `Not in the group: ${notMembers.join(', ')}` 
+                });
+            }
+            
+            message = appendMentionTags(message, mentioned.map(member => member.id));
+        }
         
-        groupList.sort((a, b) => b.createdAt - a.createdAt);
+        const payload = { phone: groupId, message, media: getMediaDescriptor(req.body) };
+        const validationError = validateSendPayload(userId, payload);
+        if (validationError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: validationError 
+            });
+        }
+        // Participant ids as they are (they can be LIDs), so not validated as phone numbers
+        payload.mentions = mentioned.map(member => member.id);
         
-        console.log(`[${userId}]  Found ${groupList.length} groups`);
+        const existingJob = findJobByIdempotencyKey(userId, idempotencyKey);
+        if (existingJob) {
+            return sendJobResponse(res, existingJob);
+        }
         
-        res.json({ 
-            success: true, 
-            groups: groupList 
-        });
+        const job = enqueueMessage(userId, payload, idempotencyKey);
+        log.info({ userId, event: 'group_mention_queued', groupId, mentions: payload.mentions.length, jobId: job.id }, 'Group mention queued');
+        
+        processQueue(userId);
+        await waitForJob(job, SEND_WAIT_TIMEOUT);
+        
+        sendJobResponse(res, job);
     } catch (error) {
-        console.error('Error fetching groups:', error);
+        log.error({ userId: req.params.userId, event: 'group_mention_failed', groupId: req.params.groupId, err: error }, 'Error sending group mention');
         res.status(500).json({ 
             success: false, 
             message: error.message 
@@ -493,31 +5369,26 @@ app.post('/logout/:userId', async (req, res) => {
         const session = userSessions.get(userId);
         
         if (session && session.sock) {
-            console.log(`[${userId}]  Logging out...`);
+            log.info({ userId, event: 'logout' }, 'Logging out');
+            session.closed = true;
             await session.sock.logout();
             await session.sock.end();
         }
         
+        // A pending reconnect would bring the session straight back
+        cancelReconnect(userId);
         userSessions.delete(userId);
+        clearSessionHealth(userId);
+        clearRuleCooldowns(userId);
+        publishSessionEvent(userId, 'logged_out');
         
-        // Delete auth files
-        const authFolder = getUserAuthFolder(userId);
-        setTimeout(() => {
-            if (fs.existsSync(authFolder)) {
-                try {
-                    const files = fs.readdirSync(authFolder);
-                    files.forEach(file => {
-                        try {
-                            fs.unlinkSync(path.join(authFolder, file));
-                        } catch (err) {
-                            console.error(`[${userId}] Error deleting file:`, err);
-                        }
-                    });
-                    fs.rmdirSync(authFolder);
-                    console.log(`[${userId}]   Auth folder deleted`);
-                } catch (err) {
-                    console.error(`[${userId}] Error cleaning auth folder:`, err);
-                }
+        // Delete auth state (after pending creds writes have landed)
+        setTimeout(async () => {
+            try {
+                await authStore.clear(userId);
+                log.info({ userId, event: 'auth_state_deleted' }, 'Auth state deleted');
+            } catch (err) {
+                log.error({ userId, event: 'auth_state_delete_failed', err }, 'Error cleaning auth state');
             }
         }, 1000);
         
@@ -526,7 +5397,7 @@ app.post('/logout/:userId', async (req, res) => {
             message: 'Logged out successfully' 
         });
     } catch (error) {
-        console.error('Error logging out:', error);
+        log.error({ userId: req.params.userId, event: 'logout_failed', err: error }, 'Error logging out');
         res.status(500).json({ 
             success: false, 
             message: error.message 
@@ -534,76 +5405,234 @@ app.post('/logout/:userId', async (req, res) => {
     }
 });
 
+// Anything not matched above
+app.use((req, res) => {
+    res.status(404).json({ 
+        success: false, 
+        code: 'not_found', 
+        message: `No route for ${req.method} ${req.path}` 
+    });
+});
+
+// Unreadable bodies, and anything thrown outside a route's own try/catch
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ 
+            success: false, 
+            code: 'invalid_json', 
+            message: 'Request body is not valid JSON' 
+        });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ 
+            success: false, 
+            code: 'payload_too_large', 
+            message: `Request body is larger than ${err.limit} bytes` 
+        });
+    }
+    
+    const status = err.status || 500;
+    log.error({ event: 'request_failed', method: req.method, path: req.path, err }, 'Unhandled error');
+    res.status(status).json({ 
+        success: false, 
+        code: getErrorCode(status), 
+        message: status < 500 ? err.message : 'Internal server error' 
+    });
+});
+
+// Encrypt any plaintext auth folders left over from before encryption was enabled
+async function migratePlaintextAuthState() {
+    if (!authStore.encrypted) {
+        log.warn({ event: 'auth_state_plaintext' }, 'ENCRYPTION_MASTER_KEY not set - WhatsApp credentials are stored in plaintext');
+        return;
+    }
+    
+    for (const userId of await authStore.listUsers()) {
+        try {
+            const migrated = await authStore.encryptPlaintextFiles(userId);
+            if (migrated > 0) {
+                log.info({ userId, event: 'auth_state_encrypted', files: migrated }, 'Encrypted plaintext auth files');
+            }
+        } catch (err) {
+            log.error({ userId, event: 'auth_state_encrypt_failed', err }, 'Failed to encrypt auth files');
+        }
+    }
+}
+
+// Users whose saved creds belong to a linked device
+async function findRestorableSessions(userIds) {
+    const validSessions = [];
+    
+    for (const userId of userIds) {
+        // Check if this user has valid credentials
+        try {
+            const creds = await readStoredCreds(authStore, userId);
+            // Stopped by a disconnect policy (e.g. replaced by another client) - left for the user to reconnect
+            if (loadSessionHealth(userId)?.state === 'stopped') {
+                log.info({ userId, event: 'restore_skipped', health: 'stopped' }, 'Skipping stopped session');
+                continue;
+            }
+            // Check if creds contain required fields
+            if (creds?.me?.id) {
+                validSessions.push(userId);
+                log.info({ userId, event: 'restore_found' }, 'Found session to restore');
+            }
+        } catch (err) {
+            log.warn({ userId, event: 'restore_invalid_creds', err }, 'Skipping session - invalid credentials');
+        }
+    }
+    return validSessions;
+}
+
+// Connect saved sessions one by one, with a delay between each to avoid overwhelming WhatsApp servers
+async function connectStoredSessions(userIds) {
+    for (let i = 0; i < userIds.length && !shuttingDown; i++) {
+        const userId = userIds[i];
+        try {
+            log.info({ userId, event: 'restore_session', index: i + 1, total: userIds.length }, 'Restoring session');
+            await connectToWhatsApp(userId);
+            
+            // Wait a bit between connections to avoid rate limiting
+            if (i < userIds.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, SESSION_RESTORE_DELAY));
+            }
+        } catch (err) {
+            log.error({ userId, event: 'restore_session_failed', err }, 'Failed to restore session');
+        }
+    }
+}
+
 // Restore existing sessions on startup
 async function restoreExistingSessions() {
+    restorationState = 'running';
     try {
-        console.log('\n🔄 Checking for existing WhatsApp sessions to restore...');
+        log.info({ event: 'restore_started', store: authStore.name }, 'Checking for existing WhatsApp sessions to restore');
         
-        if (!fs.existsSync(AUTH_FOLDER_BASE)) {
-            console.log('   No auth folder found - starting fresh');
+        await migratePlaintextAuthState();
+        
+        // With sharding this instance only takes its share of the sessions nobody owns
+        if (leaseStore) {
+            await renewLeases();
+            await balanceSessions();
+            log.info({ event: 'restore_complete', count: ownedLeases.size, instanceId: INSTANCE_ID }, 'Session restoration complete');
             return;
         }
         
-        const userFolders = fs.readdirSync(AUTH_FOLDER_BASE);
-        const validSessions = [];
-        
-        for (const userId of userFolders) {
-            const authFolder = path.join(AUTH_FOLDER_BASE, userId);
-            const credsPath = path.join(authFolder, 'creds.json');
-            
-            // Check if this user has valid credentials
-            if (fs.existsSync(credsPath)) {
-                try {
-                    const creds = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
-                    // Check if creds contain required fields
-                    if (creds.me && creds.me.id) {
-                        validSessions.push(userId);
-                        console.log(`   Found session for user: ${userId}`);
-                    }
-                } catch (err) {
-                    console.log(`   Skipping ${userId} - invalid credentials`);
-                }
-            }
-        }
+        const validSessions = await findRestorableSessions(await authStore.listUsers());
         
         if (validSessions.length === 0) {
-            console.log('   No valid sessions to restore');
+            log.info({ event: 'restore_complete', count: 0 }, 'No valid sessions to restore');
             return;
         }
         
-        console.log(`\n✅ Restoring ${validSessions.length} session(s)...\n`);
-        
-        // Restore sessions with a delay between each to avoid overwhelming WhatsApp servers
-        for (let i = 0; i < validSessions.length; i++) {
-            const userId = validSessions[i];
-            try {
-                console.log(`[${userId}] 🔄 Restoring session (${i + 1}/${validSessions.length})...`);
-                await connectToWhatsApp(userId);
-                
-                // Wait a bit between connections to avoid rate limiting
-                if (i < validSessions.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
-            } catch (err) {
-                console.error(`[${userId}] ❌ Failed to restore session:`, err.message);
-            }
-        }
-        
-        console.log('\n✅ Session restoration complete\n');
+        log.info({ event: 'restore_sessions', count: validSessions.length }, 'Restoring sessions');
+        await connectStoredSessions(validSessions);
+        log.info({ event: 'restore_complete', count: validSessions.length }, 'Session restoration complete');
     } catch (err) {
-        console.error('Error during session restoration:', err);
+        log.error({ event: 'restore_failed', err }, 'Error during session restoration');
+    } finally {
+        restorationState = 'complete';
+    }
+}
+
+// Stop serving: finish in-flight sends, flush creds and close every socket (without logging out)
+async function stopService() {
+    shuttingDown = true;
+    
+    server?.close();
+    for (const userId of reconnectTimers.keys()) {
+        cancelReconnect(userId);
+    }
+    for (const state of queueState.values()) {
+        clearTimeout(state.retryTimer);
+    }
+    for (const timer of broadcastTimers.values()) {
+        clearTimeout(timer);
+    }
+    
+    // processQueue stops after the job it is sending
+    while (Array.from(queueState.values()).some(state => state.draining)) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await Promise.all(Array.from(userSessions.keys()).map(userId => closeSession(userId, 'shutdown')));
+    flushContacts();
+    // Other instances can take the sessions over right away instead of waiting for the leases to expire
+    if (leaseStore) {
+        await leaseStore.releaseAll();
+        await leaseStore.close();
+    }
+    await authStore.close();
+    // Event streams never end by themselves
+    server?.closeAllConnections();
+}
+
+// Graceful shutdown on SIGTERM/SIGINT, bounded by SHUTDOWN_TIMEOUT
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    log.info({ event: 'shutdown_started', signal, sessions: userSessions.size }, 'Shutting down');
+    
+    const drain = stopService();
+    const timedOut = new Promise(resolve => setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT));
+    
+    const failed = (err) => {
+        log.error({ event: 'shutdown_failed', err }, 'Error during shutdown');
+        return false;
+    };
+    
+    if (await Promise.race([drain.then(() => false, failed), timedOut])) {
+        log.warn({ event: 'shutdown_timeout', timeout: SHUTDOWN_TIMEOUT }, 'Shutdown timed out, exiting anyway');
+    } else {
+        log.info({ event: 'shutdown_complete' }, 'Shutdown complete');
     }
+    process.exit(0);
 }
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-    console.log(`\n ================================================`);
-    console.log(`   Baileys WhatsApp Multi-User Service`);
-    console.log(`   Running on port ${PORT}`);
-    console.log(`   Supporting multiple concurrent user sessions`);
-    console.log(`   Health check: http://localhost:${PORT}/health`);
-    console.log(`================================================\n`);
+let server = null;
+
+// Listen and bring saved sessions back (the test suite starts it on a random port)
+function startServer(port = PORT) {
+    server = app.listen(port, startService);
+    return server;
+}
+
+// Runs once the server is listening
+async function startService() {
+    const port = server.address().port;
+    log.info({ event: 'server_started', port }, `Baileys WhatsApp Multi-User Service running on port ${port}`);
+    
+    if (!AUTH_ENABLED) {
+        log.warn({ event: 'auth_disabled' }, 'API authentication is DISABLED - set API_KEY or API_HMAC_SECRET to protect the API');
+    }
+    if (WEBHOOK_URL && !WEBHOOK_SECRET) {
+        log.warn({ event: 'webhook_unsigned' }, 'WEBHOOK_SECRET is not set - webhooks are sent unsigned and the web app cannot verify them');
+    }
+    
+    // Pick up scheduled messages (and any missed during downtime) before sessions come back
+    restoreSchedules();
+    restoreBroadcasts();
+    
+    if (leaseStore) {
+        log.info({ event: 'sharding_enabled', instanceId: INSTANCE_ID, url: INSTANCE_URL, store: leaseStore.name }, 'Sharing sessions with other instances through leases');
+        setInterval(() => renewLeases().then(balanceSessions), LEASE_RENEW_INTERVAL).unref();
+    }
     
     // Restore existing sessions after server starts
     await restoreExistingSessions();
-});
+}
+
+if (require.main === module) {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    startServer();
+}
+
+module.exports = {
+    app,
+    startServer,
+    stopService,
+    setSocketFactory
+};
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DISCONNECT_CODES } = require('./fake-socket');
+const { startTestService, waitFor } = require('./helpers');
+
+const API_KEY = 'service-key';
+const ADMIN_API_KEY = 'admin-key';
+const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+
+// Admin session console: list, inspect, reconnect, drop and wipe, with the audit trail
+describe('admin console', () => {
+    let service;
+    let live;
+
+    // Admin requests; the service key (sent by default) is enough to open sessions
+    const request = (method, url, body) => service.request(method, url, body, admin);
+
+    const readAudit = () => fs.readFileSync(path.join(service.root, 'data', 'audit.log'), 'utf8')
+        .trim().split('\n').map(JSON.parse).filter(entry => entry.action);
+
+    before(async () => {
+        service = await startTestService({
+            env: { API_KEY, ADMIN_API_KEY },
+            headers: { Authorization: `Bearer ${API_KEY}` },
+            creds: { saved: { me: { id: '353861111111:2@s.whatsapp.net' } } },
+            data: { saved: { 'health.json': { state: 'stopped', statusCode: 440, reason: 'Connection replaced', at: '2025-01-01T00:00:00.000Z' } } }
+        });
+        await waitFor(async () => (await service.request('GET', '/health/ready')).status === 200);
+
+        live = await service.connect('live');
+        await service.request('GET', '/qr/linking');
+        await service.sockets.last().play(['qr']);
+
+        const kicked = await service.connect('kicked');
+        await kicked.play([{ close: DISCONNECT_CODES.loggedOut }]);
+    });
+
+    after(() => service.stop());
+
+    it('is for the admin key only', async () => {
+        const { status } = await service.request('GET', '/admin/sessions');
+        assert.equal(status, 403);
+    });
+
+    it('lists every session with its state', async () => {
+        const { status, body } = await request('GET', '/admin/sessions');
+        assert.equal(status, 200);
+
+        const sessions = Object.fromEntries(body.sessions.map(session => [session.sessionKey, session]));
+        assert.deepEqual(Object.keys(sessions), ['kicked', 'linking', 'live', 'saved']);
+        assert.deepEqual(Object.values(sessions).map(session => session.state), ['logged_out', 'qr_pending', 'connected', 'stopped']);
+
+        assert.equal(sessions.live.phoneNumber, '353871234567');
+        assert.ok(sessions.live.uptime >= 0);
+        assert.ok(sessions.live.connectedAt);
+        assert.equal(sessions.kicked.lastDisconnect.statusCode, 401);
+        assert.equal(sessions.saved.lastDisconnect.reason, 'Connection replaced');
+        assert.equal(sessions.saved.phoneNumber, '353861111111');
+        assert.equal(sessions.saved.hasCredentials, true);
+    });
+
+    it('inspects one session', async () => {
+        const { body } = await request('GET', '/admin/sessions/linking');
+        assert.equal(body.session.state, 'qr_pending');
+        assert.equal(body.session.hasQrCode, true);
+        assert.equal(body.session.pendingMessages, 0);
+
+        assert.equal((await request('GET', '/admin/sessions/nobody')).status, 404);
+    });
+
+    it('forces a reconnect with the saved creds', async () => {
+        const count = service.sockets.sockets.length;
+        const { status, body } = await request('POST', '/admin/sessions/live/reconnect');
+        assert.equal(status, 200);
+        assert.equal(body.session.state, 'connecting');
+        assert.equal(live.ended, true);
+
+        live = await service.sockets.waitForSocket(count + 1);
+        await live.play(['open']);
+        assert.equal((await request('GET', '/admin/sessions/live')).body.session.state, 'connected');
+
+        assert.equal((await request('POST', '/admin/sessions/nobody/reconnect')).status, 404);
+    });
+
+    it('drops a session from memory but keeps its creds', async () => {
+        live.ev.emit('creds.update', {});
+        const creds = path.join(service.root, 'auth_info', 'live', 'creds.json');
+        await waitFor(() => fs.existsSync(creds));
+
+        const { status } = await request('POST', '/admin/sessions/live/drop');
+        assert.equal(status, 200);
+        assert.equal(live.ended, true);
+        assert.equal(live.loggedOut, false);
+        assert.ok(fs.existsSync(creds));
+        assert.equal((await request('GET', '/admin/sessions/live')).body.session.state, 'offline');
+
+        assert.equal((await request('POST', '/admin/sessions/live/drop')).status, 404);
+    });
+
+    it('wipes a session with its auth state and health', async () => {
+        const { status } = await request('POST', '/admin/sessions/saved/wipe');
+        assert.equal(status, 200);
+        assert.equal(fs.existsSync(path.join(service.root, 'auth_info', 'saved')), false);
+        assert.equal(fs.existsSync(path.join(service.root, 'data', 'saved', 'health.json')), false);
+
+        assert.equal((await request('GET', '/admin/sessions/saved')).status, 404);
+        assert.equal((await request('POST', '/admin/sessions/saved/wipe')).status, 404);
+    });
+
+    it('rejects user ids that are not plain names', async () => {
+        // Raw requests - a URL would resolve "%2E%2E" before sending
+        const { hostname, port } = new URL(service.baseUrl);
+        const rawRequest = (method, url, headers) => new Promise((resolve, reject) => {
+            http.request({ hostname, port, path: url, method, headers }, res => {
+                res.resume();
+                resolve(res.statusCode);
+            }).on('error', reject).end();
+        });
+
+        for (const userId of ['%2E%2E', '..%2Fdata', 'ann~work', 'a'.repeat(65)]) {
+            assert.equal(await rawRequest('POST', `/admin/sessions/${userId}/wipe`, admin), 400, userId);
+            assert.equal(await rawRequest('POST', `/logout/${userId}`, { Authorization: `Bearer ${API_KEY}` }), 400, userId);
+            assert.equal(await rawRequest('PUT', `/settings/${userId}`, { Authorization: `Bearer ${API_KEY}` }), 400, userId);
+        }
+        assert.ok(fs.existsSync(path.join(service.root, 'auth_info')));
+        assert.ok(fs.existsSync(path.join(service.root, 'data', 'audit.log')));
+    });
+
+    it('writes every action to the audit trail', async () => {
+        const audit = readAudit();
+        assert.deepEqual(audit.map(entry => [entry.action, entry.userId, entry.previousState, entry.outcome]), [
+            ['session.reconnect', 'live', 'connected', 'ok'],
+            ['session.drop', 'live', 'connected', 'ok'],
+            ['session.wipe', 'saved', 'stopped', 'ok']
+        ]);
+        assert.equal(audit[0].role, 'admin');
+        assert.equal(audit[0].path, '/admin/sessions/live/reconnect');
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startTestService } = require('./helpers');
+
+const API_KEY = 'service-key';
+const ADMIN_API_KEY = 'admin-key';
+const API_HMAC_SECRET = 'hmac-secret';
+
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+// Authentication, scoped tokens, health checks, metrics and instances
+describe('api', () => {
+    let service;
+
+    before(async () => {
+        service = await startTestService({ env: { API_KEY, ADMIN_API_KEY, API_HMAC_SECRET } });
+    });
+
+    after(() => service.stop());
+
+    it('keeps the health checks public', async () => {
+        const health = await service.request('GET', '/health');
+        assert.equal(health.status, 200);
+        assert.equal(health.body.status, 'ok');
+        assert.equal(health.body.users, undefined);
+
+        assert.equal((await service.request('GET', '/health/live')).body.status, 'ok');
+        const ready = await service.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.restoration, 'complete');
+    });
+
+    it('lists user ids on /health for admins only', async () => {
+        await service.request('GET', '/qr/health-user', undefined, bearer(API_KEY));
+        const { body } = await service.request('GET', '/health', undefined, bearer(ADMIN_API_KEY));
+        assert.deepEqual(body.users, ['health-user']);
+        assert.equal((await service.request('GET', '/health', undefined, bearer(API_KEY))).body.users, undefined);
+    });
+
+    it('rejects calls without valid credentials and audits them', async () => {
+        const missing = await service.request('GET', '/status/someone');
+        assert.equal(missing.status, 401);
+
+        const wrong = await service.request('GET', '/status/someone', undefined, bearer('wrong'));
+        assert.equal(wrong.status, 401);
+
+        const audit = fs.readFileSync(path.join(service.root, 'data', 'audit.log'), 'utf8').trim().split('\n').map(JSON.parse);
+        assert.deepEqual(audit.slice(-2).map(entry => [entry.status, entry.path]), [[401, '/status/someone'], [401, '/status/someone']]);
+    });
+
+    it('accepts the service key as a bearer token or X-API-Key', async () => {
+        assert.equal((await service.request('GET', '/status/someone', undefined, bearer(API_KEY))).status, 200);
+        assert.equal((await service.request('GET', '/status/someone', undefined, { 'X-API-Key': API_KEY })).status, 200);
+    });
+
+    it('accepts HMAC-signed requests', async () => {
+        const sign = (timestamp, method, url, body) => ({
+            'X-HBDrop-Timestamp': String(timestamp),
+            'X-HBDrop-Signature': 'sha256=' + crypto.createHmac('sha256', API_HMAC_SECRET).update(`${timestamp}.${method}.${url}.${body}`).digest('hex')
+        });
+
+        const body = { phones: [] };
+        const signed = await service.request('POST', '/check/someone', body, sign(Date.now(), 'POST', '/check/someone', JSON.stringify(body)));
+        assert.equal(signed.status, 400); // Authenticated, then rejected for the empty list
+
+        const stale = Date.now() - 10 * 60 * 1000;
+        const expired = await service.request('POST', '/check/someone', body, sign(stale, 'POST', '/check/someone', JSON.stringify(body)));
+        assert.equal(expired.status, 401);
+    });
+
+    it('issues user tokens that only work for their own user', async () => {
+        const { body } = await service.request('POST', '/tokens/ann', undefined, bearer(API_KEY));
+        assert.equal(body.success, true);
+        const token = body.token;
+
+        assert.equal((await service.request('GET', '/status/ann', undefined, bearer(token))).status, 200);
+        assert.equal((await service.request('GET', '/status/bob', undefined, bearer(token))).status, 403);
+        assert.equal((await service.request('POST', '/tokens/ann', undefined, bearer(token))).status, 403);
+
+        // The event stream takes the token in the query string
+        const stream = await service.events('ann', `?token=${token}`);
+        assert.equal(stream.status, 200);
+        stream.close();
+        assert.equal((await service.events('bob', `?token=${token}`)).status, 403);
+    });
+
+    it('rejects expired user tokens', async () => {
+        const { body } = await service.request('POST', '/tokens/ann', undefined, bearer(API_KEY));
+        assert.ok(Date.parse(body.expiresAt) > Date.now());
+
+        // USER_TOKEN_SECRET defaults to API_KEY
+        const exp = Math.floor(Date.now() / 1000) - 60;
+        const signature = crypto.createHmac('sha256', API_KEY).update(`user:ann:${exp}`).digest('base64url');
+        const expired = `${Buffer.from('ann').toString('base64url')}.${exp}.${signature}`;
+        assert.equal((await service.request('GET', '/status/ann', undefined, bearer(expired))).status, 401);
+
+        // Moving exp breaks the signature
+        const [encodedUserId, , validSignature] = body.token.split('.');
+        const extended = `${encodedUserId}.${exp + 3600 * 24 * 365}.${validSignature}`;
+        assert.equal((await service.request('GET', '/status/ann', undefined, bearer(extended))).status, 401);
+    });
+
+    it('keeps the token out of the audit trail', async () => {
+        assert.equal((await service.events('ann', '?token=not-a-token&since=5')).status, 401);
+
+        const audit = fs.readFileSync(path.join(service.root, 'data', 'audit.log'), 'utf8').trim().split('\n').map(JSON.parse);
+        assert.equal(audit.at(-1).path, '/events/ann?since=5');
+    });
+
+    it('keeps admin endpoints for the admin key', async () => {
+        assert.equal((await service.request('GET', '/instances', undefined, bearer(API_KEY))).status, 403);
+
+        const { status, body } = await service.request('GET', '/instances', undefined, bearer(ADMIN_API_KEY));
+        assert.equal(status, 200);
+        assert.equal(body.sharding, false);
+        assert.equal(body.instances.length, 1);
+    });
+
+    it('exposes Prometheus metrics', async () => {
+        const { status, body } = await service.request('GET', '/metrics', undefined, bearer(API_KEY));
+        assert.equal(status, 200);
+        assert.match(body, /hbdrop_sessions/);
+        assert.match(body, /hbdrop_baileys_process_cpu_seconds_total/);
+    });
+});
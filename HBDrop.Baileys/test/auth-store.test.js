@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createAuthStore, useStoredAuthState, readStoredCreds } = require('../auth-store');
+
+const CLI = path.join(__dirname, '..', 'auth-cli.js');
+const MASTER_KEY = 'hbdrop-test-master-key';
+
+// Set to a disposable Postgres database to run the postgres backend too
+const POSTGRES_URL = process.env.AUTH_STORE_TEST_URL || null;
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'hbdrop-auth-store-'));
+
+// Run auth-cli.js with its settings in env, resolves with stdout
+async function runCli(args, env) {
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI, ...args], { env: { ...process.env, ...env }, timeout: 30000 });
+    return stdout;
+}
+
+// Write, read back, list and delete through any backend - userIds are unique so a shared database stays clean
+async function assertRoundTrip(store, userId) {
+    assert.equal(await store.read(userId, 'creds.json'), null);
+
+    await store.write(userId, 'creds.json', '{"me":{"id":"353861111111:2@s.whatsapp.net"}}');
+    await store.write(userId, 'app-state-sync-key-AAA/1:2.json', '{"keyData":"x"}');
+    await store.write(userId, 'creds.json', '{"me":{"id":"353861111111:3@s.whatsapp.net"}}');
+
+    assert.equal(await store.read(userId, 'creds.json'), '{"me":{"id":"353861111111:3@s.whatsapp.net"}}');
+    assert.equal(await store.read(userId, 'app-state-sync-key-AAA/1:2.json'), '{"keyData":"x"}');
+    assert.equal(await store.has(userId, 'creds.json'), true);
+    assert.ok((await store.listUsers()).includes(userId));
+    assert.deepEqual(await store.listFiles(userId), ['app-state-sync-key-AAA__1-2.json', 'creds.json']);
+
+    await store.remove(userId, 'app-state-sync-key-AAA/1:2.json');
+    assert.deepEqual(await store.listFiles(userId), ['creds.json']);
+
+    await store.clear(userId);
+    assert.equal(await store.has(userId, 'creds.json'), false);
+    assert.ok(!(await store.listUsers()).includes(userId));
+}
+
+// Auth state backends (filesystem, sqlite, postgres) and the auth-cli.js export/import/copy commands
+describe('auth store', () => {
+    it('keeps filesystem users inside the auth folder', async () => {
+        const root = tempDir();
+        const baseFolder = path.join(root, 'auth_info');
+        fs.writeFileSync(path.join(root, 'keep.txt'), 'keep');
+        const store = createAuthStore({ type: 'filesystem', baseFolder });
+
+        for (const userId of ['..', '.', '', 'ann/../..', '../bob']) {
+            await assert.rejects(store.clear(userId), /Invalid user id/);
+            await assert.rejects(store.write(userId, 'creds.json', '{}'), /Invalid user id/);
+        }
+        assert.equal(fs.readFileSync(path.join(root, 'keep.txt'), 'utf8'), 'keep');
+        assert.equal(fs.existsSync(path.join(root, 'bob')), false);
+    });
+
+    it('round-trips auth state on the filesystem', async () => {
+        await assertRoundTrip(createAuthStore({ type: 'filesystem', baseFolder: tempDir() }), 'ann');
+    });
+
+    it('round-trips auth state in a SQLite file, across reopening it', async () => {
+        const filename = path.join(tempDir(), 'auth_state.sqlite');
+        const store = createAuthStore({ type: 'sqlite', filename, masterKey: MASTER_KEY });
+        await assertRoundTrip(store, 'ann');
+
+        // Creds written by Baileys come back after a restart
+        const { state, saveCreds } = await useStoredAuthState(store, 'bob');
+        state.creds.me = { id: '353862222222:1@s.whatsapp.net' };
+        await saveCreds();
+        await state.keys.set({ 'pre-key': { 1: { public: Buffer.from('pub'), private: Buffer.from('priv') } } });
+        await store.close();
+
+        const reopened = createAuthStore({ type: 'sqlite', filename, masterKey: MASTER_KEY });
+        assert.equal((await readStoredCreds(reopened, 'bob')).me.id, '353862222222:1@s.whatsapp.net');
+        const { state: restored } = await useStoredAuthState(reopened, 'bob');
+        const { 1: preKey } = await restored.keys.get('pre-key', ['1']);
+        assert.equal(Buffer.from(preKey.private).toString(), 'priv');
+        await reopened.close();
+    });
+
+    it('round-trips auth state in Postgres', { skip: !POSTGRES_URL && 'set AUTH_STORE_TEST_URL to a Postgres database' }, async () => {
+        const store = createAuthStore({ type: 'postgres', connectionString: POSTGRES_URL, masterKey: MASTER_KEY });
+        try {
+            await assertRoundTrip(store, `test-${process.pid}-${Date.now()}`);
+        } finally {
+            await store.close();
+        }
+    });
+
+    describe('auth-cli.js', () => {
+        let root;
+        let env;
+
+        before(() => {
+            root = tempDir();
+            env = {
+                AUTH_FOLDER: path.join(root, 'auth_info'),
+                AUTH_STORE_SQLITE_FILE: path.join(root, 'auth_state.sqlite'),
+                ENCRYPTION_MASTER_KEY: MASTER_KEY
+            };
+            for (const userId of ['ann', 'bob']) {
+                fs.mkdirSync(path.join(env.AUTH_FOLDER, userId), { recursive: true });
+                fs.writeFileSync(path.join(env.AUTH_FOLDER, userId, 'creds.json'), `{"me":{"id":"${userId}"}}`);
+                fs.writeFileSync(path.join(env.AUTH_FOLDER, userId, 'session-1.json'), '{}');
+            }
+            // A plaintext file next to an encrypted one, as before the migration on startup
+            fs.writeFileSync(path.join(env.AUTH_FOLDER, 'bob', 'pre-key-1.json'), '{"private":"bob"}');
+        });
+
+        after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+        it('migrates every session from the filesystem to SQLite', async () => {
+            const stdout = await runCli(['copy', '--from', 'filesystem', '--to', 'sqlite'], env);
+            assert.match(stdout, /Copied 2 session\(s\)/);
+
+            const sqlite = createAuthStore({ type: 'sqlite', filename: env.AUTH_STORE_SQLITE_FILE, masterKey: MASTER_KEY });
+            try {
+                assert.deepEqual(await sqlite.listUsers(), ['ann', 'bob']);
+                assert.deepEqual(await sqlite.listFiles('bob'), ['creds.json', 'pre-key-1.json', 'session-1.json']);
+                assert.equal(await sqlite.read('bob', 'pre-key-1.json'), '{"private":"bob"}');
+                assert.equal((await readStoredCreds(sqlite, 'ann')).me.id, 'ann');
+            } finally {
+                await sqlite.close();
+            }
+        });
+
+        it('exports one user decrypted and imports it into another store', async () => {
+            const file = path.join(root, 'sessions.json');
+            await runCli(['export', file, '--store', 'sqlite', '--user', 'ann'], env);
+
+            const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.equal(bundle.source, 'sqlite');
+            assert.deepEqual(bundle.users, { ann: { 'creds.json': '{"me":{"id":"ann"}}', 'session-1.json': '{}' } });
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+            const target = { ...env, AUTH_FOLDER: path.join(root, 'imported') };
+            assert.match(await runCli(['import', file, '--store', 'filesystem'], target), /Imported 1 session\(s\)/);
+            const imported = createAuthStore({ type: 'filesystem', baseFolder: target.AUTH_FOLDER, masterKey: MASTER_KEY });
+            assert.deepEqual(await imported.listUsers(), ['ann']);
+            assert.equal(await imported.read('ann', 'creds.json'), '{"me":{"id":"ann"}}');
+            // Written encrypted, like everything the service writes with a master key
+            assert.doesNotMatch(fs.readFileSync(path.join(target.AUTH_FOLDER, 'ann', 'creds.json'), 'utf8'), /"me"/);
+        });
+
+        it('rejects unknown stores', async () => {
+            await assert.rejects(runCli(['copy', '--from', 'filesystem', '--to', 'redis'], env), /Unknown store "redis"/);
+        });
+    });
+});
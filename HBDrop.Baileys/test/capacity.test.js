@@ -0,0 +1,23 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService } = require('./helpers');
+
+// MAX_SESSIONS: linking more sessions than an instance takes
+describe('session cap', () => {
+    let service;
+
+    before(async () => {
+        service = await startTestService({ env: { MAX_SESSIONS: '1' } });
+    });
+
+    after(() => service.stop());
+
+    it('answers a pairing code request over the cap with 503', async () => {
+        await service.connect('first');
+
+        const { status, body } = await service.request('POST', '/pairing-code/second', { phoneNumber: '+353 89 954 8661' });
+        assert.equal(status, 503);
+        assert.equal(body.success, false);
+        assert.match(body.message, /Session limit reached \(1\)/);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService } = require('./helpers');
+
+// Contacts synced from socket events and served by /contacts
+describe('contacts', () => {
+    let service;
+    let sock;
+
+    before(async () => {
+        service = await startTestService();
+        sock = await service.connect('syncer');
+
+        sock.ev.emit('messaging-history.set', {
+            contacts: [
+                { id: '353871000001@s.whatsapp.net', name: 'Ann Murphy' },
+                { id: '353871000002@s.whatsapp.net', notify: 'Bob' },
+                { id: '120363000000000001@g.us', name: 'Family' } // Groups are not contacts
+            ],
+            chats: [{ id: '353871000003@s.whatsapp.net', conversationTimestamp: 1735689600 }]
+        });
+        sock.ev.emit('contacts.update', [{ id: '353871000003:4@s.whatsapp.net', notify: 'Cara' }]);
+    });
+
+    after(() => service.stop());
+
+    it('lists people only, most recent conversation first', async () => {
+        const { status, body } = await service.request('GET', '/contacts/syncer');
+        assert.equal(status, 200);
+        assert.equal(body.total, 3);
+        assert.deepEqual(body.contacts.map(contact => contact.name), ['Cara', 'Ann Murphy', 'Bob']);
+
+        const [cara] = body.contacts;
+        assert.equal(cara.phone, '+353871000003');
+        assert.equal(cara.lastInteractionAt, '2025-01-01T00:00:00.000Z');
+    });
+
+    it('pages and searches', async () => {
+        let { body } = await service.request('GET', '/contacts/syncer?page=2&pageSize=2');
+        assert.deepEqual([body.page, body.pageSize, body.count, body.total], [2, 2, 1, 3]);
+        assert.equal(body.contacts[0].name, 'Bob');
+
+        ({ body } = await service.request('GET', '/contacts/syncer?search=murphy'));
+        assert.deepEqual(body.contacts.map(contact => contact.id), ['353871000001@s.whatsapp.net']);
+
+        ({ body } = await service.request('GET', '/contacts/syncer?search=871000002'));
+        assert.deepEqual(body.contacts.map(contact => contact.name), ['Bob']);
+    });
+
+    it('fetches profile pictures only when asked', async () => {
+        let { body } = await service.request('GET', '/contacts/syncer?search=ann');
+        assert.equal(body.contacts[0].imgUrl, null);
+
+        ({ body } = await service.request('GET', '/contacts/syncer?search=ann&includePictures=true'));
+        assert.equal(body.contacts[0].imgUrl, 'https://pictures.example/353871000001.jpg');
+    });
+
+    it('returns an empty list for users without contacts', async () => {
+        const { body } = await service.request('GET', '/contacts/nobody');
+        assert.deepEqual(body.contacts, []);
+        assert.equal(body.total, 0);
+    });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { document, validateSchema, getResponseSchema, toExpressPath } = require('../openapi');
+const { startTestService, waitFor } = require('./helpers');
+
+const API_KEY = 'service-key';
+const ADMIN_API_KEY = 'admin-key';
+const ANN = '353899548661@s.whatsapp.net';
+const FAMILY = '120363000000000001@g.us';
+
+// The documented operation a request goes to
+function findOperation(method, url) {
+    const pathname = url.split('?')[0];
+    for (const [route, operations] of Object.entries(document.paths)) {
+        const pattern = new RegExp(`^${route.replace(/\{\w+\}/g, '[^/]+')}$`);
+        if (pattern.test(pathname) && operations[method.toLowerCase()]) {
+            return operations[method.toLowerCase()];
+        }
+    }
+    return null;
+}
+
+// The OpenAPI document against the routes server.js serves, and real responses against the document
+describe('contract', () => {
+    let service;
+    let sock;
+
+    // Send a request and check the response against the schema documented for its status
+    async function call(method, url, body, headers) {
+        const response = await service.request(method, url, body, headers);
+        const operation = findOperation(method, url);
+        assert.ok(operation, `${method} ${url} is not documented`);
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0];
+        const schema = getResponseSchema(operation, response.status, contentType);
+        assert.ok(schema, `${method} ${url} answered ${response.status} (${contentType}), which is not documented`);
+        assert.deepEqual(validateSchema(schema, response.body), [], `${method} ${url} (${response.status}) does not match the document`);
+        return response;
+    }
+
+    before(async () => {
+        service = await startTestService({
+            env: { API_KEY, ADMIN_API_KEY },
+            headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+        });
+        sock = await service.connect('planner');
+        sock.groups = {
+            [FAMILY]: {
+                id: FAMILY,
+                subject: 'Family',
+                owner: '353871000001@s.whatsapp.net',
+                creation: 1700000000,
+                participants: [{ id: '353871000001@s.whatsapp.net', admin: 'superadmin' }, { id: '353871000002@s.whatsapp.net', admin: null }]
+            }
+        };
+        sock.ev.emit('messaging-history.set', {
+            contacts: [{ id: ANN, name: 'Ann Murphy' }],
+            chats: [{ id: ANN, conversationTimestamp: 1735689600 }]
+        });
+    });
+
+    after(() => service.stop());
+
+    it('documents every route', () => {
+        const { app } = require('../server');
+        const served = new Set();
+        for (const layer of app.router.stack) {
+            for (const method of Object.keys(layer.route?.methods || {})) {
+                served.add(`${method.toUpperCase()} ${layer.route.path}`);
+            }
+        }
+
+        const documented = Object.entries(document.paths).flatMap(([route, operations]) =>
+            Object.keys(operations).map(method => `${method.toUpperCase()} ${toExpressPath(route)}`));
+        assert.deepEqual([...served].sort(), documented.sort());
+    });
+
+    it('serves the document without credentials', async () => {
+        const { status, body } = await call('GET', '/openapi.json', undefined, { Authorization: '' });
+        assert.equal(status, 200);
+        assert.equal(body.openapi, '3.0.3');
+        assert.deepEqual(body.paths, JSON.parse(JSON.stringify(document.paths)));
+    });
+
+    it('describes the service and session responses', async () => {
+        await call('GET', '/health');
+        await call('GET', '/health/live');
+        await call('GET', '/health/ready');
+        await call('GET', '/metrics');
+        await call('GET', '/instances');
+        await call('POST', '/tokens/planner');
+        await call('GET', '/accounts/planner');
+        await call('GET', '/admin/sessions');
+        await call('GET', '/admin/sessions/planner');
+        await call('GET', '/admin/sessions/nobody');
+
+        // Before and after the QR code, connected and never connected
+        const count = service.sockets.sockets.length;
+        await call('GET', '/qr/linker');
+        await (await service.sockets.waitForSocket(count + 1)).play(['qr']);
+        await waitFor(async () => (await service.request('GET', '/status/linker')).body.hasQrCode);
+        assert.equal((await call('GET', '/qr/linker')).body.success, true);
+        await call('GET', '/status/linker');
+        await call('GET', '/qr/planner');
+        await call('POST', '/pairing-code/planner', { phoneNumber: '+353871234567' });
+        assert.equal((await call('GET', '/status/planner')).body.isConnected, true);
+
+        const { body } = await call('GET', '/status/nobody');
+        assert.deepEqual([body.hasQrCode, body.hasPairingCode, body.pairingCode, body.usePairingCode, body.health], [false, false, null, false, null]);
+        await call('POST', '/admin/sessions/linker/drop');
+    });
+
+    it('describes the messaging responses', async () => {
+        const sent = (await call('POST', '/send/planner', { phone: '+353899548661', message: 'Happy birthday!' })).body;
+        await call('GET', '/queue/planner');
+        await call('GET', `/messages/planner/${sent.messageId}/status`);
+        await call('GET', '/messages/planner/UNKNOWN/status');
+        await call('POST', '/react/planner', { messageId: sent.messageId, emoji: '🎉' });
+        await call('PATCH', `/messages/planner/${sent.messageId}`, { message: 'Happy birthday Ann!' });
+        await call('POST', `/messages/planner/${sent.messageId}/resend`, { phone: '+353899548662' });
+        await call('DELETE', `/messages/planner/${sent.messageId}`);
+        await call('DELETE', `/messages/planner/${sent.messageId}`);
+        await call('POST', '/status/planner', { message: 'Party on Saturday' });
+        await call('POST', '/send/nobody', { phone: '+353899548661', message: 'Hi' });
+
+        const { body: { schedule } } = await call('POST', '/schedule/planner', { phone: '+353899548661', message: 'Next year', sendAt: '2099-01-01T09:00:00' });
+        await call('GET', '/schedule/planner?status=scheduled');
+        await call('DELETE', `/schedule/planner/${schedule.id}`);
+        await call('DELETE', `/schedule/planner/${schedule.id}`);
+
+        const { body: { batch } } = await call('POST', '/broadcast/planner', {
+            template: 'Hi {{name}}',
+            recipients: [{ phone: '+353899548661', variables: { name: 'Ann' } }, { phone: 'abc' }],
+            minDelaySeconds: 0,
+            maxDelaySeconds: 0
+        });
+        await waitFor(async () => (await service.request('GET', `/broadcast/planner/${batch.id}`)).body.batch.status === 'completed');
+        await call('GET', '/broadcast/planner');
+        await call('GET', `/broadcast/planner/${batch.id}`);
+        await call('DELETE', `/broadcast/planner/${batch.id}`);
+        await call('GET', '/broadcast/planner/UNKNOWN');
+    });
+
+    it('describes the incoming, contact, settings and group responses', async () => {
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id: 'IN-1', remoteJid: ANN, fromMe: false }, pushName: 'Ann', message: { conversation: 'Thanks!' }, messageTimestamp: Math.floor(Date.now() / 1000) }]
+        });
+        await waitFor(async () => (await service.request('GET', '/inbox/planner')).body.messages.length > 0);
+        await call('GET', '/inbox/planner?limit=10');
+
+        const { body: { rule } } = await call('POST', '/rules/planner', { name: 'Thanks', match: { keywords: ['thanks'] }, actions: [{ type: 'react', emoji: '❤️' }] });
+        await call('GET', '/rules/planner');
+        await call('GET', `/rules/planner/${rule.id}`);
+        await call('PUT', `/rules/planner/${rule.id}`, { enabled: false });
+        await call('DELETE', `/rules/planner/${rule.id}`);
+        await call('GET', `/rules/planner/${rule.id}`);
+
+        await call('GET', '/contacts/planner?page=1&pageSize=10');
+        await call('POST', '/check/planner', { phones: ['+353899548661', 'abc'] });
+        await call('PUT', '/settings/planner', { defaultRegion: 'IE', naturalSend: false });
+        await call('GET', '/settings/planner');
+
+        await call('GET', '/groups/planner?refresh=true');
+        await call('GET', `/groups/planner/${FAMILY}`);
+        await call('GET', '/groups/planner/120363000000000009@g.us');
+        await call('POST', `/groups/planner/${FAMILY}/mention`, { message: 'Cake at 5', all: true });
+        await call('GET', '/groups/nobody');
+    });
+
+    it('rejects invalid requests with the fields at fault', async () => {
+        const missing = await call('POST', '/send/planner', { message: 'Hi' });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.code, 'validation_failed');
+        assert.equal(missing.body.message, 'phone is required');
+        assert.deepEqual(missing.body.errors, [{ in: 'body', field: 'phone', code: 'required', message: 'phone is required' }]);
+
+        const wrong = await call('POST', '/send/planner', { phone: 42, type: 'video', media: { type: 'pdf', url: 'https://example.com/a.pdf' } });
+        assert.deepEqual(wrong.body.errors.map(error => [error.field, error.code]), [
+            ['phone', 'invalid_type'],
+            ['type', 'invalid_value'],
+            ['media.type', 'invalid_value']
+        ]);
+
+        const query = await call('GET', '/inbox/planner?limit=lots');
+        assert.deepEqual(query.body.errors, [{ in: 'query', field: 'limit', code: 'invalid_type', message: 'limit must be an integer' }]);
+
+        const empty = await call('POST', '/check/planner', { phones: [] });
+        assert.equal(empty.body.errors[0].code, 'too_short');
+
+        const account = await call('GET', '/status/planner?accountId=not%20valid');
+        assert.equal(account.status, 400);
+    });
+
+    it('gives every error a code', async () => {
+        const unauthorized = await call('GET', '/status/planner', undefined, { Authorization: 'Bearer wrong' });
+        assert.deepEqual([unauthorized.status, unauthorized.body.code], [401, 'unauthorized']);
+
+        const forbidden = await call('GET', '/admin/sessions', undefined, { Authorization: `Bearer ${API_KEY}` });
+        assert.deepEqual([forbidden.status, forbidden.body.code], [403, 'forbidden']);
+
+        const notConnected = await call('GET', '/groups/nobody');
+        assert.equal(notConnected.body.code, 'not_connected');
+
+        const unknownMessage = await call('DELETE', '/messages/planner/UNKNOWN');
+        assert.deepEqual([unknownMessage.status, unknownMessage.body.code], [404, 'not_found']);
+
+        const unknown = await service.request('GET', '/nowhere');
+        assert.deepEqual([unknown.status, unknown.body.code, unknown.body.success], [404, 'not_found', false]);
+
+        const response = await fetch(`${service.baseUrl}/send/planner`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_API_KEY}` },
+            body: '{"phone":'
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).code, 'invalid_json');
+    });
+
+    it('describes logging out', async () => {
+        await call('POST', '/logout/planner');
+    });
+});
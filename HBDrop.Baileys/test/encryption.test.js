@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuthStore } = require('../auth-store');
+const { startTestService, waitFor } = require('./helpers');
+
+// Made with the web app's SessionEncryptionService (PBKDF2-SHA256, 10000 iterations, salt "<userId>:<masterKey>",
+// AES-256-CBC) for user "ann", with the IV fixed to 00..0f
+const MASTER_KEY = 'hbdrop-test-master-key';
+const DERIVED_KEY = '2a29233180b8a3850f75f0a1a6e708687644e212fcf5cafbc2f692b5222b1e31';
+const CREDS = '{"me":{"id":"353861111111:2@s.whatsapp.net"}}';
+const DOTNET_ENVELOPE = {
+    encrypted: true,
+    alg: 'aes-256-cbc',
+    iv: 'AAECAwQFBgcICQoLDA0ODw==',
+    data: 'E13wsJf9XvDNoTIz/mNUn7jVc7w9IRvO7ZAVPd1dn7gZqYmQ/vZGfrwHuDo4iAwO'
+};
+
+const decryptWithDerivedKey = (envelope) => {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(DERIVED_KEY, 'hex'), Buffer.from(envelope.iv, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Auth state encryption with ENCRYPTION_MASTER_KEY, compatible with the web app
+describe('auth state encryption', () => {
+    const baseFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'hbdrop-auth-'));
+    const store = createAuthStore({ type: 'filesystem', baseFolder, masterKey: MASTER_KEY });
+    const readEnvelope = (userId, file) => JSON.parse(fs.readFileSync(path.join(baseFolder, userId, file), 'utf8'));
+
+    it('reads what the web app encrypted', async () => {
+        fs.mkdirSync(path.join(baseFolder, 'ann'), { recursive: true });
+        fs.writeFileSync(path.join(baseFolder, 'ann', 'creds.json'), JSON.stringify(DOTNET_ENVELOPE));
+        assert.equal(await store.read('ann', 'creds.json'), CREDS);
+    });
+
+    it('encrypts with the same derived key', async () => {
+        await store.write('ann', 'creds.json', CREDS);
+        const envelope = readEnvelope('ann', 'creds.json');
+        assert.equal(envelope.encrypted, true);
+        assert.notEqual(envelope.iv, DOTNET_ENVELOPE.iv);
+        assert.equal(decryptWithDerivedKey(envelope), CREDS);
+    });
+
+    it('uses the user\'s key for their other accounts, like the web app', async () => {
+        fs.mkdirSync(path.join(baseFolder, 'ann~work'), { recursive: true });
+        fs.writeFileSync(path.join(baseFolder, 'ann~work', 'creds.json'), JSON.stringify(DOTNET_ENVELOPE));
+        assert.equal(await store.read('ann~work', 'creds.json'), CREDS);
+
+        await store.write('ann~work', 'session-1.json', '{"open":true}');
+        assert.equal(decryptWithDerivedKey(readEnvelope('ann~work', 'session-1.json')), '{"open":true}');
+    });
+
+    it('still reads account state encrypted with the old per-account key', async () => {
+        const legacyKey = crypto.pbkdf2Sync(MASTER_KEY, `ann~home:${MASTER_KEY}`, 10000, 32, 'sha256');
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', legacyKey, iv);
+        const data = Buffer.concat([cipher.update(CREDS, 'utf8'), cipher.final()]);
+        fs.mkdirSync(path.join(baseFolder, 'ann~home'), { recursive: true });
+        fs.writeFileSync(path.join(baseFolder, 'ann~home', 'creds.json'), JSON.stringify({ ...DOTNET_ENVELOPE, iv: iv.toString('base64'), data: data.toString('base64') }));
+
+        assert.equal(await store.read('ann~home', 'creds.json'), CREDS);
+    });
+
+    it('round-trips with a key of its own per user', async () => {
+        await store.write('bob', 'pre-key-1.json', '{"private":"secret"}');
+        assert.equal(await store.read('bob', 'pre-key-1.json'), '{"private":"secret"}');
+        assert.doesNotMatch(fs.readFileSync(path.join(baseFolder, 'bob', 'pre-key-1.json'), 'utf8'), /secret/);
+        assert.throws(() => decryptWithDerivedKey(readEnvelope('bob', 'pre-key-1.json')));
+    });
+
+    it('refuses encrypted state without the master key', async () => {
+        const plainStore = createAuthStore({ type: 'filesystem', baseFolder });
+        await assert.rejects(plainStore.read('ann', 'creds.json'), /no ENCRYPTION_MASTER_KEY/);
+    });
+
+    it('encrypts plaintext files in place', async () => {
+        fs.mkdirSync(path.join(baseFolder, 'carol'), { recursive: true });
+        fs.writeFileSync(path.join(baseFolder, 'carol', 'creds.json'), CREDS);
+        fs.writeFileSync(path.join(baseFolder, 'carol', 'session-1.json'), '{}');
+
+        assert.equal(await store.encryptPlaintextFiles('carol'), 2);
+        assert.equal(readEnvelope('carol', 'creds.json').encrypted, true);
+        assert.equal(await store.read('carol', 'creds.json'), CREDS);
+        assert.equal(await store.encryptPlaintextFiles('carol'), 0);
+    });
+});
+
+describe('plaintext auth state migration on startup', () => {
+    let service;
+
+    before(async () => {
+        service = await startTestService({
+            env: { ENCRYPTION_MASTER_KEY: MASTER_KEY },
+            creds: { ann: JSON.parse(CREDS) }
+        });
+    });
+
+    after(() => service.stop());
+
+    it('encrypts plaintext creds and still restores the session', async () => {
+        await service.sockets.waitForSocket(1);
+        await waitFor(async () => (await service.request('GET', '/health/ready')).status === 200);
+
+        const envelope = JSON.parse(fs.readFileSync(path.join(service.root, 'auth_info', 'ann', 'creds.json'), 'utf8'));
+        assert.equal(envelope.encrypted, true);
+        assert.deepEqual(JSON.parse(decryptWithDerivedKey(envelope)), JSON.parse(CREDS));
+    });
+});
@@ -0,0 +1,164 @@
+const EventEmitter = require('events');
+
+// A stand-in for Baileys' makeWASocket, for running the service without WhatsApp
+// Sockets play scripted connection.update sequences and record everything that is sent
+
+// Disconnect codes as Baileys reports them (lastDisconnect.error.output.statusCode)
+const DISCONNECT_CODES = {
+    loggedOut: 401,
+    timedOut: 408,
+    connectionLost: 428,
+    connectionReplaced: 440,
+    restartRequired: 515
+};
+
+// Script steps: 'connecting', 'qr', 'open', or { close: <status code> }
+// In pairing code mode the service asks for the code when it sees 'qr'
+function toConnectionUpdate(step, sock) {
+    if (step === 'connecting' || step === 'open') {
+        return { connection: step };
+    }
+    if (step === 'qr') {
+        return { qr: `fake-qr-${sock.id}-${Date.now()}` };
+    }
+    if (step && typeof step === 'object' && 'close' in step) {
+        const error = new Error(step.message || `Connection closed (${step.close})`);
+        error.output = { statusCode: step.close };
+        return { connection: 'close', lastDisconnect: { error, date: new Date() } };
+    }
+    throw new Error(`Unknown script step: ${JSON.stringify(step)}`);
+}
+
+function createFakeSocket(id, config, { phoneNumber, pairingCode }) {
+    const ev = new EventEmitter();
+    let messageCount = 0;
+
+    const sock = {
+        id,
+        config,
+        ev,
+        user: { id: `${phoneNumber}:1@s.whatsapp.net`, name: 'Test' },
+        sent: [], // { jid, content, options } per sendMessage call
+        pairingCodeRequests: [],
+        readMessagesCalls: [],
+        presenceUpdates: [], // { type, jid } per sendPresenceUpdate call
+        presenceSubscriptions: [],
+        ended: false,
+        loggedOut: false,
+        failNextSend: null, // Error thrown by the next sendMessage call
+        groups: {}, // Returned by groupFetchAllParticipating
+        registeredNumbers: null, // Digits that exist on WhatsApp for onWhatsApp, null means every number
+
+        // Emit the steps one after the other, letting the service's async handlers run in between
+        async play(steps) {
+            for (const step of steps) {
+                await new Promise(resolve => setImmediate(resolve));
+                ev.emit('connection.update', toConnectionUpdate(step, sock));
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        },
+
+        async sendMessage(jid, content, options) {
+            if (sock.failNextSend) {
+                const error = sock.failNextSend;
+                sock.failNextSend = null;
+                throw error;
+            }
+            sock.sent.push({ jid, content, options });
+            messageCount++;
+            return {
+                key: { id: `FAKE-${id}-${messageCount}`, remoteJid: jid, fromMe: true },
+                message: content.text ? { conversation: content.text } : {},
+                messageTimestamp: Math.floor(Date.now() / 1000)
+            };
+        },
+
+        async requestPairingCode(digits) {
+            sock.pairingCodeRequests.push(digits);
+            return pairingCode;
+        },
+
+        async onWhatsApp(...jids) {
+            return jids
+                .map(jid => jid.split('@')[0])
+                .filter(digits => !sock.registeredNumbers || sock.registeredNumbers.includes(digits))
+                .map(digits => ({ jid: `${digits}@s.whatsapp.net`, exists: true }));
+        },
+
+        async groupFetchAllParticipating() {
+            return sock.groups;
+        },
+
+        async profilePictureUrl(jid) {
+            return `https://pictures.example/${jid.split('@')[0]}.jpg`;
+        },
+
+        async readMessages(keys) {
+            sock.readMessagesCalls.push(keys);
+        },
+
+        async sendPresenceUpdate(type, jid) {
+            sock.presenceUpdates.push({ type, jid });
+        },
+
+        async presenceSubscribe(jid) {
+            sock.presenceSubscriptions.push(jid);
+        },
+
+        async logout() {
+            sock.loggedOut = true;
+        },
+
+        end() {
+            sock.ended = true;
+        }
+    };
+
+    return sock;
+}
+
+// Pass the result to setSocketFactory(); every socket the service opens is kept in `sockets`
+// `script` is played on each new socket (e.g. ['open'] so restored sessions connect by themselves)
+function createFakeSocketFactory({ script = [], phoneNumber = '353871234567', pairingCode = 'FAKE1234' } = {}) {
+    const factory = {
+        sockets: [],
+        script,
+
+        makeSocket(config) {
+            const sock = createFakeSocket(factory.sockets.length + 1, config, { phoneNumber, pairingCode });
+            factory.sockets.push(sock);
+            if (factory.script.length > 0) {
+                sock.play(factory.script);
+            }
+            return sock;
+        },
+
+        // No network: pretend the latest version lookup succeeded
+        async fetchVersion() {
+            return { version: [2, 3000, 0], isLatest: true };
+        },
+
+        last() {
+            return factory.sockets[factory.sockets.length - 1];
+        },
+
+        // Resolve with the count-th socket once the service has opened it
+        async waitForSocket(count, timeout = 2000) {
+            const started = Date.now();
+            while (factory.sockets.length < count) {
+                if (Date.now() - started > timeout) {
+                    throw new Error(`Expected ${count} sockets, got ${factory.sockets.length}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            return factory.sockets[count - 1];
+        }
+    };
+
+    return factory;
+}
+
+module.exports = {
+    DISCONNECT_CODES,
+    createFakeSocketFactory
+};
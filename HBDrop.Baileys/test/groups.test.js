@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService } = require('./helpers');
+
+const FAMILY = '120363000000000001@g.us';
+
+// Group listing, details, participant events and @-mentions
+describe('groups', () => {
+    let service;
+    let sock;
+
+    before(async () => {
+        service = await startTestService();
+        sock = await service.connect('organiser');
+        sock.groups = {
+            [FAMILY]: {
+                id: FAMILY,
+                subject: 'Family',
+                owner: '353871000001@s.whatsapp.net',
+                desc: 'Birthdays and news',
+                creation: 1700000000,
+                participants: [
+                    { id: '353871000001@s.whatsapp.net', admin: 'superadmin' },
+                    { id: '123456789@lid', phoneNumber: '353871000002@s.whatsapp.net', admin: null }
+                ]
+            },
+            '120363000000000002@g.us': { id: '120363000000000002@g.us', subject: 'Work', creation: 1600000000, participants: [] }
+        };
+    });
+
+    after(() => service.stop());
+
+    it('needs a connected session', async () => {
+        const { status } = await service.request('GET', '/groups/nobody');
+        assert.equal(status, 400);
+    });
+
+    it('lists groups, newest first', async () => {
+        const { status, body } = await service.request('GET', '/groups/organiser');
+        assert.equal(status, 200);
+        assert.deepEqual(body.groups.map(group => [group.name, group.participants]), [['Family', 2], ['Work', 0]]);
+        assert.equal(body.groups[0].description, 'Birthdays and news');
+    });
+
+    it('returns a group with its participants', async () => {
+        const { body } = await service.request('GET', `/groups/organiser/${FAMILY}`);
+        assert.equal(body.group.size, 2);
+        assert.deepEqual(body.group.participants.map(p => [p.id, p.phone, p.isSuperAdmin]), [
+            ['353871000001@s.whatsapp.net', '+353871000001', true],
+            ['123456789@lid', '+353871000002', false]
+        ]);
+
+        const missing = await service.request('GET', '/groups/organiser/nope@g.us');
+        assert.equal(missing.status, 404);
+    });
+
+    it('keeps the cached groups current from group events', async () => {
+        sock.ev.emit('groups.update', [{ id: FAMILY, subject: 'The Family' }]);
+        sock.ev.emit('group-participants.update', { id: FAMILY, participants: ['353871000003@s.whatsapp.net'], action: 'add' });
+
+        const { body } = await service.request('GET', `/groups/organiser/${FAMILY}`);
+        assert.equal(body.group.name, 'The Family');
+        assert.equal(body.group.size, 3);
+    });
+
+    it('mentions participants by phone number or id', async () => {
+        const { status } = await service.request('POST', `/groups/organiser/${FAMILY}/mention`, {
+            message: 'Cake at 8!',
+            participants: ['+353871000001', '123456789@lid']
+        });
+        assert.equal(status, 200);
+
+        const sent = sock.sent.at(-1);
+        assert.equal(sent.jid, FAMILY);
+        assert.equal(sent.content.text, 'Cake at 8! @353871000001 @123456789');
+        assert.deepEqual(sent.content.mentions, ['353871000001@s.whatsapp.net', '123456789@lid']);
+    });
+
+    it('mentions everyone without tagging them in the text', async () => {
+        await service.request('POST', `/groups/organiser/${FAMILY}/mention`, { message: 'Everyone!', all: true });
+
+        const sent = sock.sent.at(-1);
+        assert.equal(sent.content.text, 'Everyone!');
+        assert.equal(sent.content.mentions.length, 3);
+    });
+
+    it('rejects mentions of people outside the group', async () => {
+        const empty = await service.request('POST', `/groups/organiser/${FAMILY}/mention`, { message: 'Hi' });
+        assert.equal(empty.status, 400);
+
+        const outsider = await service.request('POST', `/groups/organiser/${FAMILY}/mention`, { message: 'Hi', participants: ['+353879999999'] });
+        assert.equal(outsider.status, 400);
+        assert.match(outsider.body.message, /Not in the group/);
+    });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DISCONNECT_CODES } = require('./fake-socket');
+const { startTestService, startWebhookReceiver, waitFor } = require('./helpers');
+
+const LINKED = { me: { id: '353861111111:2@s.whatsapp.net' } };
+
+// Disconnect policies, the persisted health state and session.alert webhooks
+describe('session health', () => {
+    let service;
+    let webhooks;
+
+    before(async () => {
+        webhooks = await startWebhookReceiver();
+        service = await startTestService({
+            env: { MAX_RETRIES: '2', WEBHOOK_URL: webhooks.url, DISCONNECT_POLICY: '408=alert' },
+            creds: { paused: LINKED, 'came-back': LINKED },
+            data: {
+                paused: { 'health.json': { state: 'stopped', statusCode: 440, at: '2025-01-01T00:00:00.000Z' } },
+                'came-back': { 'health.json': { state: 'failed', statusCode: 428, at: '2025-01-01T00:00:00.000Z' } }
+            }
+        });
+        await waitFor(async () => (await service.request('GET', '/health/ready')).status === 200);
+    });
+
+    after(() => {
+        webhooks.close();
+        return service.stop();
+    });
+
+    // Link a session and wait for its creds to be saved
+    async function connectWithCreds(userId) {
+        const sock = await service.connect(userId);
+        sock.ev.emit('creds.update', {});
+        const authFolder = path.join(service.root, 'auth_info', userId);
+        await waitFor(() => fs.existsSync(path.join(authFolder, 'creds.json')));
+        return { sock, authFolder };
+    }
+
+    it('retries failed sessions on restart but leaves stopped ones alone', async () => {
+        assert.equal(service.sockets.sockets.length, 1);
+        await service.sockets.sockets[0].play(['open']);
+
+        const [recovered] = await webhooks.waitFor('session.recovered');
+        assert.equal(recovered.userId, 'came-back');
+        assert.equal(recovered.data.previousState, 'failed');
+        assert.equal(JSON.parse(fs.readFileSync(path.join(service.root, 'data', 'came-back', 'health.json'))).state, 'connected');
+
+        // Polling doesn't reconnect a stopped session either
+        const { body } = await service.request('GET', '/status/paused');
+        assert.equal(body.isConnected, false);
+        assert.equal(body.health.state, 'stopped');
+        assert.match(body.message, /stopped/);
+        assert.equal(service.sockets.sockets.length, 1);
+    });
+
+    it('deletes the creds and alerts the user when the device is logged out', async () => {
+        const stream = await service.events('unlinked');
+        const { sock, authFolder } = await connectWithCreds('unlinked');
+        const count = service.sockets.sockets.length;
+
+        await sock.play([{ close: DISCONNECT_CODES.loggedOut }]);
+        const event = await stream.next('logged_out');
+        assert.equal(event.health, 'needs_pairing');
+        stream.close();
+
+        const [alert] = (await webhooks.waitFor('session.alert')).filter(webhook => webhook.userId === 'unlinked');
+        assert.deepEqual([alert.data.state, alert.data.action, alert.data.statusCode, alert.data.credsDeleted], ['needs_pairing', 'repair', 401, true]);
+        assert.equal(alert.data.phoneNumber, '353871234567');
+        await waitFor(() => !fs.existsSync(authFolder));
+
+        const { body } = await service.request('GET', '/status/unlinked');
+        assert.equal(body.health.state, 'needs_pairing');
+        assert.match(body.message, /link your device again/);
+        assert.equal(service.sockets.sockets.length, count);
+
+        // Still listed, so the web app can ask for a new link
+        const { body: accounts } = await service.request('GET', '/accounts/unlinked');
+        assert.deepEqual(accounts.accounts.map(account => [account.accountId, account.hasCredentials, account.health]), [['default', false, 'needs_pairing']]);
+    });
+
+    it('stops fighting over a session another client keeps replacing', async () => {
+        const stream = await service.events('replaced');
+        let { sock, authFolder } = await connectWithCreds('replaced');
+
+        // Each replaced connection reconnects and opens fine - the count survives the opens
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const count = service.sockets.sockets.length;
+            await sock.play([{ close: DISCONNECT_CODES.connectionReplaced }]);
+            assert.equal((await stream.next('reconnecting')).maxRetries, 2);
+            sock = await service.sockets.waitForSocket(count + 1);
+            await sock.play(['open']);
+        }
+
+        const count = service.sockets.sockets.length;
+        await sock.play([{ close: DISCONNECT_CODES.connectionReplaced }]);
+        const stopped = await stream.next('stopped');
+        assert.equal(stopped.health, 'stopped');
+        assert.equal(service.sockets.sockets.length, count);
+        stream.close();
+
+        const [alert] = (await webhooks.waitFor('session.alert', 2)).filter(webhook => webhook.userId === 'replaced');
+        assert.deepEqual([alert.data.state, alert.data.action, alert.data.credsDeleted], ['stopped', 'alert', false]);
+        assert.ok(fs.existsSync(path.join(authFolder, 'creds.json')));
+    });
+
+    it('connects a stopped session again when the user asks', async () => {
+        const sock = await service.connect('replaced');
+        assert.equal(sock.ended, false);
+
+        const { body } = await service.request('GET', '/status/replaced');
+        assert.equal(body.isConnected, true);
+        assert.equal(body.health.state, 'connected');
+
+        const recovered = await webhooks.waitFor('session.recovered', 2);
+        assert.equal(recovered.at(-1).userId, 'replaced');
+    });
+
+    it('applies DISCONNECT_POLICY overrides', async () => {
+        const stream = await service.events('timed-out');
+        const sock = await service.connect('timed-out');
+
+        await sock.play([{ close: DISCONNECT_CODES.timedOut }]);
+        assert.equal((await stream.next('close')).willReconnect, false);
+        assert.equal((await stream.next('stopped')).statusCode, 408);
+        stream.close();
+    });
+
+    it('records sessions that ran out of retries as failed, alerting once', async () => {
+        const stream = await service.events('offline');
+        let sock = await service.connect('offline');
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const count = service.sockets.sockets.length;
+            await sock.play([{ close: DISCONNECT_CODES.connectionLost }]);
+            await stream.next('reconnecting');
+            sock = await service.sockets.waitForSocket(count + 1);
+        }
+        await sock.play([{ close: DISCONNECT_CODES.connectionLost }]);
+        assert.equal((await stream.next('failed')).health, 'failed');
+        stream.close();
+
+        const alerts = () => webhooks.received.filter(webhook => webhook.event === 'session.alert' && webhook.userId === 'offline');
+        await waitFor(() => alerts().length === 1);
+        assert.equal(alerts()[0].data.state, 'failed');
+
+        // Trying again without ever getting through isn't a new problem
+        const count = service.sockets.sockets.length;
+        await service.request('GET', '/qr/offline');
+        sock = await service.sockets.waitForSocket(count + 1);
+        await sock.play([{ close: DISCONNECT_CODES.connectionLost }]);
+        sock = await service.sockets.waitForSocket(count + 2);
+        await sock.play([{ close: DISCONNECT_CODES.connectionLost }]);
+        sock = await service.sockets.waitForSocket(count + 3);
+        await sock.play([{ close: DISCONNECT_CODES.connectionLost }]);
+
+        await waitFor(async () => (await service.request('GET', '/status/offline')).body.health?.state === 'failed');
+        assert.equal(alerts().length, 1);
+    });
+
+    it('forgets the health state on logout', async () => {
+        await service.request('POST', '/logout/offline');
+        assert.equal(fs.existsSync(path.join(service.root, 'data', 'offline', 'health.json')), false);
+
+        const { body } = await service.request('GET', '/status/offline');
+        assert.equal(body.health, null);
+    });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createFakeSocketFactory } = require('./fake-socket');
+
+// Settings that would reach outside the test (webhooks, databases, auth) are cleared unless a test sets them
+const CLEARED_ENV = [
+    'API_KEY', 'ADMIN_API_KEY', 'API_HMAC_SECRET', 'USER_TOKEN_SECRET', 'WEBHOOK_URL', 'WEBHOOK_SECRET',
+    'AUTH_STORE', 'LEASE_STORE', 'ENCRYPTION_MASTER_KEY', 'DEFAULT_PHONE_REGION', 'DATABASE_URL'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until fn returns something truthy
+async function waitFor(fn, timeout = 2000, interval = 10) {
+    const started = Date.now();
+    for (;;) {
+        const result = await fn();
+        if (result) return result;
+        if (Date.now() - started > timeout) {
+            throw new Error(`Condition not met within ${timeout}ms`);
+        }
+        await sleep(interval);
+    }
+}
+
+// Start server.js in this process on a random port, with its own folders and fake sockets
+// server.js reads its settings when it is loaded, so there is one service per test file
+// creds: { [sessionKey]: creds } saved before start, so those sessions are restored
+// data: { [sessionKey]: { [fileName]: json } } written to the session's data folder before start
+// headers: sent with every request (e.g. the API key), unless a request sets them itself
+async function startTestService({ env = {}, script = [], creds = {}, data = {}, headers: defaultHeaders = {} } = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hbdrop-test-'));
+    for (const key of CLEARED_ENV) {
+        delete process.env[key];
+    }
+    Object.assign(process.env, {
+        AUTH_FOLDER: path.join(root, 'auth_info'),
+        DATA_FOLDER: path.join(root, 'data'),
+        MEDIA_FOLDER: path.join(root, 'media'),
+        MEDIA_CACHE_FOLDER: path.join(root, 'media_cache'),
+        LOG_LEVEL: 'silent',
+        QUEUE_SEND_INTERVAL: '1',
+        RECONNECT_DELAY_MS: '10',
+        ...env
+    });
+
+    for (const [sessionKey, saved] of Object.entries(creds)) {
+        fs.mkdirSync(path.join(root, 'auth_info', sessionKey), { recursive: true });
+        fs.writeFileSync(path.join(root, 'auth_info', sessionKey, 'creds.json'), JSON.stringify(saved));
+    }
+    for (const [sessionKey, files] of Object.entries(data)) {
+        fs.mkdirSync(path.join(root, 'data', sessionKey), { recursive: true });
+        for (const [fileName, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(root, 'data', sessionKey, fileName), JSON.stringify(content));
+        }
+    }
+
+    const service = require('../server');
+    const sockets = createFakeSocketFactory({ script });
+    service.setSocketFactory(sockets);
+
+    const server = service.startServer(0);
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON in, { status, body } out
+    async function request(method, url, body, headers = {}) {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...defaultHeaders, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            // Not JSON (e.g. /metrics)
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // Subscribe to /events/:userId; next(type) resolves with the next event of that type
+    async function events(userId, query = '', headers = {}) {
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}/events/${userId}${query}`, { headers: { ...defaultHeaders, ...headers }, signal: controller.signal });
+        const received = [];
+        const waiting = [];
+        const consumed = new Set(); // Indexes already returned by next()
+
+        (async () => {
+            const decoder = new TextDecoder();
+            let buffer = '';
+            try {
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    let end;
+                    while ((end = buffer.indexOf('\n\n')) !== -1) {
+                        const frame = buffer.slice(0, end);
+                        buffer = buffer.slice(end + 2);
+                        const data = frame.split('\n').find(line => line.startsWith('data: '));
+                        if (data) {
+                            received.push(JSON.parse(data.slice(6)));
+                            waiting.splice(0).forEach(wake => wake());
+                        }
+                    }
+                }
+            } catch (err) {
+                // Aborted by close()
+            }
+        })();
+
+        return {
+            status: response.status,
+            received,
+            async next(type, timeout = 2000) {
+                const started = Date.now();
+                for (;;) {
+                    const index = received.findIndex((event, i) => !consumed.has(i) && event.type === type);
+                    if (index !== -1) {
+                        consumed.add(index);
+                        return received[index];
+                    }
+                    if (Date.now() - started > timeout) {
+                        throw new Error(`No "${type}" event within ${timeout}ms (got ${received.map(e => e.type).join(', ')})`);
+                    }
+                    await new Promise(resolve => {
+                        waiting.push(resolve);
+                        setTimeout(resolve, 20);
+                    });
+                }
+            },
+            close: () => controller.abort()
+        };
+    }
+
+    // Open a session for userId and bring it online
+    async function connect(userId, query = '') {
+        const count = sockets.sockets.length;
+        await request('GET', `/qr/${userId}${query}`);
+        const sock = await sockets.waitForSocket(count + 1);
+        await sock.play(['open']);
+
+        const { body } = await request('GET', `/status/${userId}${query}`);
+        if (!body.isConnected) {
+            throw new Error(`${userId} did not connect - is another session still reconnecting?`);
+        }
+        return sock;
+    }
+
+    return {
+        root,
+        baseUrl,
+        sockets,
+        request,
+        events,
+        connect,
+        stop: () => service.stopService()
+    };
+}
+
+// Collects the service's webhooks; pass url as WEBHOOK_URL
+async function startWebhookReceiver() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    server.listen(0);
+    await once(server, 'listening');
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/webhooks`,
+        received,
+        // Webhooks of one type, waiting until there are at least count of them
+        async waitFor(event, count = 1) {
+            return waitFor(() => {
+                const matching = received.filter(webhook => webhook.event === event);
+                return matching.length >= count && matching;
+            });
+        },
+        close: () => server.close()
+    };
+}
+
+module.exports = {
+    sleep,
+    waitFor,
+    startTestService,
+    startWebhookReceiver
+};
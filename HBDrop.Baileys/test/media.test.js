@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { startTestService, waitFor } = require('./helpers');
+
+const MAX_MEDIA_BYTES = 1000;
+const MEDIA_CACHE_MAX_BYTES = 1500;
+
+// Stands in for ffmpeg: writes "mp4:" and the input to the output file (the last argument)
+const FAKE_FFMPEG = `#!/bin/sh
+while [ $# -gt 1 ]; do
+    if [ "$1" = "-i" ]; then input="$2"; fi
+    shift
+done
+{ printf 'mp4:'; cat "$input"; } > "$1"
+`;
+
+// Media attachments: local files, base64, downloads with their cache and .gif conversion for gifUrl
+describe('media', () => {
+    let service;
+    let sock;
+    let server;
+    let baseUrl;
+    const downloads = [];
+
+    const send = (body) => service.request('POST', '/send/sender', { phone: '+353899548661', ...body });
+    const cacheSize = () => fs.readdirSync(path.join(service.root, 'media_cache'))
+        .reduce((sum, name) => sum + fs.statSync(path.join(service.root, 'media_cache', name)).size, 0);
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            downloads.push(req.url);
+            if (req.url === '/cake.gif') {
+                res.writeHead(200, { 'Content-Type': 'image/gif' });
+                return res.end('GIF89a-cake');
+            }
+            if (req.url === '/redirect.jpg') {
+                res.writeHead(302, { Location: `http://127.0.0.1:${server.address().port}/secret.jpg` });
+                return res.end();
+            }
+            if (req.url === '/huge.jpg') {
+                // Chunked, so there is no Content-Length to check up front
+                res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+                for (let i = 0; i < 5; i++) {
+                    res.write(Buffer.alloc(400));
+                }
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end(Buffer.alloc(400, req.url));
+        });
+        server.listen(0);
+        await once(server, 'listening');
+        // Downloads from private addresses are refused, so the test server is reached as an allowed host
+        baseUrl = `http://localhost:${server.address().port}`;
+
+        const tools = fs.mkdtempSync(path.join(os.tmpdir(), 'hbdrop-tools-'));
+        fs.writeFileSync(path.join(tools, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+
+        service = await startTestService({
+            env: {
+                MAX_MEDIA_BYTES: String(MAX_MEDIA_BYTES),
+                MEDIA_CACHE_MAX_BYTES: String(MEDIA_CACHE_MAX_BYTES),
+                FFMPEG_PATH: path.join(tools, 'ffmpeg'),
+                QUEUE_RETRY_DELAY_MS: '50',
+                MEDIA_ALLOWED_HOSTS: 'localhost'
+            }
+        });
+        sock = await service.connect('sender');
+    });
+
+    after(async () => {
+        await service.stop();
+        server.close();
+    });
+
+    it('sends a file from the media folder with the message as caption', async () => {
+        fs.mkdirSync(path.join(service.root, 'media'), { recursive: true });
+        fs.writeFileSync(path.join(service.root, 'media', 'cake.png'), 'png-bytes');
+
+        const { status, body } = await send({ message: 'Happy birthday!', media: { type: 'image', path: 'cake.png' } });
+        assert.equal(status, 200);
+        assert.equal(body.mediaSent, true);
+
+        const { content } = sock.sent.at(-1);
+        assert.equal(content.image.toString(), 'png-bytes');
+        assert.equal(content.mimetype, 'image/png');
+        assert.equal(content.caption, 'Happy birthday!');
+    });
+
+    it('sends the media only once when the text after it failed', async () => {
+        const { sendMessage } = sock;
+        let failText = true;
+        sock.sendMessage = async (jid, content, options) => {
+            if (content.text && failText) {
+                failText = false;
+                throw new Error('Connection Closed');
+            }
+            return sendMessage(jid, content, options);
+        };
+
+        const count = sock.sent.length;
+        const data = `data:audio/mpeg;base64,${Buffer.from('mp3-bytes').toString('base64')}`;
+        const { status, body } = await send({ message: 'Listen to this!', media: { type: 'audio', data } });
+        assert.equal(status, 202);
+
+        const job = await waitFor(async () => (await service.request('GET', '/queue/sender')).body.sent.find(sent => sent.id === body.jobId));
+        sock.sendMessage = sendMessage;
+        assert.equal(job.attempts, 2);
+        assert.deepEqual(sock.sent.slice(count).map(({ content }) => content.text || content.mimetype), ['audio/mpeg', 'Listen to this!']);
+        assert.equal(job.result.messageIds.length, 2);
+
+        // Both parts are in the outbox
+        for (const messageId of job.result.messageIds) {
+            assert.equal((await service.request('GET', `/messages/sender/${messageId}/status`)).status, 200);
+        }
+    });
+
+    it('keeps media paths inside the media folder', async () => {
+        const { body } = await send({ message: 'Hi', media: { type: 'image', path: '../auth_info/creds.json' } });
+        assert.equal(body.mediaSent, false);
+        assert.match(body.mediaError, /inside the media folder/);
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'Hi' });
+    });
+
+    it('sends base64 data URLs', async () => {
+        const data = `data:image/jpeg;base64,${Buffer.from('jpeg-bytes').toString('base64')}`;
+        await send({ media: { type: 'image', data } });
+        assert.equal(sock.sent.at(-1).content.image.toString(), 'jpeg-bytes');
+    });
+
+    it('converts a .gif from gifUrl to an MP4 played as a GIF', async () => {
+        const { body } = await send({ message: 'Cake!', gifUrl: `${baseUrl}/cake.gif` });
+        assert.equal(body.mediaSent, true);
+
+        const { content } = sock.sent.at(-1);
+        assert.equal(content.video.toString(), 'mp4:GIF89a-cake');
+        assert.equal(content.mimetype, 'video/mp4');
+        assert.equal(content.gifPlayback, true);
+        assert.equal(content.caption, 'Cake!');
+
+        // The download and the conversion are cached
+        await send({ gifUrl: `${baseUrl}/cake.gif` });
+        assert.equal(downloads.filter(url => url === '/cake.gif').length, 1);
+        assert.equal(sock.sent.at(-1).content.video.toString(), 'mp4:GIF89a-cake');
+    });
+
+    it('stops downloads over the size limit without a Content-Length', async () => {
+        const { body } = await send({ message: 'Hi', media: { type: 'image', url: `${baseUrl}/huge.jpg` } });
+        assert.equal(body.mediaSent, false);
+        assert.match(body.mediaError, /too large/);
+    });
+
+    it('refuses downloads from private addresses, also after a redirect', async () => {
+        const port = server.address().port;
+        for (const url of [`http://127.0.0.1:${port}/one.jpg`, 'http://169.254.169.254/latest/meta-data', `http://[::1]:${port}/one.jpg`]) {
+            const { body } = await send({ message: 'Hi', media: { type: 'image', url } });
+            assert.equal(body.mediaSent, false, url);
+            assert.match(body.mediaError, /private or local address/);
+        }
+
+        const { body } = await send({ message: 'Hi', media: { type: 'image', url: `${baseUrl}/redirect.jpg` } });
+        assert.equal(body.mediaSent, false);
+        assert.match(body.mediaError, /127\.0\.0\.1 is a private or local address/);
+        assert.ok(downloads.includes('/redirect.jpg'));
+        assert.ok(!downloads.includes('/secret.jpg'));
+        assert.ok(!downloads.includes('/one.jpg'));
+    });
+
+    it('keeps the cache under its size cap, dropping the least recently used media', async () => {
+        for (const name of ['one', 'two', 'three', 'four']) {
+            await send({ media: { type: 'image', url: `${baseUrl}/${name}.jpg` } });
+        }
+        assert.ok(cacheSize() <= MEDIA_CACHE_MAX_BYTES, `cache is ${cacheSize()} bytes`);
+
+        // The newest download is still cached, the oldest is fetched again
+        await send({ media: { type: 'image', url: `${baseUrl}/four.jpg` } });
+        await send({ media: { type: 'image', url: `${baseUrl}/one.jpg` } });
+        assert.equal(downloads.filter(url => url === '/four.jpg').length, 1);
+        assert.equal(downloads.filter(url => url === '/one.jpg').length, 2);
+    });
+});
@@ -0,0 +1,286 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService, waitFor } = require('./helpers');
+
+// A schedule whose job was sent just before a restart, and a send that failed for good
+const plannerSchedule = (id, jobId) => ({
+    id, payload: { phone: '+353899548661', message: 'Later' }, sendAt: Date.parse('2025-03-14T09:00:00Z'), timezone: 'UTC',
+    missedPolicy: 'window', missedWindowHours: 12, status: 'queued', jobId, reason: null, createdAt: '2025-03-01T09:00:00.000Z'
+});
+const plannerData = {
+    'schedules.json': { schedules: [plannerSchedule('s-sent', 'j-sent'), plannerSchedule('s-failed', 'j-failed')] },
+    'queue.json': {
+        jobs: [
+            { id: 'j-sent', status: 'sent', sentAt: '2025-03-14T09:00:02.000Z', result: { messageId: 'M-1' } },
+            { id: 'j-failed', status: 'failed', lastError: 'Not on WhatsApp' }
+        ]
+    }
+};
+
+// Sending through the queue: /send, /react, receipts, schedules, broadcasts, number checks and settings
+describe('messaging', () => {
+    let service;
+    let sock;
+
+    before(async () => {
+        // "offline" has creds but no session (not linked yet, so it isn't restored on startup)
+        service = await startTestService({ data: { planner: plannerData }, creds: { offline: { registered: false } } });
+        sock = await service.connect('sender');
+    });
+
+    after(() => service.stop());
+
+    it('validates the send payload', async () => {
+        const noPhone = await service.request('POST', '/send/sender', { message: 'Hi' });
+        assert.equal(noPhone.status, 400);
+
+        const badNumber = await service.request('POST', '/send/sender', { phone: '12', message: 'Hi' });
+        assert.equal(badNumber.status, 400);
+
+        const badType = await service.request('POST', '/send/sender', { phone: '+353899548661', type: 'sticker' });
+        assert.equal(badType.status, 400);
+    });
+
+    it('refuses to send for users that never linked WhatsApp', async () => {
+        const { status, body } = await service.request('POST', '/send/stranger', { phone: '+353899548661', message: 'Hi' });
+        assert.equal(status, 400);
+        assert.match(body.message, /not connected/);
+    });
+
+    it('sends a text message to a normalized number', async () => {
+        const { status, body } = await service.request('POST', '/send/sender', { phone: '+353 89 954 8661', message: 'Happy birthday!' });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.ok(body.messageId);
+
+        assert.deepEqual(sock.sent.at(-1).jid, '353899548661@s.whatsapp.net');
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'Happy birthday!' });
+    });
+
+    it('sends once per idempotency key', async () => {
+        const headers = { 'Idempotency-Key': 'birthday-2025' };
+        const first = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Once' }, headers);
+        const count = sock.sent.length;
+        const second = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Once' }, headers);
+
+        assert.equal(second.body.jobId, first.body.jobId);
+        assert.equal(sock.sent.length, count);
+    });
+
+    it('queues parallel retries with the same idempotency key once', async () => {
+        const headers = { 'Idempotency-Key': 'birthday-offline' };
+        const send = () => service.request('POST', '/send/offline', { phone: '+353899548661', message: 'Once' }, headers);
+        const [first, second] = await Promise.all([send(), send()]);
+
+        assert.deepEqual([first.status, second.status], [202, 202]);
+        assert.equal(second.body.jobId, first.body.jobId);
+        const { body } = await service.request('GET', '/queue/offline');
+        assert.equal(body.pending.length, 1);
+    });
+
+    it('sends polls and replies', async () => {
+        const poll = await service.request('POST', '/send/sender', {
+            phone: '+353899548661',
+            type: 'poll',
+            poll: { name: 'Cake?', options: ['Chocolate', 'Lemon'] }
+        });
+        assert.equal(poll.status, 200);
+        assert.deepEqual(sock.sent.at(-1).content.poll, { name: 'Cake?', values: ['Chocolate', 'Lemon'], selectableCount: 1 });
+
+        const reply = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Thanks!', replyTo: poll.body.messageId });
+        assert.equal(reply.status, 200);
+        assert.equal(sock.sent.at(-1).options.quoted.key.id, poll.body.messageId);
+    });
+
+    it('tracks delivery receipts for sent messages', async () => {
+        const { body: sent } = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Track me' });
+
+        let { status, body } = await service.request('GET', `/messages/sender/${sent.messageId}/status`);
+        assert.equal(status, 200);
+        assert.equal(body.status, 'sent');
+
+        sock.ev.emit('messages.update', [{ key: { id: sent.messageId, fromMe: true }, update: { status: 4 } }]);
+        ({ body } = await service.request('GET', `/messages/sender/${sent.messageId}/status`));
+        assert.equal(body.status, 'read');
+        assert.ok(body.readAt);
+
+        const missing = await service.request('GET', '/messages/sender/nope/status');
+        assert.equal(missing.status, 404);
+    });
+
+    it('records a delivery error after the send, but not after delivery', async () => {
+        const status = async (messageId) => (await service.request('GET', `/messages/sender/${messageId}/status`)).body.status;
+        const receipt = (messageId, code) => sock.ev.emit('messages.update', [{ key: { id: messageId, fromMe: true }, update: { status: code } }]);
+
+        const { body: failed } = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Lost' });
+        receipt(failed.messageId, 2);
+        receipt(failed.messageId, 0);
+        assert.equal(await status(failed.messageId), 'error');
+
+        // Final - a late receipt doesn't bring it back
+        receipt(failed.messageId, 3);
+        assert.equal(await status(failed.messageId), 'error');
+
+        const { body: delivered } = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Arrived' });
+        receipt(delivered.messageId, 3);
+        receipt(delivered.messageId, 0);
+        assert.equal(await status(delivered.messageId), 'delivered');
+    });
+
+    it('reacts to a sent message', async () => {
+        const { body: sent } = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'React to me' });
+
+        const { status } = await service.request('POST', '/react/sender', { messageId: sent.messageId, emoji: '🎉' });
+        assert.equal(status, 200);
+        assert.deepEqual(sock.sent.at(-1).content.react, { text: '🎉', key: sent.messageKey });
+
+        const unknown = await service.request('POST', '/react/sender', { messageId: 'nope', emoji: '🎉' });
+        assert.equal(unknown.status, 400);
+        const noEmoji = await service.request('POST', '/react/sender', { messageId: sent.messageId });
+        assert.equal(noEmoji.status, 400);
+
+        for (const emoji of ['👍🏽', '❤', '❤️', '🇮🇪', '👨‍👩‍👧']) {
+            assert.equal((await service.request('POST', '/react/sender', { messageId: sent.messageId, emoji })).status, 200, emoji);
+        }
+        for (const emoji of ['ok', '🎉🎉', '🎉!', ' ']) {
+            assert.equal((await service.request('POST', '/react/sender', { messageId: sent.messageId, emoji })).status, 400, emoji);
+        }
+
+        // An empty emoji removes the reaction
+        assert.equal((await service.request('POST', '/react/sender', { messageId: sent.messageId, emoji: '' })).status, 200);
+        assert.equal(sock.sent.at(-1).content.react.text, '');
+    });
+
+    it('lists the outbound queue', async () => {
+        const { status, body } = await service.request('GET', '/queue/sender');
+        assert.equal(status, 200);
+        assert.ok(body.sent.length >= 5);
+        assert.ok(body.sent.every(job => job.status === 'sent'));
+        assert.deepEqual(body.pending, []);
+    });
+
+    it('schedules, lists and cancels messages', async () => {
+        const invalidZone = await service.request('POST', '/schedule/sender', {
+            phone: '+353899548661', message: 'Later', sendAt: '2099-01-01T09:00:00', timezone: 'Mars/Olympus'
+        });
+        assert.equal(invalidZone.status, 400);
+
+        const { status, body } = await service.request('POST', '/schedule/sender', {
+            phone: '+353899548661', message: 'Later', sendAt: '2099-01-01T09:00:00', timezone: 'Europe/Dublin'
+        });
+        assert.equal(status, 200);
+        assert.equal(body.schedule.status, 'scheduled');
+        assert.equal(body.schedule.sendAt, '2099-01-01T09:00:00.000Z');
+
+        const list = await service.request('GET', '/schedule/sender?status=scheduled');
+        assert.deepEqual(list.body.schedules.map(schedule => schedule.id), [body.schedule.id]);
+
+        const cancelled = await service.request('DELETE', `/schedule/sender/${body.schedule.id}`);
+        assert.equal(cancelled.body.schedule.status, 'cancelled');
+        assert.equal((await service.request('DELETE', `/schedule/sender/${body.schedule.id}`)).status, 409);
+        assert.equal((await service.request('DELETE', '/schedule/sender/nope')).status, 404);
+    });
+
+    it('accepts 0 for missedWindowHours, but not a negative number', async () => {
+        const schedule = (missedWindowHours) => service.request('POST', '/schedule/sender', {
+            phone: '+353899548661', message: 'Later', sendAt: '2099-01-01T09:00:00Z', missedWindowHours
+        });
+        const zero = await schedule(0);
+        assert.equal(zero.status, 200);
+        assert.equal(zero.body.schedule.missedWindowHours, 0);
+        await service.request('DELETE', `/schedule/sender/${zero.body.schedule.id}`);
+
+        const negative = await schedule(-1);
+        assert.equal(negative.status, 400);
+        assert.match(negative.body.message, /missedWindowHours/);
+    });
+
+    it('takes the status of a queued schedule from its job', async () => {
+        const { body } = await service.request('GET', '/schedule/planner');
+        const [sent, failed] = body.schedules;
+        assert.deepEqual([sent.status, sent.messageId, sent.sentAt], ['sent', 'M-1', '2025-03-14T09:00:02.000Z']);
+        assert.deepEqual([failed.status, failed.reason], ['failed', 'Not on WhatsApp']);
+    });
+
+    it('broadcasts a template to every valid recipient', async () => {
+        const count = sock.sent.length;
+        const { status, body } = await service.request('POST', '/broadcast/sender', {
+            template: 'Happy birthday {{ name | friend }}!',
+            minDelaySeconds: 0,
+            maxDelaySeconds: 0.01,
+            recipients: [
+                { phone: '+353871000001', variables: { name: 'Ann' } },
+                { phone: '+353871000002' },
+                { phone: 'not a number' }
+            ]
+        });
+        assert.equal(status, 202);
+        assert.equal(body.batch.progress.invalid, 1);
+
+        const done = await waitFor(async () => {
+            const response = await service.request('GET', `/broadcast/sender/${body.batch.id}`);
+            return response.body.batch.status === 'completed' && response.body.batch;
+        });
+        assert.equal(done.progress.sent, 2);
+        assert.deepEqual(sock.sent.slice(count).map(sent => sent.content.text), ['Happy birthday Ann!', 'Happy birthday friend!']);
+
+        const list = await service.request('GET', '/broadcast/sender');
+        assert.deepEqual(list.body.batches.map(batch => batch.id), [body.batch.id]);
+        assert.equal((await service.request('DELETE', `/broadcast/sender/${body.batch.id}`)).status, 409);
+
+        const noneValid = await service.request('POST', '/broadcast/sender', { template: 'Hi', recipients: [{ phone: 'x' }] });
+        assert.equal(noneValid.status, 400);
+    });
+
+    it('cancels a running broadcast', async () => {
+        const { body } = await service.request('POST', '/broadcast/sender', {
+            template: 'Hi',
+            minDelaySeconds: 60,
+            maxDelaySeconds: 60,
+            recipients: [{ phone: '+353871000003' }, { phone: '+353871000004' }]
+        });
+        await waitFor(async () => (await service.request('GET', `/broadcast/sender/${body.batch.id}`)).body.batch.progress.sent === 1);
+
+        const { status, body: cancelled } = await service.request('DELETE', `/broadcast/sender/${body.batch.id}`);
+        assert.equal(status, 200);
+        assert.equal(cancelled.batch.status, 'cancelled');
+        assert.equal(cancelled.batch.progress.cancelled, 1);
+    });
+
+    it('checks which numbers are on WhatsApp', async () => {
+        sock.registeredNumbers = ['353899548661'];
+        const { status, body } = await service.request('POST', '/check/sender', { phones: ['+353899548661', '+353871234000', 'abc'] });
+        sock.registeredNumbers = null;
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(result => [result.input, result.valid, result.exists]), [
+            ['+353899548661', true, true],
+            ['+353871234000', true, false],
+            ['abc', false, undefined]
+        ]);
+        assert.equal((await service.request('POST', '/check/sender', { phones: [] })).status, 400);
+    });
+
+    it('uses the default region from the user settings for national numbers', async () => {
+        assert.equal((await service.request('PUT', '/settings/sender', { defaultRegion: 'XX' })).status, 400);
+
+        const { body } = await service.request('PUT', '/settings/sender', { defaultRegion: 'ie' });
+        assert.equal(body.settings.defaultRegion, 'IE');
+        assert.equal((await service.request('GET', '/settings/sender')).body.effectiveRegion, 'IE');
+
+        const sent = await service.request('POST', '/send/sender', { phone: '089 954 8661', message: 'National' });
+        assert.equal(sent.status, 200);
+        assert.equal(sock.sent.at(-1).jid, '353899548661@s.whatsapp.net');
+    });
+
+    it('queues a failed send for a retry', async () => {
+        sock.failNextSend = new Error('Connection Closed');
+        const { status, body } = await service.request('POST', '/send/sender', { phone: '+353899548661', message: 'Retry me' });
+        assert.equal(status, 202);
+        assert.equal(body.queued, true);
+        assert.match(body.message, /will retry: Connection Closed/);
+
+        const queue = await service.request('GET', '/queue/sender');
+        assert.deepEqual(queue.body.pending.map(job => [job.id, job.attempts]), [[body.jobId, 1]]);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService, waitFor } = require('./helpers');
+
+const ANN = '353899548661@s.whatsapp.net';
+
+// Natural sending (read receipts, typing presence and random pauses) and daily send caps
+describe('natural sending', () => {
+    let service;
+    let sock;
+
+    const receive = (id, text) => sock.ev.emit('messages.upsert', {
+        type: 'notify',
+        messages: [{ key: { id, remoteJid: ANN, fromMe: false }, pushName: 'Ann', message: { conversation: text }, messageTimestamp: Math.floor(Date.now() / 1000) }]
+    });
+
+    before(async () => {
+        service = await startTestService();
+        sock = await service.connect('human');
+    });
+
+    after(() => service.stop());
+
+    it('validates the sending settings', async () => {
+        const { body } = await service.request('GET', '/settings/human');
+        assert.deepEqual(body.effectiveSending, { naturalSend: false, minDelaySeconds: 3, maxDelaySeconds: 12, dailySendCap: 0, timezone: 'UTC' });
+
+        assert.equal((await service.request('PUT', '/settings/human', { naturalSend: 'yes' })).status, 400);
+        assert.equal((await service.request('PUT', '/settings/human', { minDelaySeconds: -1 })).status, 400);
+        assert.equal((await service.request('PUT', '/settings/human', { dailySendCap: 1.5 })).status, 400);
+        assert.equal((await service.request('PUT', '/settings/human', { timezone: 'Nowhere' })).status, 400);
+
+        const inverted = await service.request('PUT', '/settings/human', { minDelaySeconds: 20 });
+        assert.match(inverted.body.message, /must not be more than maxDelaySeconds/);
+    });
+
+    it('sends straight away unless natural sending is on', async () => {
+        await service.request('POST', '/send/human', { phone: '+353899548661', message: 'Happy birthday!' });
+        assert.deepEqual(sock.presenceUpdates, []);
+    });
+
+    it('reads the chat, types and pauses before sending', async () => {
+        const { body: settings } = await service.request('PUT', '/settings/human', { naturalSend: true, minDelaySeconds: 0, maxDelaySeconds: 0 });
+        assert.equal(settings.settings.naturalSend, true);
+
+        receive('IN1', 'Thank you!');
+        await waitFor(async () => (await service.request('GET', '/inbox/human')).body.messages.length === 1);
+
+        const started = Date.now();
+        const { status } = await service.request('POST', '/send/human', { phone: '+353899548661', message: 'You are welcome' });
+        assert.equal(status, 200);
+        assert.ok(Date.now() - started >= 1000);
+
+        assert.deepEqual(sock.readMessagesCalls.at(-1), [{ remoteJid: ANN, id: 'IN1', fromMe: false }]);
+        assert.deepEqual(sock.presenceSubscriptions, [ANN]);
+        assert.deepEqual(sock.presenceUpdates.map(update => update.type), ['available', 'composing', 'paused', 'unavailable']);
+        assert.equal(sock.presenceUpdates[1].jid, ANN);
+
+        const { body } = await service.request('GET', '/inbox/human');
+        assert.ok(body.messages[0].readAt);
+    });
+
+    it('lets a send opt out, and never delays reactions', async () => {
+        const count = sock.presenceUpdates.length;
+        const { body } = await service.request('POST', '/send/human', { phone: '+353899548661', message: 'Quick one', natural: false });
+        await service.request('POST', '/react/human', { messageId: body.messageId, emoji: '🎉' });
+        assert.equal(sock.presenceUpdates.length, count);
+
+        const invalid = await service.request('POST', '/send/human', { phone: '+353899548661', message: 'Hi', natural: 'sometimes' });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('holds sends over the daily cap until midnight', async () => {
+        await service.request('PUT', '/settings/human', { naturalSend: false, dailySendCap: 4, timezone: 'Europe/Dublin' });
+        // Three messages went out already today
+        assert.equal((await service.request('POST', '/send/human', { phone: '+353899548661', message: 'Fourth' })).status, 200);
+
+        const count = sock.sent.length;
+        const { status, body } = await service.request('POST', '/send/human', { phone: '+353899548661', message: 'Fifth' });
+        assert.equal(status, 202);
+        assert.match(body.message, /Daily send cap of 4 reached/);
+        assert.equal(sock.sent.length, count);
+
+        const { body: queue } = await service.request('GET', '/queue/human');
+        const job = queue.pending.find(j => j.id === body.jobId);
+        assert.equal(job.status, 'pending');
+        assert.equal(job.attempts, 0);
+        assert.ok(Date.parse(job.nextAttemptAt) > Date.now());
+
+        // Reactions don't count
+        const reaction = await service.request('POST', '/react/human', { messageId: 'IN1', emoji: '❤️' });
+        assert.equal(reaction.status, 200);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService } = require('./helpers');
+
+const ANN = '353899548661@s.whatsapp.net';
+const BOB = '353899548662@s.whatsapp.net';
+
+// A message from before the outbox and one too old to edit
+const OLD_MESSAGES = {
+    messages: {
+        LEGACY: { messageId: 'LEGACY', remoteJid: ANN, text: 'Old', status: 'read', sentAt: new Date().toISOString(), participants: {} },
+        STALE: {
+            messageId: 'STALE',
+            remoteJid: ANN,
+            key: { id: 'STALE', remoteJid: ANN, fromMe: true },
+            text: 'Yesterday',
+            content: { message: 'Yesterday' },
+            status: 'read',
+            sentAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+            participants: {}
+        }
+    }
+};
+
+// Editing, deleting for everyone and resending messages from the outbox
+describe('outbox', () => {
+    let service;
+    let sock;
+
+    const send = async (body) => (await service.request('POST', '/send/editor', { phone: '+353899548661', ...body })).body;
+    const getRecord = async (messageId) => (await service.request('GET', `/messages/editor/${messageId}/status`)).body;
+
+    before(async () => {
+        service = await startTestService({ data: { editor: { 'messages.json': OLD_MESSAGES } } });
+        sock = await service.connect('editor');
+    });
+
+    after(() => service.stop());
+
+    it('keeps the key and content of sent messages', async () => {
+        const sent = await send({ message: 'Happy birthday Bob!' });
+        const record = await getRecord(sent.messageId);
+        assert.deepEqual(record.key, sent.messageKey);
+        assert.deepEqual(record.content, { message: 'Happy birthday Bob!' });
+        assert.equal(record.editedAt, null);
+    });
+
+    it('edits the text of a message', async () => {
+        const sent = await send({ message: 'Happy birthday Ane!' });
+        const { status, body } = await service.request('PATCH', `/messages/editor/${sent.messageId}`, { message: 'Happy birthday Ann!' });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+
+        assert.equal(sock.sent.at(-1).jid, ANN);
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'Happy birthday Ann!', edit: sent.messageKey });
+
+        const record = await getRecord(sent.messageId);
+        assert.equal(record.text, 'Happy birthday Ann!');
+        assert.equal(record.content.message, 'Happy birthday Ann!');
+        assert.ok(record.editedAt);
+    });
+
+    it('only edits recent text messages', async () => {
+        const poll = await send({ type: 'poll', poll: { name: 'Cake?', options: ['Yes', 'No'] } });
+        const count = sock.sent.length;
+
+        assert.equal((await service.request('PATCH', '/messages/editor/nope', { message: 'Hi' })).status, 404);
+        assert.equal((await service.request('PATCH', `/messages/editor/${poll.messageId}`, { message: '' })).status, 400);
+        assert.equal((await service.request('PATCH', `/messages/editor/${poll.messageId}`, { message: 'Pie?' })).status, 409);
+
+        const stale = await service.request('PATCH', '/messages/editor/STALE', { message: 'Today' });
+        assert.equal(stale.status, 409);
+        assert.match(stale.body.message, /15 minutes/);
+        assert.equal(sock.sent.length, count);
+    });
+
+    it('deletes a message for everyone', async () => {
+        const sent = await send({ message: 'Wrong chat' });
+        const { status } = await service.request('DELETE', `/messages/editor/${sent.messageId}`);
+        assert.equal(status, 200);
+        assert.deepEqual(sock.sent.at(-1).content, { delete: sent.messageKey });
+        assert.ok((await getRecord(sent.messageId)).deletedAt);
+
+        // Works for messages tracked before the outbox kept keys too
+        await service.request('DELETE', '/messages/editor/LEGACY');
+        assert.deepEqual(sock.sent.at(-1).content, { delete: { remoteJid: ANN, id: 'LEGACY', fromMe: true } });
+
+        assert.equal((await service.request('DELETE', `/messages/editor/${sent.messageId}`)).status, 409);
+        assert.equal((await service.request('PATCH', `/messages/editor/${sent.messageId}`, { message: 'Hi' })).status, 409);
+        assert.equal((await service.request('DELETE', '/messages/editor/nope')).status, 404);
+    });
+
+    it('resends the original content to another recipient', async () => {
+        const sent = await send({ message: 'Surprise party at 8!' });
+        const { status, body } = await service.request('POST', `/messages/editor/${sent.messageId}/resend`, { phone: '+353 89 954 8662' });
+        assert.equal(status, 200);
+        assert.notEqual(body.messageId, sent.messageId);
+
+        assert.equal(sock.sent.at(-1).jid, BOB);
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'Surprise party at 8!' });
+        assert.equal((await getRecord(body.messageId)).resendOf, sent.messageId);
+
+        const poll = await send({ type: 'poll', poll: { name: 'Cake?', options: ['Yes', 'No'] } });
+        await service.request('POST', `/messages/editor/${poll.messageId}/resend`, { phone: '+353899548662' });
+        assert.deepEqual(sock.sent.at(-1).content.poll, { name: 'Cake?', values: ['Yes', 'No'], selectableCount: 1 });
+    });
+
+    it('validates resends', async () => {
+        const sent = await send({ message: 'Hi' });
+        assert.equal((await service.request('POST', `/messages/editor/${sent.messageId}/resend`, {})).status, 400);
+        assert.equal((await service.request('POST', `/messages/editor/${sent.messageId}/resend`, { phone: '12' })).status, 400);
+        assert.equal((await service.request('POST', '/messages/editor/nope/resend', { phone: '+353899548662' })).status, 404);
+
+        const legacy = await service.request('POST', '/messages/editor/LEGACY/resend', { phone: '+353899548662' });
+        assert.equal(legacy.status, 409);
+    });
+});
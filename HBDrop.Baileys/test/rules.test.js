@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestService, waitFor } = require('./helpers');
+
+const ANN = '353899548661@s.whatsapp.net';
+
+// Incoming replies (/inbox) and the auto-reply rules that answer them
+describe('inbox and rules', () => {
+    let service;
+    let sock;
+    let greeting;
+
+    const receive = (id, remoteJid, message) => sock.ev.emit('messages.upsert', {
+        type: 'notify',
+        messages: [{ key: { id, remoteJid, fromMe: false }, pushName: 'Ann', message, messageTimestamp: Math.floor(Date.now() / 1000) }]
+    });
+
+    before(async () => {
+        service = await startTestService();
+        sock = await service.connect('replier');
+        ({ body: greeting } = await service.request('POST', '/send/replier', { phone: '+353899548661', message: 'Happy birthday!' }));
+    });
+
+    after(() => service.stop());
+
+    it('validates rules', async () => {
+        const noActions = await service.request('POST', '/rules/replier', { name: 'Empty', actions: [] });
+        assert.equal(noActions.status, 400);
+
+        const badAction = await service.request('POST', '/rules/replier', { name: 'Shout', actions: [{ type: 'shout' }] });
+        assert.match(badAction.body.message, /action type must be one of/);
+
+        const badRegex = await service.request('POST', '/rules/replier', { name: 'Regex', match: { regex: '(' }, actions: [{ type: 'read' }] });
+        assert.match(badRegex.body.message, /match.regex is invalid/);
+
+        for (const regex of ['(a+)+$', '^(\\w*,)*x', '(.{2,})*y', '(a)\\1']) {
+            const unsafe = await service.request('POST', '/rules/replier', { name: 'Slow', match: { regex }, actions: [{ type: 'read' }] });
+            assert.match(unsafe.body.message, /take too long/, regex);
+        }
+
+        const badZone = await service.request('POST', '/rules/replier', {
+            name: 'Night', conditions: { timeWindow: { start: '22:00', end: '06:00', timezone: 'Nowhere' } }, actions: [{ type: 'read' }]
+        });
+        assert.equal(badZone.status, 400);
+
+        for (const [start, end] of [['24:00', '06:00'], ['22:00', '06:60'], ['9:00', '17:00']]) {
+            const badTime = await service.request('POST', '/rules/replier', {
+                name: 'Night', conditions: { timeWindow: { start, end } }, actions: [{ type: 'read' }]
+            });
+            assert.equal(badTime.status, 400, `${start}-${end}`);
+            assert.match(badTime.body.message, /"HH:MM"/);
+        }
+    });
+
+    it('creates and reads a rule', async () => {
+        const { status, body } = await service.request('POST', '/rules/replier', {
+            name: 'Thanks',
+            match: { keywords: ['thank', 'grazie'] },
+            conditions: { afterOurMessage: { withinHours: 48 } },
+            actions: [{ type: 'react', emoji: '❤️' }, { type: 'reply', message: 'You are welcome!' }, { type: 'read' }]
+        });
+        assert.equal(status, 200);
+        assert.equal(body.rule.enabled, true);
+        assert.equal(body.rule.triggerCount, 0);
+
+        const { body: fetched } = await service.request('GET', `/rules/replier/${body.rule.id}`);
+        assert.deepEqual(fetched.rule, body.rule);
+        assert.equal((await service.request('GET', '/rules/replier/nope')).status, 404);
+    });
+
+    it('ignores chats we never sent to', async () => {
+        receive('STRANGER', '353870000000@s.whatsapp.net', { conversation: 'thanks' });
+        const { body } = await service.request('GET', '/inbox/replier');
+        assert.deepEqual(body.messages, []);
+    });
+
+    it('keeps replies and runs the first matching rule once per cooldown', async () => {
+        const count = sock.sent.length;
+        receive('IN1', ANN, { extendedTextMessage: { text: 'Thank you so much!', contextInfo: { stanzaId: greeting.messageId } } });
+        await waitFor(() => sock.sent.length === count + 2);
+
+        const [reaction, reply] = sock.sent.slice(count);
+        assert.deepEqual(reaction.content.react, { text: '❤️', key: { id: 'IN1', remoteJid: ANN, fromMe: false } });
+        assert.equal(reply.content.text, 'You are welcome!');
+        assert.equal(reply.options.quoted.key.id, 'IN1');
+        assert.equal(sock.readMessagesCalls.length, 1);
+
+        // Same chat again within the cooldown: stored, but no second reply
+        receive('IN2', ANN, { conversation: 'thanks again' });
+        const { body } = await waitFor(async () => {
+            const response = await service.request('GET', '/inbox/replier');
+            return response.body.messages.length === 2 && response;
+        });
+        assert.deepEqual(body.messages.map(message => [message.messageId, message.ruleId !== null]), [['IN2', false], ['IN1', true]]);
+        assert.equal(body.messages[1].inReplyTo, greeting.messageId);
+        assert.equal(sock.sent.length, count + 2);
+
+        const { body: rules } = await service.request('GET', '/rules/replier');
+        assert.equal(rules.rules[0].triggerCount, 1);
+        assert.ok(rules.rules[0].lastTriggeredAt);
+    });
+
+    it('filters the inbox by chat', async () => {
+        const { body } = await service.request('GET', `/inbox/replier?remoteJid=${encodeURIComponent('other@s.whatsapp.net')}&limit=1`);
+        assert.deepEqual(body.messages, []);
+    });
+
+    it('updates and deletes rules', async () => {
+        const { body: list } = await service.request('GET', '/rules/replier');
+        const ruleId = list.rules[0].id;
+
+        const { body } = await service.request('PUT', `/rules/replier/${ruleId}`, { enabled: false, cooldownMinutes: 0 });
+        assert.equal(body.rule.enabled, false);
+        assert.equal(body.rule.name, 'Thanks');
+        assert.equal((await service.request('PUT', `/rules/replier/${ruleId}`, { cooldownMinutes: -1 })).status, 400);
+        assert.equal((await service.request('PUT', '/rules/replier/nope', { enabled: true })).status, 404);
+
+        assert.equal((await service.request('DELETE', `/rules/replier/${ruleId}`)).status, 200);
+        assert.equal((await service.request('DELETE', `/rules/replier/${ruleId}`)).status, 404);
+        assert.deepEqual((await service.request('GET', '/rules/replier')).body.rules, []);
+    });
+
+    it('gives up on a regex that takes too long to match', async () => {
+        // Passes the check on save, but backtracks exponentially on "aaa...!"
+        const { status } = await service.request('POST', '/rules/replier', { name: 'Slow', match: { regex: '^(a|a)*$' }, actions: [{ type: 'reply', message: 'Hi' }] });
+        assert.equal(status, 200);
+
+        const count = sock.sent.length;
+        receive('IN3', ANN, { conversation: `${'a'.repeat(40)}!` });
+        const { body } = await waitFor(async () => {
+            const response = await service.request('GET', '/inbox/replier');
+            return response.body.messages[0]?.messageId === 'IN3' && response;
+        });
+        assert.equal(body.messages[0].ruleId, null);
+        assert.equal(sock.sent.length, count);
+    });
+});
@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DISCONNECT_CODES } = require('./fake-socket');
+const { startTestService, waitFor } = require('./helpers');
+
+// QR / pairing code linking, connection state, reconnects, logout and restore
+describe('sessions', () => {
+    let service;
+
+    before(async () => {
+        service = await startTestService({
+            env: { MAX_RETRIES: '3' },
+            creds: { restored: { me: { id: '353861111111:2@s.whatsapp.net' } } }
+        });
+    });
+
+    after(() => service.stop());
+
+    it('restores saved sessions on startup', async () => {
+        const sock = await service.sockets.waitForSocket(1);
+        await waitFor(async () => (await service.request('GET', '/health/ready')).status === 200);
+        await sock.play(['connecting', 'open']);
+
+        const { body } = await service.request('GET', '/status/restored');
+        assert.equal(body.isConnected, true);
+        assert.equal(body.phoneNumber, '353871234567');
+    });
+
+    it('reports users without a session', async () => {
+        const { status, body } = await service.request('GET', '/status/nobody');
+        assert.equal(status, 200);
+        assert.equal(body.isConnected, false);
+        assert.match(body.message, /No session found/);
+    });
+
+    it('serves the QR code once the socket has one', async () => {
+        let { body } = await service.request('GET', '/qr/qr-user');
+        assert.equal(body.success, false);
+        assert.equal(body.qrCode, null);
+
+        await service.sockets.last().play(['qr']);
+        // The QR image is rendered asynchronously
+        ({ body } = await waitFor(async () => {
+            const response = await service.request('GET', '/qr/qr-user');
+            return response.body.success && response;
+        }));
+        assert.match(body.qrCode, /^data:image\/png;base64,/);
+
+        const status = await service.request('GET', '/status/qr-user');
+        assert.equal(status.body.hasQrCode, true);
+        assert.equal(status.body.isConnected, false);
+    });
+
+    it('answers /qr with connected once linked', async () => {
+        await service.sockets.last().play(['open']);
+        const { body } = await service.request('GET', '/qr/qr-user');
+        assert.equal(body.connected, true);
+    });
+
+    it('requests a pairing code for a normalized number', async () => {
+        const missing = await service.request('POST', '/pairing-code/pair-user', {});
+        assert.equal(missing.status, 400);
+
+        const invalid = await service.request('POST', '/pairing-code/pair-user', { phoneNumber: '12' });
+        assert.equal(invalid.status, 400);
+
+        const count = service.sockets.sockets.length;
+        const pending = service.request('POST', '/pairing-code/pair-user', { phoneNumber: '+353 89 954 8661' });
+        const sock = await service.sockets.waitForSocket(count + 1);
+        await sock.play(['qr']);
+
+        const { body } = await pending;
+        assert.equal(body.success, true);
+        assert.equal(body.pairingCode, 'FAKE1234');
+        assert.deepEqual(sock.pairingCodeRequests, ['353899548661']);
+
+        const status = await service.request('GET', '/status/pair-user');
+        assert.equal(status.body.hasPairingCode, true);
+        assert.equal(status.body.usePairingCode, true);
+    });
+
+    it('replaces an unlinked session when a new pairing code is requested', async () => {
+        const previous = service.sockets.last();
+        const count = service.sockets.sockets.length;
+        const pending = service.request('POST', '/pairing-code/pair-user', { phoneNumber: '+353899548661' });
+        const sock = await service.sockets.waitForSocket(count + 1);
+        await sock.play(['qr']);
+
+        assert.equal((await pending).body.success, true);
+        assert.equal(previous.ended, true);
+    });
+
+    it('streams connection events, starting with the last known state', async () => {
+        const stream = await service.events('events-user');
+        assert.equal(stream.status, 200);
+        const state = await stream.next('state');
+        assert.equal(state.state, 'no_session');
+
+        await service.request('GET', '/qr/events-user');
+        const sock = service.sockets.last();
+        await sock.play(['qr', 'open']);
+
+        assert.match((await stream.next('qr')).qrCode, /^data:image/);
+        assert.equal((await stream.next('open')).phoneNumber, '353871234567');
+        stream.close();
+    });
+
+    it('reconnects with exponential backoff and resets the attempts once open', async () => {
+        const stream = await service.events('flaky');
+        let sock = await service.connect('flaky');
+
+        const codes = [DISCONNECT_CODES.timedOut, DISCONNECT_CODES.connectionLost, DISCONNECT_CODES.restartRequired];
+        for (let i = 0; i < codes.length; i++) {
+            const count = service.sockets.sockets.length;
+            await sock.play([{ close: codes[i] }]);
+
+            const close = await stream.next('close');
+            assert.equal(close.statusCode, codes[i]);
+            assert.equal(close.willReconnect, true);
+
+            const reconnecting = await stream.next('reconnecting');
+            assert.equal(reconnecting.attempt, i + 1);
+            assert.equal(reconnecting.delay, 10 * Math.pow(2, i));
+            sock = await service.sockets.waitForSocket(count + 1);
+        }
+
+        await sock.play(['open']);
+        await stream.next('open');
+
+        // A replaced connection starts counting from one again
+        const count = service.sockets.sockets.length;
+        await sock.play([{ close: DISCONNECT_CODES.connectionReplaced }]);
+        const reconnecting = await stream.next('reconnecting');
+        assert.equal(reconnecting.attempt, 1);
+
+        sock = await service.sockets.waitForSocket(count + 1);
+        await sock.play(['open']);
+        stream.close();
+    });
+
+    it('gives up after MAX_RETRIES failed reconnects', async () => {
+        const stream = await service.events('doomed');
+        let sock = await service.connect('doomed');
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const count = service.sockets.sockets.length;
+            await sock.play([{ close: DISCONNECT_CODES.timedOut }]);
+            assert.equal((await stream.next('reconnecting')).attempt, attempt);
+            sock = await service.sockets.waitForSocket(count + 1);
+        }
+
+        const count = service.sockets.sockets.length;
+        await sock.play([{ close: DISCONNECT_CODES.timedOut }]);
+        const failed = await stream.next('failed');
+        assert.match(failed.message, /Max reconnection attempts/);
+
+        const { body } = await service.request('GET', '/status/doomed');
+        assert.equal(body.isConnected, false);
+        assert.equal(service.sockets.sockets.length, count);
+        stream.close();
+    });
+
+    it('does not reconnect when WhatsApp logs the device out', async () => {
+        const stream = await service.events('kicked');
+        const sock = await service.connect('kicked');
+        const count = service.sockets.sockets.length;
+
+        await sock.play([{ close: DISCONNECT_CODES.loggedOut }]);
+        const close = await stream.next('close');
+        assert.equal(close.willReconnect, false);
+        await stream.next('logged_out');
+
+        assert.equal(service.sockets.sockets.length, count);
+        stream.close();
+    });
+
+    it('logs out, closing the socket and deleting the auth state', async () => {
+        const sock = await service.connect('leaving');
+        sock.ev.emit('creds.update', {});
+        const authFolder = path.join(service.root, 'auth_info', 'leaving');
+        await waitFor(() => fs.existsSync(path.join(authFolder, 'creds.json')));
+
+        const { status, body } = await service.request('POST', '/logout/leaving');
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(sock.loggedOut, true);
+
+        // Deleted once pending creds writes have landed
+        await waitFor(() => !fs.existsSync(authFolder), 3000);
+        const after = await service.request('GET', '/status/leaving');
+        assert.match(after.body.message, /No session found/);
+    });
+
+    it('keeps accounts of the same user apart', async () => {
+        const personal = await service.connect('multi');
+        const work = await service.connect('multi', '?accountId=work');
+        assert.notEqual(personal, work);
+
+        const { body } = await service.request('GET', '/accounts/multi');
+        assert.deepEqual(body.accounts.map(account => [account.accountId, account.state]), [
+            ['default', 'connected'],
+            ['work', 'connected']
+        ]);
+
+        const invalid = await service.request('GET', '/status/multi?accountId=not valid');
+        assert.equal(invalid.status, 400);
+
+        await service.request('POST', '/logout/multi', { accountId: 'work' });
+        assert.equal(work.loggedOut, true);
+        assert.equal(personal.loggedOut, false);
+    });
+});
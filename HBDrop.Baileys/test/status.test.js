@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestService, waitFor } = require('./helpers');
+
+const ANN = '353871000001@s.whatsapp.net';
+const BOB = '353871000002@s.whatsapp.net';
+const CARA = '353871000003@s.whatsapp.net';
+
+// Birthday wishes posted to WhatsApp Status (status@broadcast)
+describe('status posts', () => {
+    let service;
+    let sock;
+
+    before(async () => {
+        // "away" has creds and contacts saved but no session
+        service = await startTestService({
+            creds: { away: { registered: false } },
+            data: { away: { 'contacts.json': { contacts: { [ANN]: { id: ANN, name: 'Ann Murphy' } } } } }
+        });
+        sock = await service.connect('poster');
+        sock.ev.emit('messaging-history.set', {
+            contacts: [
+                { id: ANN, name: 'Ann Murphy' },
+                { id: BOB, name: 'Bob' },
+                { id: CARA, notify: 'Cara' } // Chatted with, but not saved in the address book
+            ],
+            chats: []
+        });
+    });
+
+    after(() => service.stop());
+
+    it('validates the status', async () => {
+        const empty = await service.request('POST', '/status/poster', {});
+        assert.equal(empty.status, 400);
+
+        const colour = await service.request('POST', '/status/poster', { message: 'Hi', backgroundColor: 'red' });
+        assert.match(colour.body.message, /backgroundColor/);
+
+        const font = await service.request('POST', '/status/poster', { message: 'Hi', font: 'comic-sans' });
+        assert.match(font.body.message, /font must be one of/);
+
+        const audio = await service.request('POST', '/status/poster', { media: { type: 'audio', url: 'https://media.example/song.mp3' } });
+        assert.match(audio.body.message, /Status media must be one of/);
+    });
+
+    it('posts a text status to every saved contact', async () => {
+        const { status, body } = await service.request('POST', '/status/poster', {
+            message: 'Happy birthday Ann! 🎂',
+            backgroundColor: '#FF69B4',
+            font: 'script'
+        });
+        assert.equal(status, 200);
+        assert.ok(body.messageId);
+
+        const sent = sock.sent.at(-1);
+        assert.equal(sent.jid, 'status@broadcast');
+        assert.deepEqual(sent.content, { text: 'Happy birthday Ann! 🎂' });
+        assert.deepEqual(sent.options, { broadcast: true, statusJidList: [ANN, BOB], backgroundColor: '#FF69B4', font: 2 });
+    });
+
+    it('limits the audience to the contacts given', async () => {
+        await service.request('POST', '/status/poster', { message: 'Cake at 8!', audience: ['+353 87 100 0003', ANN, ANN] });
+        assert.deepEqual(sock.sent.at(-1).options.statusJidList, [CARA, ANN]);
+
+        const stranger = await service.request('POST', '/status/poster', { message: 'Hi', audience: ['+353879999999', BOB] });
+        assert.equal(stranger.status, 400);
+        assert.match(stranger.body.message, /Not in your contacts: \+353879999999/);
+
+        const none = await service.request('POST', '/status/poster', { message: 'Hi', audience: [] });
+        assert.equal(none.status, 400);
+    });
+
+    it('posts an image status with the message as caption', async () => {
+        fs.mkdirSync(path.join(service.root, 'media'), { recursive: true });
+        fs.writeFileSync(path.join(service.root, 'media', 'cake.jpg'), Buffer.from('not really a jpeg'));
+
+        const { status } = await service.request('POST', '/status/poster', { message: 'Happy birthday!', media: { type: 'image', path: 'cake.jpg' } });
+        assert.equal(status, 200);
+
+        const { content } = sock.sent.at(-1);
+        assert.equal(content.caption, 'Happy birthday!');
+        assert.equal(content.mimetype, 'image/jpeg');
+        assert.ok(Buffer.isBuffer(content.image));
+    });
+
+    it('deletes a status for the same audience', async () => {
+        const { body } = await service.request('POST', '/status/poster', { message: 'Oops', audience: [BOB] });
+        const { status } = await service.request('DELETE', `/messages/poster/${body.messageId}`);
+        assert.equal(status, 200);
+
+        const sent = sock.sent.at(-1);
+        assert.deepEqual(sent.content, { delete: body.messageKey });
+        assert.deepEqual(sent.options.statusJidList, [BOB]);
+
+        const resend = await service.request('POST', `/messages/poster/${body.messageId}/resend`, { phone: BOB });
+        assert.equal(resend.status, 409);
+    });
+
+    it('queues a status while the session is down and reconnects it', async () => {
+        const count = service.sockets.sockets.length;
+        const { status, body } = await service.request('POST', '/status/away', { message: 'Happy birthday!' });
+        assert.equal(status, 202);
+        assert.equal(body.queued, true);
+
+        const awaySock = await service.sockets.waitForSocket(count + 1);
+        await awaySock.play(['open']);
+        await waitFor(() => awaySock.sent.length === 1);
+        assert.equal(awaySock.sent[0].jid, 'status@broadcast');
+        assert.deepEqual(awaySock.sent[0].options.statusJidList, [ANN]);
+    });
+
+    it('still answers GET /status', async () => {
+        const { body } = await service.request('GET', '/status/poster');
+        assert.equal(body.isConnected, true);
+    });
+});
@@ -116,17 +116,18 @@ public class BirthdayCheckerJob
                             );
 
                             // Send via WhatsApp
-                            var success = await SendWhatsAppMessage(
+                            var result = await SendWhatsAppMessage(
                                 whatsAppService,
                                 userId,
                                 destinationNumber,
                                 message,
-                                birthday.GifUrl
+                                birthday.GifUrl,
+                                BuildIdempotencyKey("birthday", birthday.Id, destinationNumber, contact.TimeZoneId)
                             );
 
-                            if (success)
+                            if (result != SendMessageResult.Failed)
                             {
-                                // Update last sent timestamp
+                                // Update last sent timestamp (a queued message is sent by the Baileys service)
                                 birthday.LastSentAt = DateTime.UtcNow;
                                 
                                 // Log in database
@@ -135,8 +136,8 @@ public class BirthdayCheckerJob
                                     UserId = userId,
                                     ContactId = contact.Id,
                                     Content = message,
-                                    SentAt = DateTime.UtcNow,
-                                    Status = MessageStatus.Sent,
+                                    SentAt = result == SendMessageResult.Sent ? DateTime.UtcNow : null,
+                                    Status = result == SendMessageResult.Sent ? MessageStatus.Sent : MessageStatus.Pending,
                                     IsBirthdayMessage = true
                                 };
                                 
@@ -144,7 +145,8 @@ public class BirthdayCheckerJob
                                 await dbContext.SaveChangesAsync();
 
                                 _logger.LogInformation(
-                                    "Successfully sent birthday message to {Name} ({Phone}) from user {UserId}",
+                                    "Successfully {Result} birthday message to {Name} ({Phone}) from user {UserId}",
+                                    result == SendMessageResult.Sent ? "sent" : "queued",
                                     contact.Name,
                                     contact.PhoneNumber,
                                     userId
@@ -236,15 +238,16 @@ public class BirthdayCheckerJob
                 }
 
                 // Send via WhatsApp
-                var success = await SendWhatsAppMessage(
+                var result = await SendWhatsAppMessage(
                     whatsAppService,
                     userId,
                     destinationNumber,
                     message,
-                    additionalBirthday.GifUrl
+                    additionalBirthday.GifUrl,
+                    BuildIdempotencyKey("additional-birthday", additionalBirthday.Id, destinationNumber, additionalBirthday.TimeZoneId ?? contact.TimeZoneId)
                 );
 
-                if (success)
+                if (result != SendMessageResult.Failed)
                 {
                     // Log in database
                     var messageLog = new Message
@@ -252,8 +255,8 @@ public class BirthdayCheckerJob
                         UserId = userId,
                         ContactId = contact.Id,
                         Content = message,
-                        SentAt = DateTime.UtcNow,
-                        Status = MessageStatus.Sent,
+                        SentAt = result == SendMessageResult.Sent ? DateTime.UtcNow : null,
+                        Status = result == SendMessageResult.Sent ? MessageStatus.Sent : MessageStatus.Pending,
                         IsBirthdayMessage = true
                     };
 
@@ -261,7 +264,8 @@ public class BirthdayCheckerJob
                     await dbContext.SaveChangesAsync();
 
                     _logger.LogInformation(
-                        "Successfully sent additional birthday message for {Name} (Contact: {ContactName})",
+                        "Successfully {Result} additional birthday message for {Name} (Contact: {ContactName})",
+                        result == SendMessageResult.Sent ? "sent" : "queued",
                         additionalBirthday.Name,
                         contact.Name
                     );
@@ -330,15 +334,16 @@ public class BirthdayCheckerJob
                 }
 
                 // Send via WhatsApp
-                var success = await SendWhatsAppMessage(
+                var result = await SendWhatsAppMessage(
                     whatsAppService,
                     userId,
                     destinationNumber,
                     message,
-                    customEvent.GifUrl
+                    customEvent.GifUrl,
+                    BuildIdempotencyKey("custom-event", customEvent.Id, destinationNumber, customEvent.TimeZoneId ?? contact.TimeZoneId)
                 );
 
-                if (success)
+                if (result != SendMessageResult.Failed)
                 {
                     // Log in database
                     var messageLog = new Message
@@ -346,8 +351,8 @@ public class BirthdayCheckerJob
                         UserId = userId,
                         ContactId = contact.Id,
                         Content = message,
-                        SentAt = DateTime.UtcNow,
-                        Status = MessageStatus.Sent,
+                        SentAt = result == SendMessageResult.Sent ? DateTime.UtcNow : null,
+                        Status = result == SendMessageResult.Sent ? MessageStatus.Sent : MessageStatus.Pending,
                         IsBirthdayMessage = false // Custom event, not a birthday
                     };
 
@@ -355,7 +360,8 @@ public class BirthdayCheckerJob
                     await dbContext.SaveChangesAsync();
 
                     _logger.LogInformation(
-                        "Successfully sent custom event message '{EventName}' to {ContactName}",
+                        "Successfully {Result} custom event message '{EventName}' to {ContactName}",
+                        result == SendMessageResult.Sent ? "sent" : "queued",
                         customEvent.EventName,
                         contact.Name
                     );
@@ -636,12 +642,34 @@ public class BirthdayCheckerJob
         }
     }
 
-    private async Task<bool> SendWhatsAppMessage(
+    /// <summary>
+    /// Stable per recipient, occasion and local date, so a retried or overlapping job run doesn't send twice
+    /// </summary>
+    private static string BuildIdempotencyKey(string kind, int id, string destination, string? timeZoneId)
+    {
+        TimeZoneInfo timeZone;
+        try
+        {
+            timeZone = string.IsNullOrWhiteSpace(timeZoneId)
+                ? TimeZoneInfo.Utc
+                : TimeZoneInfo.FindSystemTimeZoneById(timeZoneId);
+        }
+        catch
+        {
+            timeZone = TimeZoneInfo.Utc;
+        }
+
+        var today = TimeZoneInfo.ConvertTimeFromUtc(DateTime.UtcNow, timeZone);
+        return $"{kind}-{id}-{destination}-{today:yyyy-MM-dd}";
+    }
+
+    private async Task<SendMessageResult> SendWhatsAppMessage(
         IWhatsAppService whatsAppService,
         string userId,
         string phoneNumber,
         string message,
-        string? gifUrl = null)
+        string? gifUrl = null,
+        string? idempotencyKey = null)
     {
         try
         {
@@ -653,12 +681,11 @@ public class BirthdayCheckerJob
                     "User {UserId} is not connected to WhatsApp. Skipping message.",
                     userId
                 );
-                return false;
+                return SendMessageResult.Failed;
             }
 
             // Send message using the overload that accepts userId directly (for background jobs)
-            var success = await whatsAppService.SendMessageAsync(userId, phoneNumber, message, gifUrl);
-            return success;
+            return await whatsAppService.SendMessageAsync(userId, phoneNumber, message, gifUrl, idempotencyKey);
         }
         catch (Exception ex)
         {
@@ -668,7 +695,7 @@ public class BirthdayCheckerJob
                 phoneNumber,
                 userId
             );
-            return false;
+            return SendMessageResult.Failed;
         }
     }
 
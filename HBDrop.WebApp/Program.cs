@@ -100,6 +100,7 @@ builder.Services.AddScoped<BirthdayCheckerJob>();
 builder.Services.AddScoped<CalendarImportService>();
 builder.Services.AddScoped<AccountDeletionService>();
 builder.Services.AddSingleton<RegionalEventsService>();
+builder.Services.AddScoped<BaileysWebhookService>();
 
 // Add health checks
 builder.Services.AddHealthChecks()
@@ -130,6 +131,9 @@ app.UseAuthorization();
 // Map health check endpoint
 app.MapHealthChecks("/health");
 
+// Webhooks from the Baileys service, verified by signature (session.alert is emailed to the user)
+app.MapPost("/webhooks/baileys", (HttpRequest request, BaileysWebhookService webhooks) => webhooks.HandleAsync(request));
+
 // Configure Hangfire dashboard
 app.UseHangfireDashboard("/hangfire", new DashboardOptions
 {
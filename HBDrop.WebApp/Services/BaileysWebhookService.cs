@@ -0,0 +1,136 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.Identity.UI.Services;
+using HBDrop.WebApp.Models;
+
+namespace HBDrop.WebApp.Services;
+
+/// <summary>
+/// Receives webhooks from the Baileys service (WEBHOOK_URL on the Node side)
+/// Emails the user when their WhatsApp session needs attention (session.alert); other events are acknowledged and ignored
+/// </summary>
+public class BaileysWebhookService
+{
+    private static readonly TimeSpan MaxClockSkew = TimeSpan.FromMinutes(5);
+
+    private readonly UserManager<ApplicationUser> _userManager;
+    private readonly IEmailSender _emailSender;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<BaileysWebhookService> _logger;
+
+    public BaileysWebhookService(
+        UserManager<ApplicationUser> userManager,
+        IEmailSender emailSender,
+        IConfiguration configuration,
+        ILogger<BaileysWebhookService> logger)
+    {
+        _userManager = userManager;
+        _emailSender = emailSender;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Verify and handle one webhook request
+    /// </summary>
+    public async Task<IResult> HandleAsync(HttpRequest request)
+    {
+        // Shared secret for webhook signatures (matches WEBHOOK_SECRET on the Node side)
+        var secret = _configuration["Baileys:WebhookSecret"];
+        if (string.IsNullOrWhiteSpace(secret))
+        {
+            _logger.LogWarning("Rejected a Baileys webhook - Baileys:WebhookSecret is not configured");
+            return Results.Unauthorized();
+        }
+
+        using var reader = new StreamReader(request.Body, Encoding.UTF8);
+        var body = await reader.ReadToEndAsync();
+        var timestamp = request.Headers["X-HBDrop-Timestamp"].ToString();
+        var signature = request.Headers["X-HBDrop-Signature"].ToString();
+        if (!IsValidSignature(secret, timestamp, body, signature))
+        {
+            _logger.LogWarning("Rejected a Baileys webhook with an invalid or expired signature");
+            return Results.Unauthorized();
+        }
+
+        try
+        {
+            using var payload = JsonDocument.Parse(body);
+            var root = payload.RootElement;
+            var eventName = root.GetProperty("event").GetString();
+            var userId = root.GetProperty("userId").GetString();
+
+            if (eventName == "session.alert" && userId != null)
+            {
+                await SendSessionAlertAsync(userId, root.GetProperty("data"));
+            }
+            return Results.Ok();
+        }
+        catch (Exception ex) when (ex is JsonException || ex is KeyNotFoundException || ex is InvalidOperationException)
+        {
+            _logger.LogWarning(ex, "Rejected a malformed Baileys webhook");
+            return Results.BadRequest();
+        }
+    }
+
+    /// <summary>
+    /// The signature is "sha256=" + the hex HMAC-SHA256 of "&lt;timestamp&gt;.&lt;body&gt;", with the timestamp in Unix milliseconds
+    /// </summary>
+    private static bool IsValidSignature(string secret, string timestamp, string body, string signature)
+    {
+        if (!long.TryParse(timestamp, out var sentAtMs))
+        {
+            return false;
+        }
+
+        var age = DateTimeOffset.UtcNow - DateTimeOffset.FromUnixTimeMilliseconds(sentAtMs);
+        if (age.Duration() > MaxClockSkew)
+        {
+            return false;
+        }
+
+        var hash = HMACSHA256.HashData(Encoding.UTF8.GetBytes(secret), Encoding.UTF8.GetBytes($"{timestamp}.{body}"));
+        var expected = "sha256=" + Convert.ToHexString(hash).ToLowerInvariant();
+        return CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(expected), Encoding.UTF8.GetBytes(signature));
+    }
+
+    /// <summary>
+    /// Email the user that WhatsApp was unlinked, connected elsewhere or could not reconnect
+    /// </summary>
+    private async Task SendSessionAlertAsync(string userId, JsonElement data)
+    {
+        var user = await _userManager.FindByIdAsync(userId);
+        if (user?.Email == null)
+        {
+            _logger.LogWarning("Session alert for unknown user {UserId}", userId);
+            return;
+        }
+
+        var state = data.TryGetProperty("state", out var stateValue) ? stateValue.GetString() : null;
+        var reason = data.TryGetProperty("reason", out var reasonValue) && reasonValue.ValueKind == JsonValueKind.String
+            ? reasonValue.GetString()
+            : null;
+
+        var (subject, message) = state switch
+        {
+            "needs_pairing" => ("WhatsApp was unlinked from HBDrop",
+                "WhatsApp unlinked HBDrop from your phone, so birthday messages can't be sent. Open HBDrop and link your device again."),
+            "stopped" => ("HBDrop stopped its WhatsApp connection",
+                "WhatsApp is connected somewhere else, so HBDrop stopped sending. Open HBDrop and reconnect when you're ready."),
+            _ => ("HBDrop can't reach WhatsApp",
+                "HBDrop couldn't reconnect to WhatsApp after several attempts. Open HBDrop and reconnect to keep your birthday messages going.")
+        };
+
+        var html = $"<p>{HtmlEncoder.Default.Encode(message)}</p>";
+        if (!string.IsNullOrWhiteSpace(reason))
+        {
+            html += $"<p>Reason: {HtmlEncoder.Default.Encode(reason)}</p>";
+        }
+
+        await _emailSender.SendEmailAsync(user.Email, subject, html);
+        _logger.LogInformation("Emailed session alert ({State}) to user {UserId}", state, userId);
+    }
+}
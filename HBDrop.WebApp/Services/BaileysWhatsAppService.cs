@@ -19,11 +19,20 @@ public class BaileysWhatsAppService : IWhatsAppService
         HttpClient httpClient, 
         ILogger<BaileysWhatsAppService> logger,
         IHttpContextAccessor httpContextAccessor,
-        UserManager<ApplicationUser> userManager)
+        UserManager<ApplicationUser> userManager,
+        IConfiguration configuration)
     {
         _httpClient = httpClient;
         _httpClient.BaseAddress = new Uri(BaileysApiUrl);
         _httpClient.Timeout = TimeSpan.FromSeconds(30);
+
+        // Shared secret for the Baileys API (optional - matches API_KEY on the Node side)
+        var apiKey = configuration["Baileys:ApiKey"];
+        if (!string.IsNullOrWhiteSpace(apiKey))
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", apiKey);
+        }
         _logger = logger;
         _httpContextAccessor = httpContextAccessor;
         _userManager = userManager;
@@ -280,7 +289,7 @@ public class BaileysWhatsAppService : IWhatsAppService
     /// <summary>
     /// Send a WhatsApp message for a specific user (for background jobs without HttpContext)
     /// </summary>
-    public async Task<bool> SendMessageAsync(string userId, string phoneNumber, string message, string? gifUrl = null)
+    public async Task<SendMessageResult> SendMessageAsync(string userId, string phoneNumber, string message, string? gifUrl = null, string? idempotencyKey = null)
     {
         try
         {
@@ -293,30 +302,46 @@ public class BaileysWhatsAppService : IWhatsAppService
                 gifUrl = gifUrl
             };
 
-            var response = await _httpClient.PostAsJsonAsync($"/send/{userId}", payload);
+            using var request = new HttpRequestMessage(HttpMethod.Post, $"/send/{userId}")
+            {
+                Content = JsonContent.Create(payload)
+            };
+            if (!string.IsNullOrWhiteSpace(idempotencyKey))
+            {
+                request.Headers.Add("Idempotency-Key", idempotencyKey);
+            }
+
+            var response = await _httpClient.SendAsync(request);
             
             if (!response.IsSuccessStatusCode)
             {
                 var error = await response.Content.ReadAsStringAsync();
                 _logger.LogError("Failed to send message for user {UserId}: {Error}", userId, error);
-                return false;
+                return SendMessageResult.Failed;
             }
 
             var result = await response.Content.ReadFromJsonAsync<SendResponse>();
             
-            if (result?.Success ?? false)
+            if (!(result?.Success ?? false))
             {
-                _logger.LogInformation("Message sent successfully to {PhoneNumber} for user {UserId}", phoneNumber, userId);
-                return true;
+                _logger.LogError("Failed to send message for user {UserId}: {Message}", userId, result?.Message);
+                return SendMessageResult.Failed;
             }
 
-            _logger.LogError("Failed to send message for user {UserId}: {Message}", userId, result?.Message);
-            return false;
+            // 202 with queued: true - the service sends it (with retries) once the session is connected
+            if (result.Queued == true)
+            {
+                _logger.LogInformation("Message to {PhoneNumber} for user {UserId} queued as job {JobId}", phoneNumber, userId, result.JobId);
+                return SendMessageResult.Queued;
+            }
+
+            _logger.LogInformation("Message sent successfully to {PhoneNumber} for user {UserId}", phoneNumber, userId);
+            return SendMessageResult.Sent;
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error sending message to {PhoneNumber} for user {UserId}", phoneNumber, userId);
-            return false;
+            return SendMessageResult.Failed;
         }
     }
 
@@ -361,25 +386,36 @@ public class BaileysWhatsAppService : IWhatsAppService
             var userId = await GetCurrentUserIdAsync();
             _logger.LogInformation("Fetching WhatsApp contacts for user {UserId}", userId);
 
-            var response = await _httpClient.GetAsync($"/contacts/{userId}");
-            
-            if (!response.IsSuccessStatusCode)
+            // The service returns contacts in pages, most recent conversations first
+            var contacts = new List<WhatsAppContact>();
+            for (var page = 1; ; page++)
             {
-                var error = await response.Content.ReadAsStringAsync();
-                _logger.LogError("Failed to fetch contacts: {Error}", error);
-                return new List<WhatsAppContact>();
-            }
+                var response = await _httpClient.GetAsync($"/contacts/{userId}?page={page}&pageSize=500");
+                
+                if (!response.IsSuccessStatusCode)
+                {
+                    var error = await response.Content.ReadAsStringAsync();
+                    _logger.LogError("Failed to fetch contacts: {Error}", error);
+                    return contacts;
+                }
 
-            var result = await response.Content.ReadFromJsonAsync<ContactsResponse>();
-            
-            if (result?.Success ?? false)
-            {
-                _logger.LogInformation("Successfully fetched {Count} contacts", result.Contacts?.Count ?? 0);
-                return result.Contacts ?? new List<WhatsAppContact>();
+                var result = await response.Content.ReadFromJsonAsync<ContactsResponse>();
+                
+                if (!(result?.Success ?? false))
+                {
+                    _logger.LogError("Failed to fetch contacts: {Message}", result?.Message);
+                    return contacts;
+                }
+
+                contacts.AddRange(result.Contacts ?? new List<WhatsAppContact>());
+                if (result.Count == 0 || contacts.Count >= result.Total)
+                {
+                    break;
+                }
             }
 
-            _logger.LogError("Failed to fetch contacts: {Message}", result?.Message);
-            return new List<WhatsAppContact>();
+            _logger.LogInformation("Successfully fetched {Count} contacts", contacts.Count);
+            return contacts;
         }
         catch (Exception ex)
         {
@@ -417,9 +453,12 @@ public class HealthResponse
     public string? Message { get; set; }
 }
 
+// Shapes follow the Baileys service's /openapi.json; Code is set on every error response
+
 public class QrResponse
 {
     public bool Success { get; set; }
+    public string? Code { get; set; }
     public string? QrCode { get; set; }
     public string? QrImage { get; set; }
     public string? Message { get; set; }
@@ -429,6 +468,7 @@ public class QrResponse
 public class PairingCodeResponse
 {
     public bool Success { get; set; }
+    public string? Code { get; set; }
     public string? PairingCode { get; set; }
     public string? Message { get; set; }
     public bool? Connected { get; set; }
@@ -437,5 +477,9 @@ public class PairingCodeResponse
 public class SendResponse
 {
     public bool Success { get; set; }
+    public string? Code { get; set; }
     public string? Message { get; set; }
+    public string? JobId { get; set; }
+    public bool? Queued { get; set; }
+    public string? MessageId { get; set; }
 }
@@ -37,8 +37,9 @@ public interface IWhatsAppService
 
     /// <summary>
     /// Send a WhatsApp message for a specific user (for background jobs)
+    /// Retries with the same idempotencyKey return the original job instead of sending twice
     /// </summary>
-    Task<bool> SendMessageAsync(string userId, string phoneNumber, string message, string? gifUrl = null);
+    Task<SendMessageResult> SendMessageAsync(string userId, string phoneNumber, string message, string? gifUrl = null, string? idempotencyKey = null);
 
     /// <summary>
     /// Get list of WhatsApp groups
@@ -56,6 +57,16 @@ public interface IWhatsAppService
     Task<bool> DisconnectAsync(string userId);
 }
 
+/// <summary>
+/// Outcome of a background send - Queued means the Baileys service accepted it and sends it once the session is connected
+/// </summary>
+public enum SendMessageResult
+{
+    Failed,
+    Sent,
+    Queued
+}
+
 /// <summary>
 /// Response model for connection status
 /// </summary>
@@ -64,6 +75,10 @@ public class ConnectionStatusResponse
     public bool IsConnected { get; set; }
     public string? PhoneNumber { get; set; }
     public string? SessionId { get; set; }
+    public bool HasQrCode { get; set; }
+    public bool HasPairingCode { get; set; }
+    public string? PairingCode { get; set; }
+    public bool UsePairingCode { get; set; }
     public string? Message { get; set; }
 }
 
@@ -104,6 +119,7 @@ public class WhatsAppContact
     public string? Notify { get; set; }
     public string? VerifiedName { get; set; }
     public string? ImgUrl { get; set; }
+    public DateTime? LastInteractionAt { get; set; }
 }
 
 /// <summary>
@@ -114,5 +130,8 @@ public class ContactsResponse
     public bool Success { get; set; }
     public List<WhatsAppContact> Contacts { get; set; } = new();
     public int Count { get; set; }
+    public int Total { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
     public string? Message { get; set; }
 }